@@ -2,126 +2,423 @@
 // FAKE HUE BRIDGE SERVER
 // ============================================================
 //
-// This mimics the Philips Hue Bridge CLIP v2 REST API locally.
-// Your app can connect to this exactly like a real bridge.
+// This mimics the Philips Hue Bridge CLIP v2 REST API locally,
+// and the older v1 API next to it. Your app can connect to this
+// exactly like a real bridge.
 //
 // HOW TO USE:
 //   1. npm install express cors
 //   2. node fake-bridge.js
+//        --v1               act as an old v1-only bridge: no
+//                           CLIP v2, so the app falls back to v1
+//        --require-pairing  only keys handed out by the link
+//                           button work (otherwise any key does)
+//        plus any of the fault flags below
 //   3. In the app's Settings, enter:
 //        Bridge IP:  localhost:3100
 //        API Key:    any-key-works
 //   4. Click "Connect to Bridge"
 //
 // WHAT IT DOES:
-//   - Responds to GET /clip/v2/resource/light   (list lights)
-//   - Responds to GET /clip/v2/resource/room    (list rooms)
+//   - Responds to GET /clip/v2/resource         (every resource)
+//   - Responds to GET /clip/v2/resource/:type   (device, light,
+//     room, zone, grouped_light, zigbee_connectivity, bridge)
+//   - Responds to GET /clip/v2/resource/:type/:id
 //   - Responds to PUT /clip/v2/resource/light/:id        (set light)
 //   - Responds to PUT /clip/v2/resource/grouped_light/:id (set group)
-//   - Tracks light state in memory
+//   - Streams GET /eventstream/clip/v2   (server-sent events)
+//   - Serves the v1 API under /api/<key>/ (lights, groups, config)
+//   - Responds to GET /api/config  (public config, used by discovery)
+//   - Responds to POST /api        (link-button pairing, see below)
+//   - Tracks light state in memory, shared by both APIs
 //   - Logs every API call to the console so you can see what's happening
 //
-// The rooms and lights match demoRooms.js so they connect seamlessly.
+// The rooms and lights match demoRooms.js so they connect seamlessly
+// — or come from a file, or are generated (see TOPOLOGY below).
 //
+// SIMULATE A WALL SWITCH / HUE APP CHANGE:
+//   Any PUT you send yourself shows up in the app via the event
+//   stream, exactly like a change made outside the app would:
+//
+//   curl -X PUT localhost:3100/clip/v2/resource/light/light-2a \
+//     -H "Content-Type: application/json" \
+//     -d '{"on":{"on":true},"color":{"xy":{"x":0.68,"y":0.31}}}'
+//
+// SIMULATE THE LINK BUTTON:
+//   Pairing (Settings → Pair with Bridge) only succeeds within
+//   30 seconds of the round button being pressed. Press Enter in
+//   this terminal, or:
+//
+//   curl -X POST localhost:3100/linkbutton
+//
+// Any API key still works, paired or not — unless the bridge was
+// started with --require-pairing.
+//
+// SIMULATE FAILURES:
+//   Make the bridge misbehave, to see how the app copes:
+//
+//     --latency=MS         answer every request MS late
+//     --jitter=MS          … plus up to MS more, at random
+//     --error-rate=0.2     answer 20% of requests with a 500/503
+//     --drop-rate=0.1      hang up on 10% of requests, no answer
+//     --revoked[=401]      refuse every key, as if the app had
+//                          been removed in the Hue app (403 unless
+//                          given 401)
+//     --unreachable=light-2a,light-3a
+//                          lights that are powered off at the wall:
+//                          commands don't reach them
+//     --rate-limit[=10]    answer 429 once more than 10 commands
+//                          arrive within a second
+//
+//   Switch them while running — GET /faults shows the current
+//   ones, PUT changes some, DELETE clears them all:
+//
+//   curl -X PUT localhost:3100/faults \
+//     -H "Content-Type: application/json" \
+//     -d '{"errorRate":0.3,"unreachable":["light-2b"]}'
 // ============================================================
 
+import crypto from "node:crypto";
+import fs from "node:fs";
 import express from "express";
 import cors from "cors";
+import { GAMUTS, clampToGamut } from "./src/services/color.js";
+import DEMO_ROOMS from "./src/config/demoRooms.js";
+
+// ── Command-line flags ──
+// `--name` → true, `--name=value` → "value", absent → undefined
+const args = process.argv.slice(2);
+function flag(name) {
+  const arg = args.find((a) => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (!arg) return undefined;
+  return arg.includes("=") ? arg.slice(arg.indexOf("=") + 1) : true;
+}
+const number = (value) => (value === true ? NaN : Number(value));
+const V1_ONLY = Boolean(flag("v1"));
+const REQUIRE_PAIRING = Boolean(flag("require-pairing"));
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
+// ============================================================
+// TOPOLOGY — which rooms, zones and lights the bridge has
+// ============================================================
+//
+// By default the rooms and zones of demoRooms.js, so a layout
+// made in demo mode carries over. Or:
+//
+//   --topology=clinic.json   rooms and zones from a file:
+//     {
+//       "rooms": [{ "id": "room-1", "name": "Room 1",
+//                   "groupedLightId": "group-1",          (optional)
+//                   "lights": [{ "id": "light-1a", "name": "Lamp",
+//                                "gamut": "C" }] }],    (or just "light-1a")
+//       "zones": [{ "id": "zone-1", "name": "Nurse Station",
+//                   "groupedLightId": "group-z1",         (optional)
+//                   "lights": ["light-1a"] }]
+//     }
+//   --rooms=N --lights=M     N generated rooms of M lights each,
+//                            for load testing
+//
+// As on a real bridge, a light belongs to exactly one room but
+// can be in any number of zones. A light's device id is made from
+// its own (light-1a → device-1a), so "x" and "light-x" can't both
+// be used.
+
+// What the demo rooms' bulbs are: most are current gamut C bulbs,
+// with an older gamut B bulb and a gamut A LightStrip mixed in
+const DEMO_LIGHTS = {
+  "light-1a": { name: "Consultation Lamp", gamut: "C" },
+  "light-2a": { name: "Examination Ceiling", gamut: "C" },
+  "light-2b": { name: "Examination Desk", gamut: "B" },
+  "light-3a": { name: "Treatment Overhead", gamut: "C" },
+  "light-4a": { name: "Waiting Area Left", gamut: "C" },
+  "light-4b": { name: "Waiting Area Right", gamut: "A" },
+};
+
+function demoTopology() {
+  return {
+    rooms: DEMO_ROOMS.filter((room) => !room.zone).map((room) => ({
+      ...room,
+      lights: room.lights.map((id) => ({ id, ...DEMO_LIGHTS[id] })),
+    })),
+    zones: DEMO_ROOMS.filter((room) => room.zone),
+  };
+}
+
+function generatedTopology(roomCount, lightsPerRoom) {
+  for (const [what, count] of [["--rooms", roomCount], ["--lights", lightsPerRoom]]) {
+    if (!Number.isInteger(count) || count < 1) throw new Error(`${what} must be a whole number, 1 or more`);
+  }
+  return {
+    rooms: Array.from({ length: roomCount }, (_, r) => ({
+      id: `room-${r + 1}`,
+      name: `Room ${r + 1}`,
+      groupedLightId: `group-${r + 1}`,
+      lights: Array.from({ length: lightsPerRoom }, (_, l) => ({
+        id: `light-${r + 1}-${l + 1}`,
+        name: `Room ${r + 1} Light ${l + 1}`,
+      })),
+    })),
+    zones: [],
+  };
+}
+
+/**
+ * Check a topology and fill in the defaults. Throws on anything
+ * a real bridge couldn't have.
+ */
+function normalizeTopology({ rooms, zones = [] }) {
+  if (!Array.isArray(rooms) || rooms.length === 0) throw new Error("A topology needs at least one room");
+  if (!Array.isArray(zones)) throw new Error("zones must be a list");
+
+  const ids = new Set();
+  const claim = (id, what) => {
+    if (typeof id !== "string" || !id) throw new Error(`Every ${what} needs an id`);
+    if (ids.has(id)) throw new Error(`Id "${id}" is used twice`);
+    ids.add(id);
+  };
+  const area = (entry, what) => {
+    claim(entry.id, what);
+    const groupedLightId = entry.groupedLightId ?? `group-${entry.id}`;
+    claim(groupedLightId, `${what}'s grouped light`);
+    if (!Array.isArray(entry.lights)) throw new Error(`${what} "${entry.id}" needs a list of lights`);
+    return { id: entry.id, name: String(entry.name || entry.id), groupedLightId };
+  };
+  // A light's device and zigbee_connectivity ids are made from its
+  // own (light-1a → device-1a), so no two may come out the same
+  const deviceOwners = new Map([["bridge", "the bridge"]]);
+
+
+  const normalRooms = rooms.map((room) => ({
+    ...area(room, "room"),
+    lights: room.lights.map((light, i) => {
+      const { id, name, gamut = "C" } = typeof light === "string" ? { id: light } : light;
+      claim(id, "light");
+      if (!GAMUTS[gamut]) throw new Error(`Light "${id}" has unknown gamut "${gamut}" (A, B or C)`);
+      const suffix = id.replace(/^light-/, "");
+      if (deviceOwners.has(suffix)) {
+        throw new Error(`Light "${id}" would get device id "device-${suffix}", as ${deviceOwners.get(suffix)} does`);
+      }
+      deviceOwners.set(suffix, `light "${id}"`);
+      return { id, name: name || `${room.name || room.id} ${i + 1}`, gamut, suffix };
+    }),
+  }));
+
+  const lightIds = new Set(normalRooms.flatMap((room) => room.lights.map((l) => l.id)));
+  const normalZones = zones.map((zone) => {
+    const normal = { ...area(zone, "zone"), lights: zone.lights };
+    const unknown = zone.lights.find((id) => !lightIds.has(id));
+    if (unknown !== undefined) throw new Error(`Zone "${zone.id}" has unknown light "${unknown}"`);
+    return normal;
+  });
+
+  return { rooms: normalRooms, zones: normalZones };
+}
+
+function loadTopology() {
+  if (flag("topology")) {
+    return JSON.parse(fs.readFileSync(String(flag("topology")), "utf8"));
+  }
+  if (flag("rooms") !== undefined || flag("lights") !== undefined) {
+    return generatedTopology(number(flag("rooms") ?? 4), number(flag("lights") ?? 2));
+  }
+  return demoTopology();
+}
+
+let topology;
+try {
+  topology = normalizeTopology(loadTopology());
+} catch (err) {
+  console.log(`❌ Topology: ${err.message}`);
+  process.exit(1);
+}
+
+// ============================================================
+// RESOURCE GRAPH — what GET /clip/v2/resource returns
+// ============================================================
+//
+// Shaped like a real bridge's: a room's children are devices, not
+// lights, and each device owns a light and a zigbee_connectivity
+// service. A zone's children are lights. Every room and zone has
+// a grouped_light, owned by it. v1 ids come from the order lights
+// and groups appear in (see id_v1).
+
+const BRIDGE_ID = "001788fffe000001";
+const BRIDGE_DEVICE_ID = "device-bridge";
+
+// 00:17:88:01:00:00:00:01 — the Signify prefix, then a counter
+const macAddress = (n) =>
+  `00:17:88:01:00:${[n >> 16, (n >> 8) & 255, n & 255].map((b) => b.toString(16).padStart(2, "0")).join(":")}`;
+
+const PRODUCTS = {
+  A: { model_id: "LST001", product_name: "Hue lightstrip", product_archetype: "hue_lightstrip" },
+  B: { model_id: "LCT007", product_name: "Hue color lamp", product_archetype: "sultan_bulb" },
+  C: { model_id: "LCT015", product_name: "Hue color lamp", product_archetype: "sultan_bulb" },
+};
+
+function colorState(gamutType) {
+  return { xy: { x: 0.31, y: 0.33 }, gamut: GAMUTS[gamutType], gamut_type: gamutType };
+}
+
+// White ambiance: mirek_valid while the light is in colour
+// temperature mode rather than showing an xy colour
+function colorTemperatureState() {
+  return {
+    mirek: 366,
+    mirek_valid: false,
+    mirek_schema: { mirek_minimum: 153, mirek_maximum: 500 },
+  };
+}
+
 // ── In-memory light state ──
-// Matches the lights defined in demoRooms.js
-const lights = {
-  "light-1a": {
-    id: "light-1a",
-    metadata: { name: "Consultation Lamp" },
-    on: { on: false },
-    dimming: { brightness: 0 },
-    color: { xy: { x: 0.31, y: 0.33 } },
-  },
-  "light-2a": {
-    id: "light-2a",
-    metadata: { name: "Examination Ceiling" },
-    on: { on: false },
-    dimming: { brightness: 0 },
-    color: { xy: { x: 0.31, y: 0.33 } },
-  },
-  "light-2b": {
-    id: "light-2b",
-    metadata: { name: "Examination Desk" },
-    on: { on: false },
-    dimming: { brightness: 0 },
-    color: { xy: { x: 0.31, y: 0.33 } },
-  },
-  "light-3a": {
-    id: "light-3a",
-    metadata: { name: "Treatment Overhead" },
-    on: { on: false },
-    dimming: { brightness: 0 },
-    color: { xy: { x: 0.31, y: 0.33 } },
-  },
-  "light-4a": {
-    id: "light-4a",
-    metadata: { name: "Waiting Area Left" },
-    on: { on: false },
-    dimming: { brightness: 0 },
-    color: { xy: { x: 0.31, y: 0.33 } },
-  },
-  "light-4b": {
-    id: "light-4b",
-    metadata: { name: "Waiting Area Right" },
-    on: { on: false },
-    dimming: { brightness: 0 },
-    color: { xy: { x: 0.31, y: 0.33 } },
+const lights = {}; // light id → light resource
+const devices = [];
+const connectivity = []; // zigbee_connectivity, plus the light each is for
+const areas = []; // rooms and zones: { resource, groupedLightId, lights, v1Type }
+const groupToLights = {}; // grouped_light id → member light ids
+
+topology.rooms
+  .flatMap((room) => room.lights)
+  .forEach(({ id, name, gamut, suffix }, i) => {
+    const n = i + 1;
+    const deviceId = `device-${suffix}`;
+    const zigbeeId = `zigbee-${suffix}`;
+    const owner = { rid: deviceId, rtype: "device" };
+    const id_v1 = `/lights/${n}`;
+
+    lights[id] = {
+      id,
+      id_v1,
+      owner,
+      metadata: { name, archetype: PRODUCTS[gamut].product_archetype },
+      on: { on: false },
+      dimming: { brightness: 0, min_dim_level: 0.2 },
+      color: colorState(gamut),
+      color_temperature: colorTemperatureState(),
+      alert: { action_values: ["breathe"] },
+      mode: "normal",
+      type: "light",
+    };
+    devices.push({
+      id: deviceId,
+      id_v1,
+      product_data: {
+        ...PRODUCTS[gamut],
+        manufacturer_name: "Signify Netherlands B.V.",
+        certified: true,
+        software_version: "1.104.2",
+      },
+      metadata: { name, archetype: PRODUCTS[gamut].product_archetype },
+      services: [
+        { rid: zigbeeId, rtype: "zigbee_connectivity" },
+        { rid: id, rtype: "light" },
+      ],
+      type: "device",
+    });
+    connectivity.push({
+      lightId: id,
+      resource: { id: zigbeeId, id_v1, owner, mac_address: macAddress(n), type: "zigbee_connectivity" },
+    });
+  });
+
+const deviceOf = (lightId) => lights[lightId].owner.rid;
+
+[...topology.rooms.map((r) => ["room", r]), ...topology.zones.map((z) => ["zone", z])].forEach(
+  ([type, area], i) => {
+    const lightIds = type === "room" ? area.lights.map((l) => l.id) : area.lights;
+    areas.push({
+      resource: {
+        id: area.id,
+        id_v1: `/groups/${i + 1}`,
+        children:
+          type === "room"
+            ? lightIds.map((lid) => ({ rid: deviceOf(lid), rtype: "device" }))
+            : lightIds.map((lid) => ({ rid: lid, rtype: "light" })),
+        services: [{ rid: area.groupedLightId, rtype: "grouped_light" }],
+        metadata: { name: area.name, archetype: type === "room" ? "other" : "home" },
+        type,
+      },
+      groupedLightId: area.groupedLightId,
+      lights: lightIds,
+      v1Type: type === "room" ? "Room" : "Zone",
+    });
+    groupToLights[area.groupedLightId] = lightIds;
+  }
+);
+
+const bridgeDevice = {
+  id: BRIDGE_DEVICE_ID,
+  product_data: {
+    model_id: "BSB002",
+    manufacturer_name: "Signify Netherlands B.V.",
+    product_name: "Hue Bridge",
+    product_archetype: "bridge_v2",
+    certified: true,
+    software_version: "1.65.1965111030",
   },
+  metadata: { name: "Fake Hue Bridge", archetype: "bridge_v2" },
+  services: [{ rid: "bridge-1", rtype: "bridge" }],
+  type: "device",
 };
 
-// ── Room definitions ──
-// Mirrors demoRooms.js structure but in Hue API response format
-const rooms = [
-  {
-    id: "room-1",
-    metadata: { name: "Room 1 — Consultation" },
-    children: [{ rtype: "device", rid: "light-1a" }],
-    services: [{ rtype: "grouped_light", rid: "group-1" }],
-  },
-  {
-    id: "room-2",
-    metadata: { name: "Room 2 — Examination" },
-    children: [
-      { rtype: "device", rid: "light-2a" },
-      { rtype: "device", rid: "light-2b" },
-    ],
-    services: [{ rtype: "grouped_light", rid: "group-2" }],
-  },
-  {
-    id: "room-3",
-    metadata: { name: "Room 3 — Treatment" },
-    children: [{ rtype: "device", rid: "light-3a" }],
-    services: [{ rtype: "grouped_light", rid: "group-3" }],
-  },
-  {
-    id: "room-4",
-    metadata: { name: "Room 4 — Waiting Area" },
-    children: [
-      { rtype: "device", rid: "light-4a" },
-      { rtype: "device", rid: "light-4b" },
-    ],
-    services: [{ rtype: "grouped_light", rid: "group-4" }],
-  },
-];
-
-// ── Map grouped_light IDs to their member lights ──
-const groupToLights = {
-  "group-1": ["light-1a"],
-  "group-2": ["light-2a", "light-2b"],
-  "group-3": ["light-3a"],
-  "group-4": ["light-4a", "light-4b"],
+const bridgeResource = {
+  id: "bridge-1",
+  owner: { rid: BRIDGE_DEVICE_ID, rtype: "device" },
+  bridge_id: BRIDGE_ID,
+  time_zone: { time_zone: "Europe/Amsterdam" },
+  type: "bridge",
 };
 
+// A grouped_light reports its members: on if any is on, and
+// their average brightness
+function groupedLight({ resource, groupedLightId, lights: members }) {
+  const on = members.filter((lid) => lights[lid].on.on);
+  const brightness = on.length
+    ? on.reduce((sum, lid) => sum + lights[lid].dimming.brightness, 0) / on.length
+    : 0;
+  return {
+    id: groupedLightId,
+    id_v1: resource.id_v1,
+    owner: { rid: resource.id, rtype: resource.type },
+    on: { on: on.length > 0 },
+    dimming: { brightness: Math.round(brightness * 100) / 100 },
+    alert: { action_values: ["breathe"] },
+    type: "grouped_light",
+  };
+}
+
+// zigbee_connectivity follows the --unreachable fault
+function connectivityOf({ lightId, resource }) {
+  return { ...resource, status: isReachable(lightId) ? "connected" : "connectivity_issue" };
+}
+
+/**
+ * Every resource of one type, as the bridge would report it now.
+ */
+function resourcesOf(type) {
+  switch (type) {
+    case "light":
+      return Object.values(lights);
+    case "device":
+      return [bridgeDevice, ...devices];
+    case "zigbee_connectivity":
+      return connectivity.map(connectivityOf);
+    case "room":
+    case "zone":
+      return areas.filter((a) => a.resource.type === type).map((a) => a.resource);
+    case "grouped_light":
+      return areas.map(groupedLight);
+    case "bridge":
+      return [bridgeResource];
+    default:
+      return null;
+  }
+}
+
+const RESOURCE_TYPES = ["device", "bridge", "light", "zigbee_connectivity", "room", "zone", "grouped_light"];
+
 // ── Helper: CIE xy to rough color name for console logs ──
 function xyToColorName(x, y) {
   if (x > 0.6 && y < 0.35) return "🔴 RED";
@@ -131,6 +428,33 @@ function xyToColorName(x, y) {
   return "⚪ WHITE";
 }
 
+// ── Helper: apply a requested colour the way a bulb would ──
+// Colours outside the bulb's gamut land on the nearest edge, and
+// that's what the bridge reports back
+function applyColor(light, color) {
+  if (!color.xy) return;
+  light.color = { ...light.color, xy: clampToGamut(color.xy, light.color.gamut) };
+  light.color_temperature = { ...light.color_temperature, mirek_valid: false };
+}
+
+function applyColorTemperature(light, { mirek }) {
+  const { mirek_minimum: min, mirek_maximum: max } = light.color_temperature.mirek_schema;
+  if (typeof mirek !== "number") return;
+  light.color_temperature = {
+    ...light.color_temperature,
+    mirek: Math.min(Math.max(Math.round(mirek), min), max),
+    mirek_valid: true,
+  };
+}
+
+// Apply a CLIP v2-shaped change — both APIs end up here
+function applyToLight(light, body) {
+  if (body.on !== undefined) light.on = body.on;
+  if (body.dimming !== undefined) light.dimming = { ...light.dimming, ...body.dimming };
+  if (body.color !== undefined) applyColor(light, body.color);
+  if (body.color_temperature !== undefined) applyColorTemperature(light, body.color_temperature);
+}
+
 // ── Helper: format a light state change for console ──
 function logLightChange(lightId, light) {
   const state = light.on.on ? "ON" : "OFF";
@@ -143,24 +467,337 @@ function logLightChange(lightId, light) {
   );
 }
 
+// ============================================================
+// FAULTS — a bridge having a bad day
+// ============================================================
+//
+// Set from the command line at startup, and switched at runtime
+// through /faults (see the header). Every Hue API request passes
+// through injectFaults() first; a revoked key is refused by
+// authorized(), and the routes leave unreachable lights alone.
+
+const NO_FAULTS = {
+  latencyMs: 0,
+  jitterMs: 0,
+  errorRate: 0, // 0–1
+  dropRate: 0, // 0–1
+  revoked: false, // false | 401 | 403
+  unreachable: [], // light ids
+  rateLimit: 0, // commands per second, 0 = no limit
+};
+
+let faults = { ...NO_FAULTS };
+
+/**
+ * Change some faults: { latencyMs?, jitterMs?, errorRate?,
+ * dropRate?, revoked?, unreachable?, rateLimit? }. Throws on
+ * anything invalid, leaving the faults as they were.
+ */
+function setFaults(changes) {
+  const next = { ...faults };
+  for (const [key, value] of Object.entries(changes)) {
+    switch (key) {
+      case "latencyMs":
+      case "jitterMs":
+      case "rateLimit":
+        if (!Number.isFinite(value) || value < 0) throw new Error(`${key} must be a number, 0 or more`);
+        break;
+      case "errorRate":
+      case "dropRate":
+        if (!Number.isFinite(value) || value < 0 || value > 1) {
+          throw new Error(`${key} must be between 0 and 1`);
+        }
+        break;
+      case "revoked":
+        if (![false, 401, 403].includes(value)) throw new Error("revoked must be false, 401 or 403");
+        break;
+      case "unreachable": {
+        if (!Array.isArray(value)) throw new Error("unreachable must be a list of light ids");
+        const unknown = value.find((id) => !lights[id]);
+        if (unknown !== undefined) throw new Error(`Unknown light "${unknown}"`);
+        break;
+      }
+      default:
+        throw new Error(`Unknown fault "${key}"`);
+    }
+    next[key] = value;
+  }
+  faults = next;
+}
+
+function describeFaults() {
+  const active = [];
+  const percent = (rate) => `${Math.round(rate * 100)}%`;
+  if (faults.latencyMs || faults.jitterMs) {
+    const upTo = faults.jitterMs ? `–${faults.latencyMs + faults.jitterMs}` : "";
+    active.push(`${faults.latencyMs}${upTo} ms late`);
+  }
+  if (faults.errorRate) active.push(`${percent(faults.errorRate)} errors`);
+  if (faults.dropRate) active.push(`${percent(faults.dropRate)} dropped`);
+  if (faults.revoked) active.push(`key revoked (${faults.revoked})`);
+  if (faults.unreachable.length) active.push(`unreachable: ${faults.unreachable.join(", ")}`);
+  if (faults.rateLimit) active.push(`429 above ${faults.rateLimit}/s`);
+  return active.join(" · ") || "none";
+}
+
+// ── Faults from the command line ──
+const FAULT_FLAGS = {
+  latency: ["latencyMs", number],
+  jitter: ["jitterMs", number],
+  "error-rate": ["errorRate", number],
+  "drop-rate": ["dropRate", number],
+  revoked: ["revoked", (value) => (value === true ? 403 : number(value))],
+  unreachable: ["unreachable", (value) => String(value).split(",").filter(Boolean)],
+  "rate-limit": ["rateLimit", (value) => (value === true ? 10 : number(value))],
+};
+
+try {
+  const fromFlags = {};
+  for (const [name, [key, parse]] of Object.entries(FAULT_FLAGS)) {
+    if (flag(name) !== undefined) fromFlags[key] = parse(flag(name));
+  }
+  setFaults(fromFlags);
+} catch (err) {
+  console.log(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+const isReachable = (lightId) => !faults.unreachable.includes(lightId);
+
+// What a real bridge says about a command for a light it can't reach
+function unreachableError(type, body) {
+  const command = Object.keys(body).map((key) => `.${key}`).join(", ");
+  return { description: `device (${type}) has communication issues, command (${command}) may not have effect` };
+}
+
+// Commands (PUTs) in the last second, for the rate limit
+const recentCommands = [];
+
+function overRateLimit() {
+  const now = Date.now();
+  while (recentCommands.length && now - recentCommands[0] >= 1000) recentCommands.shift();
+  if (recentCommands.length >= faults.rateLimit) return true;
+  recentCommands.push(now);
+  return false;
+}
+
+// Injected errors in the shape of the API that was called: CLIP
+// v2's { errors: [...] }, or under /api v1's error array, whose
+// address leaves out the username
+function sendFault(req, res, status, description) {
+  if (req.baseUrl !== "/api") return res.status(status).json({ errors: [{ description }] });
+  const address = req.path.replace(/^\/[^/]+/, "") || "/";
+  res.status(status).json(v1Error(901, address, description));
+}
+
+function injectFaults(req, res, next) {
+  const delay = faults.latencyMs + Math.random() * faults.jitterMs;
+  setTimeout(() => {
+    if (Math.random() < faults.dropRate) {
+      console.log(`\n🔌 ${req.method} ${req.originalUrl} — dropped`);
+      return req.socket.destroy();
+    }
+    if (Math.random() < faults.errorRate) {
+      const status = Math.random() < 0.5 ? 500 : 503;
+      console.log(`\n💥 ${req.method} ${req.originalUrl} — ${status}`);
+      const description = status === 503 ? "service unavailable" : "internal error";
+      return sendFault(req, res, status, description);
+    }
+    if (faults.rateLimit && req.method === "PUT" && overRateLimit()) {
+      console.log(`\n🚦 ${req.method} ${req.originalUrl} — 429, over ${faults.rateLimit} commands/s`);
+      return sendFault(req, res, 429, "Too many requests");
+    }
+    next();
+  }, delay);
+}
+
+app.use(["/clip/v2", "/eventstream", "/api"], injectFaults);
+
+// Not part of the Hue API — switch faults while running
+app.get("/faults", (req, res) => {
+  res.json(faults);
+});
+
+// Lights going unreachable (or coming back) show up on the event
+// stream as zigbee_connectivity updates
+function emitConnectivityChanges(before) {
+  const after = connectivity.map(connectivityOf);
+  emitUpdates(
+    after
+      .filter((c, i) => c.status !== before[i].status)
+      .map(({ id, id_v1, owner, status, type }) => ({ id, id_v1, owner, status, type }))
+  );
+}
+
+app.put("/faults", (req, res) => {
+  const wasRevoked = faults.revoked;
+  const before = connectivity.map(connectivityOf);
+  try {
+    setFaults(req.body || {});
+  } catch (err) {
+    console.log(`\n❌ PUT /faults — ${err.message}`);
+    return res.status(400).json({ error: err.message });
+  }
+  // A revoked app loses its event stream too
+  if (faults.revoked && !wasRevoked) {
+    for (const client of eventClients) client.end();
+  }
+  emitConnectivityChanges(before);
+  console.log(`\n🧪 Faults: ${describeFaults()}`);
+  res.json(faults);
+});
+
+app.delete("/faults", (req, res) => {
+  const before = connectivity.map(connectivityOf);
+  faults = { ...NO_FAULTS };
+  emitConnectivityChanges(before);
+  console.log(`\n🧪 Faults cleared`);
+  res.json(faults);
+});
+
+// ── Who may call the API ──
+// Usernames handed out by the link button (see PAIRING below).
+// Without --require-pairing every key works — unless revoked.
+const whitelist = new Map(); // username → { devicetype, created }
+
+function authorized(key) {
+  if (faults.revoked) return false;
+  return !REQUIRE_PAIRING || whitelist.has(key);
+}
+
+// An old v1-only bridge has no CLIP v2 at all. A real one answers
+// a bad key with 403.
+app.use(["/clip/v2", "/eventstream"], (req, res, next) => {
+  if (V1_ONLY) return res.status(404).send("Not found");
+  if (!authorized(req.get("hue-application-key"))) {
+    console.log(`\n🔒 ${req.method} ${req.path} — unauthorized key`);
+    return res.status(faults.revoked || 403).json({ errors: [{ description: "unauthorized user" }] });
+  }
+  next();
+});
+
+// ============================================================
+// EVENT STREAM — GET /eventstream/clip/v2
+// ============================================================
+//
+// Same framing as a real bridge: an "id:" line plus a "data:"
+// line holding an array of event containers, each with its own
+// array of partial resource updates.
+
+const eventClients = new Set();
+let eventCounter = 0;
+
+function emitUpdates(updates) {
+  if (updates.length === 0 || eventClients.size === 0) return;
+  const now = new Date();
+  const container = {
+    creationtime: now.toISOString(),
+    id: `evt-${++eventCounter}`,
+    type: "update",
+    data: updates,
+  };
+  const frame = `id: ${Math.floor(now.getTime() / 1000)}:${eventCounter}\ndata: ${JSON.stringify([container])}\n\n`;
+  for (const res of eventClients) res.write(frame);
+}
+
+// Partial update for one light — only the fields that were sent
+function lightUpdate(lightId, body) {
+  const { id_v1, owner } = lights[lightId];
+  const update = { id: lightId, id_v1, owner, type: "light" };
+  if (body.on !== undefined) update.on = lights[lightId].on;
+  if (body.dimming !== undefined) update.dimming = lights[lightId].dimming;
+  if (body.color !== undefined) update.color = { xy: lights[lightId].color.xy };
+  if (body.color_temperature !== undefined) {
+    const { mirek, mirek_valid } = lights[lightId].color_temperature;
+    update.color_temperature = { mirek, mirek_valid };
+  }
+  return update;
+}
+
+app.get("/eventstream/clip/v2", (req, res) => {
+  console.log("\n📡 Event stream client connected");
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": hi\n\n");
+  eventClients.add(res);
+
+  // Keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 30000);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    eventClients.delete(res);
+    console.log("\n📡 Event stream client disconnected");
+  });
+});
+
 // ============================================================
 // API ROUTES — matches Hue CLIP v2 exactly
 // ============================================================
 
-// GET lights
-app.get("/clip/v2/resource/light", (req, res) => {
-  console.log("\n📥 GET /clip/v2/resource/light");
-  console.log("  Returning", Object.keys(lights).length, "lights");
-  res.json({ data: Object.values(lights) });
+// GET everything
+app.get("/clip/v2/resource", (req, res) => {
+  const data = RESOURCE_TYPES.flatMap(resourcesOf);
+  console.log("\n📥 GET /clip/v2/resource");
+  console.log("  Returning", data.length, "resources");
+  res.json({ errors: [], data });
 });
 
-// GET rooms
-app.get("/clip/v2/resource/room", (req, res) => {
-  console.log("\n📥 GET /clip/v2/resource/room");
-  console.log("  Returning", rooms.length, "rooms");
-  res.json({ data: rooms });
+// GET every resource of one type
+app.get("/clip/v2/resource/:type", (req, res) => {
+  const { type } = req.params;
+  const data = resourcesOf(type);
+  console.log(`\n📥 GET /clip/v2/resource/${type}`);
+  if (!data) {
+    console.log(`  ❌ No resource type ${type}`);
+    return res.status(404).json({ errors: [{ description: "Not Found" }], data: [] });
+  }
+  console.log("  Returning", data.length, type === "light" ? "lights" : `${type} resources`);
+  res.json({ errors: [], data });
+});
+
+// GET one resource
+app.get("/clip/v2/resource/:type/:id", (req, res) => {
+  const { type, id } = req.params;
+  const resource = resourcesOf(type)?.find((r) => r.id === id);
+  console.log(`\n📥 GET /clip/v2/resource/${type}/${id}`);
+  if (!resource) {
+    console.log(`  ❌ ${type} ${id} not found`);
+    return res.status(404).json({ errors: [{ description: "Not Found" }], data: [] });
+  }
+  res.json({ errors: [], data: [resource] });
 });
 
+// What a PUT may change, and what each value must be. A real
+// bridge refuses the whole body with a 400 if any of them is off
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const V2_STATE_VALUES = {
+  on: (value) => typeof value?.on === "boolean",
+  dimming: (value) =>
+    isNumber(value?.brightness) && value.brightness >= 0 && value.brightness <= 100,
+  color: (value) => isNumber(value?.xy?.x) && isNumber(value?.xy?.y),
+  color_temperature: (value) => isNumber(value?.mirek),
+  alert: (value) => typeof value?.action === "string",
+};
+
+// The errors for a PUT body — empty when it can be applied
+function v2StateErrors(body) {
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    return [{ description: "request body contained invalid JSON" }];
+  }
+  return Object.entries(V2_STATE_VALUES)
+    .filter(([key, isValid]) => body[key] !== undefined && !isValid(body[key]))
+    .map(([key]) => ({ description: `invalid value for property ${key}` }));
+}
+
+function refuseV2State(res, errors) {
+  console.log(`  ❌ ${errors.map((e) => e.description).join(", ")}`);
+  res.status(400).json({ data: [], errors });
+}
+
 // PUT single light
 app.put("/clip/v2/resource/light/:id", (req, res) => {
   const { id } = req.params;
@@ -173,16 +810,21 @@ app.put("/clip/v2/resource/light/:id", (req, res) => {
     console.log(`  ❌ Light ${id} not found`);
     return res.status(404).json({ errors: [{ description: `Light ${id} not found` }] });
   }
+  const errors = v2StateErrors(body);
+  if (errors.length > 0) return refuseV2State(res, errors);
 
-  // Apply changes
-  if (body.on !== undefined) lights[id].on = body.on;
-  if (body.dimming !== undefined) lights[id].dimming = body.dimming;
-  if (body.color !== undefined) lights[id].color = body.color;
+  if (!isReachable(id)) {
+    console.log(`  📵 ${lights[id].metadata.name} is unreachable — unchanged`);
+    return res.json({ data: [{ id, type: "light" }], errors: [unreachableError("light", body)] });
+  }
+
+  applyToLight(lights[id], body);
   if (body.alert) {
     console.log(`  ⚡ Alert: ${body.alert.action} on ${lights[id].metadata.name}`);
   }
 
   logLightChange(id, lights[id]);
+  emitUpdates([lightUpdate(id, body)]);
 
   res.json({ data: [{ id, type: "light" }] });
 });
@@ -200,23 +842,365 @@ app.put("/clip/v2/resource/grouped_light/:id", (req, res) => {
     console.log(`  ❌ Group ${id} not found`);
     return res.status(404).json({ errors: [{ description: `Group ${id} not found` }] });
   }
+  const errors = v2StateErrors(body);
+  if (errors.length > 0) return refuseV2State(res, errors);
 
   console.log(`  Applying to ${memberLights.length} lights in group:`);
+  if (body.alert) console.log(`  ⚡ Alert: ${body.alert.action} on group ${id}`);
 
-  // Apply to all lights in group
+  // Apply to all lights in group that can be reached
+  const reached = memberLights.filter(isReachable);
   for (const lightId of memberLights) {
-    if (body.on !== undefined) lights[lightId].on = body.on;
-    if (body.dimming !== undefined) lights[lightId].dimming = body.dimming;
-    if (body.color !== undefined) lights[lightId].color = body.color;
+    if (!reached.includes(lightId)) {
+      console.log(`  📵 ${lights[lightId].metadata.name} is unreachable — unchanged`);
+      continue;
+    }
+    applyToLight(lights[lightId], body);
     logLightChange(lightId, lights[lightId]);
   }
 
-  res.json({ data: [{ id, type: "grouped_light" }] });
+  // A real bridge reports the group itself (on/dimming only) plus
+  // every member light that changed
+  const { id_v1, owner } = groupedLight(areas.find((a) => a.groupedLightId === id));
+  const groupUpdate = { id, id_v1, owner, type: "grouped_light" };
+  if (body.on !== undefined) groupUpdate.on = body.on;
+  if (body.dimming !== undefined) groupUpdate.dimming = body.dimming;
+  emitUpdates([groupUpdate, ...reached.map((lid) => lightUpdate(lid, body))]);
+
+  // …and a 207 when some of them didn't get it
+  const data = [{ id, type: "grouped_light" }];
+  if (reached.length < memberLights.length) {
+    return res.status(207).json({ data, errors: [unreachableError("grouped_light", body)] });
+  }
+  res.json({ data });
+});
+
+// ============================================================
+// PAIRING — the link button
+// ============================================================
+//
+// Like a real bridge: POST /api answers "link button not pressed"
+// (error type 101) until the button has been pressed, then hands
+// out a new username (the API key) and clientkey.
+
+const LINK_WINDOW_MS = 30000;
+let linkButtonUntil = 0;
+
+function pressLinkButton(how) {
+  linkButtonUntil = Date.now() + LINK_WINDOW_MS;
+  console.log(`\n🔘 Link button pressed (${how}) — pairing open for 30 seconds`);
+}
+
+// Press Enter in this terminal to press the button
+if (process.stdin.isTTY) {
+  process.stdin.on("data", () => pressLinkButton("terminal"));
+}
+
+// Not part of the Hue API — the stand-in for the physical button
+app.post("/linkbutton", (req, res) => {
+  pressLinkButton("HTTP");
+  res.json({ pressed: true, openForSeconds: LINK_WINDOW_MS / 1000 });
+});
+
+// Public config — readable without a key, like a real bridge
+app.get(["/api/config", "/api/nouser/config"], (req, res) => {
+  res.json({
+    name: "Fake Hue Bridge",
+    bridgeid: BRIDGE_ID.toUpperCase(),
+    modelid: "BSB002",
+    apiversion: "1.65.0",
+    swversion: "1965111030",
+    mac: "00:17:88:00:00:01",
+    factorynew: false,
+  });
+});
+
+app.post("/api", (req, res) => {
+  const { devicetype, generateclientkey } = req.body || {};
+  console.log(`\n📥 POST /api  devicetype=${JSON.stringify(devicetype)}`);
+
+  if (typeof devicetype !== "string" || !devicetype) {
+    console.log("  ❌ Missing devicetype");
+    return res.json([
+      { error: { type: 5, address: "/", description: "invalid/missing parameters in body" } },
+    ]);
+  }
+  if (Date.now() > linkButtonUntil) {
+    console.log("  ⏳ Link button not pressed — press Enter here to press it");
+    return res.json([
+      { error: { type: 101, address: "", description: "link button not pressed" } },
+    ]);
+  }
+
+  const username = crypto.randomBytes(30).toString("base64url");
+  whitelist.set(username, { devicetype, created: new Date().toISOString() });
+  console.log(`  🔑 Paired "${devicetype}" → ${username}`);
+  const success = { username };
+  if (generateclientkey) success.clientkey = crypto.randomBytes(16).toString("hex").toUpperCase();
+  res.json([{ success }]);
+});
+
+// ============================================================
+// V1 API — /api/<username>/…
+// ============================================================
+//
+// The API older bridges speak, served from the same lights as
+// CLIP v2 — a change made through one shows up in the other, and
+// on the event stream. The differences a client has to handle:
+//
+//   - ids are numbers: lights "1", "2" …, groups "1", "2" … —
+//     rooms first, then zones (group "0" is every light)
+//   - brightness is bri 1–254, colour an xy array [x, y]
+//   - rooms are groups with type "Room", zones type "Zone"
+//   - errors come back as HTTP 200 with an error array, e.g.
+//     [{ error: { type: 1, address: "/lights",
+//                 description: "unauthorized user" } }]
+
+const v1LightIds = Object.keys(lights); // v1 id "1" → v1LightIds[0]
+const v1GroupIds = Object.keys(groupToLights);
+
+const v1LightId = (lightId) => String(v1LightIds.indexOf(lightId) + 1);
+const lightForV1 = (id) => v1LightIds[Number(id) - 1];
+const membersOfV1Group = (id) =>
+  id === "0" ? v1LightIds : groupToLights[v1GroupIds[Number(id) - 1]];
+
+function v1Error(type, address, description) {
+  return [{ error: { type, address, description } }];
+}
+
+const notAvailable = (address) =>
+  v1Error(3, address, `resource, ${address}, not available`);
+
+function v1Bri(light) {
+  return Math.max(1, Math.round((light.dimming.brightness / 100) * 254));
+}
+
+function v1LightState(light) {
+  const ct = light.color_temperature;
+  return {
+    on: light.on.on,
+    bri: v1Bri(light),
+    xy: [light.color.xy.x, light.color.xy.y],
+    ct: ct.mirek,
+    alert: "none",
+    colormode: ct.mirek_valid ? "ct" : "xy",
+    mode: "homeautomation",
+    reachable: isReachable(light.id),
+  };
+}
+
+function v1Light(light) {
+  const { red, green, blue } = light.color.gamut;
+  const { mirek_minimum: min, mirek_maximum: max } = light.color_temperature.mirek_schema;
+  return {
+    state: v1LightState(light),
+    type: "Extended color light",
+    name: light.metadata.name,
+    modelid: PRODUCTS[light.color.gamut_type].model_id,
+    manufacturername: "Signify Netherlands B.V.",
+    uniqueid: `${macAddress(Number(v1LightId(light.id)))}-0b`,
+    capabilities: {
+      control: {
+        colorgamuttype: light.color.gamut_type,
+        colorgamut: [red, green, blue].map((p) => [p.x, p.y]),
+        ct: { min, max },
+      },
+    },
+  };
+}
+
+function v1Group(name, type, memberIds) {
+  const members = memberIds.map((lid) => lights[lid]);
+  const first = members[0];
+  return {
+    name,
+    lights: memberIds.map(v1LightId),
+    type,
+    ...(type === "Room" && { class: "Other" }),
+    state: {
+      all_on: members.every((l) => l.on.on),
+      any_on: members.some((l) => l.on.on),
+    },
+    action: first ? v1LightState(first) : { on: false },
+  };
+}
+
+function v1Groups() {
+  return Object.fromEntries(
+    areas.map((area, i) => [
+      String(i + 1),
+      v1Group(area.resource.metadata.name, area.v1Type, area.lights),
+    ])
+  );
+}
+
+function v1Config() {
+  return {
+    name: "Fake Hue Bridge",
+    bridgeid: BRIDGE_ID.toUpperCase(),
+    modelid: "BSB002",
+    apiversion: "1.65.0",
+    swversion: "1965111030",
+    mac: "00:17:88:00:00:01",
+    linkbutton: Date.now() <= linkButtonUntil,
+    whitelist: Object.fromEntries(
+      [...whitelist].map(([username, entry]) => [
+        username,
+        { name: entry.devicetype, "create date": entry.created },
+      ])
+    ),
+  };
+}
+
+// The v1 state parameters, and what a value must be for each
+const V1_STATE_VALUES = {
+  on: (value) => typeof value === "boolean",
+  bri: (value) => typeof value === "number",
+  xy: (value) =>
+    Array.isArray(value) && value.length === 2 && value.every((n) => typeof n === "number"),
+  ct: (value) => typeof value === "number",
+  alert: (value) => typeof value === "string",
+  transitiontime: (value) => typeof value === "number",
+};
+
+/**
+ * v1 state body → the CLIP v2-shaped change applyToLight() takes,
+ * plus the entries a real bridge answers with: a success for each
+ * parameter set, a type 7 error for each value of the wrong type
+ * ({ "on": "yes" }). The valid parameters still apply.
+ */
+function fromV1State(body, address) {
+  const change = {};
+  const results = [];
+  const ok = (key, value) => results.push({ success: { [`${address}/${key}`]: value } });
+
+  for (const [key, isValid] of Object.entries(V1_STATE_VALUES)) {
+    if (body[key] === undefined || isValid(body[key])) continue;
+    const value = typeof body[key] === "string" ? body[key] : JSON.stringify(body[key]);
+    console.log(`  ❌ Invalid value for ${key}: ${value}`);
+    results.push(...v1Error(7, `${address}/${key}`, `invalid value, ${value}, for parameter, ${key}`));
+  }
+
+  if (typeof body.on === "boolean") {
+    change.on = { on: body.on };
+    ok("on", body.on);
+  }
+  if (typeof body.bri === "number") {
+    const bri = Math.min(Math.max(Math.round(body.bri), 1), 254);
+    change.dimming = { brightness: Math.round((bri / 254) * 10000) / 100 };
+    ok("bri", bri);
+  }
+  if (V1_STATE_VALUES.xy(body.xy)) {
+    change.color = { xy: { x: body.xy[0], y: body.xy[1] } };
+    ok("xy", body.xy);
+  }
+  if (typeof body.ct === "number") {
+    change.color_temperature = { mirek: body.ct };
+    ok("ct", body.ct);
+  }
+  if (typeof body.alert === "string") ok("alert", body.alert);
+  if (typeof body.transitiontime === "number") ok("transitiontime", body.transitiontime);
+  return { change, results };
+}
+
+// Every /api/<username>/… route checks the username first
+app.use("/api/:username", (req, res, next) => {
+  if (authorized(req.params.username)) return next();
+  console.log(`\n🔒 v1 ${req.method} ${req.path} — unauthorized user`);
+  res.json(v1Error(1, req.path === "/" ? "/" : req.path, "unauthorized user"));
+});
+
+app.get("/api/:username", (req, res) => {
+  console.log("\n📥 v1 GET full state");
+  res.json({
+    lights: Object.fromEntries(v1LightIds.map((lid) => [v1LightId(lid), v1Light(lights[lid])])),
+    groups: v1Groups(),
+    config: v1Config(),
+  });
+});
+
+app.get("/api/:username/config", (req, res) => {
+  res.json(v1Config());
+});
+
+app.get("/api/:username/lights", (req, res) => {
+  console.log("\n📥 v1 GET /lights");
+  res.json(Object.fromEntries(v1LightIds.map((lid) => [v1LightId(lid), v1Light(lights[lid])])));
+});
+
+app.get("/api/:username/lights/:id", (req, res) => {
+  const lightId = lightForV1(req.params.id);
+  if (!lightId) return res.json(notAvailable(`/lights/${req.params.id}`));
+  res.json(v1Light(lights[lightId]));
+});
+
+app.put("/api/:username/lights/:id/state", (req, res) => {
+  const address = `/lights/${req.params.id}/state`;
+  console.log(`\n📤 v1 PUT ${address}`);
+  console.log("  Body:", JSON.stringify(req.body));
+
+  const lightId = lightForV1(req.params.id);
+  if (!lightId) {
+    console.log(`  ❌ Light ${req.params.id} not found`);
+    return res.json(notAvailable(address));
+  }
+  const { change, results } = fromV1State(req.body || {}, address);
+  // A v1 bridge answers success either way — the state just says
+  // reachable: false
+  if (!isReachable(lightId)) {
+    console.log(`  📵 ${lights[lightId].metadata.name} is unreachable — unchanged`);
+    return res.json(results);
+  }
+  applyToLight(lights[lightId], change);
+  if (req.body?.alert) console.log(`  ⚡ Alert: ${req.body.alert} on ${lights[lightId].metadata.name}`);
+
+  logLightChange(lightId, lights[lightId]);
+  emitUpdates([lightUpdate(lightId, change)]);
+  res.json(results);
+});
+
+app.get("/api/:username/groups", (req, res) => {
+  console.log("\n📥 v1 GET /groups");
+  res.json(v1Groups());
+});
+
+app.get("/api/:username/groups/:id", (req, res) => {
+  const { id } = req.params;
+  if (id === "0") return res.json(v1Group("Group 0", "LightGroup", v1LightIds));
+  const group = v1Groups()[id];
+  if (!group) return res.json(notAvailable(`/groups/${id}`));
+  res.json(group);
+});
+
+app.put("/api/:username/groups/:id/action", (req, res) => {
+  const address = `/groups/${req.params.id}/action`;
+  console.log(`\n📤 v1 PUT ${address}`);
+  console.log("  Body:", JSON.stringify(req.body));
+
+  const memberLights = membersOfV1Group(req.params.id);
+  if (!memberLights) {
+    console.log(`  ❌ Group ${req.params.id} not found`);
+    return res.json(notAvailable(address));
+  }
+  const { change, results } = fromV1State(req.body || {}, address);
+  console.log(`  Applying to ${memberLights.length} lights in group:`);
+  if (req.body?.alert) console.log(`  ⚡ Alert: ${req.body.alert} on group ${req.params.id}`);
+  const reached = memberLights.filter(isReachable);
+  for (const lightId of memberLights) {
+    if (!reached.includes(lightId)) {
+      console.log(`  📵 ${lights[lightId].metadata.name} is unreachable — unchanged`);
+      continue;
+    }
+    applyToLight(lights[lightId], change);
+    logLightChange(lightId, lights[lightId]);
+  }
+  emitUpdates(reached.map((lid) => lightUpdate(lid, change)));
+  res.json(results);
 });
 
-// ── Status endpoint (for quick checks) ──
-app.get("/clip/v2/resource/bridge", (req, res) => {
-  res.json({ data: [{ id: "fake-bridge-001", type: "bridge" }] });
+app.all("/api/:username/{*path}", (req, res) => {
+  console.log(`\n⚠️  Unhandled v1: ${req.method} ${req.path}`);
+  res.json(notAvailable(`/${req.params.path.join("/")}`));
 });
 
 // ── Catch-all for unrecognized Hue API paths ──
@@ -241,8 +1225,17 @@ app.listen(PORT, () => {
   console.log(`║    Bridge IP:  localhost:${PORT}               ║`);
   console.log("║    API Key:    any-key-works                  ║");
   console.log("║                                              ║");
-  console.log("║  Rooms: 4 rooms, 6 lights total              ║");
+  const count = (n, what) => `${n} ${what}${n === 1 ? "" : "s"}`;
+  const counts = [
+    count(topology.rooms.length, "room"),
+    topology.zones.length && count(topology.zones.length, "zone"),
+    count(v1LightIds.length, "light"),
+  ].filter(Boolean).join(", ");
+  console.log(`║  Rooms: ${counts.padEnd(37)}║`);
+  console.log(`║  API:   ${V1_ONLY ? "v1 only (--v1)           " : "CLIP v2 + v1             "}           ║`);
+  console.log("║  Link button: press Enter in this terminal   ║");
   console.log("║  Watch this terminal for live API calls! 👀   ║");
   console.log("╚══════════════════════════════════════════════╝");
+  console.log(`🧪 Faults: ${describeFaults()}`);
   console.log("");
 });
\ No newline at end of file
@@ -0,0 +1,134 @@
+// ============================================================
+// ACTIVITY STORE — durable activity log (JSON lines)
+// ============================================================
+//
+// Every entry is appended as one line to server/data/activity.jsonl
+// and never rewritten, so the file doubles as an audit trail for
+// incident review. The whole log is also kept in memory (a busy
+// clinic writes a few thousand lines a week) for fast filtering.
+//
+// Routes:
+//   GET /api/activity?roomId=&signalId=&success=&from=&to=&offset=&limit=
+//       → { entries (newest first), total }
+//   GET /api/activity/export?format=csv|json&<same filters>
+//       → file download
+// ============================================================
+
+import fs from "node:fs";
+import { Router } from "express";
+import { DATA_DIR, dataPath } from "./store.js";
+import {
+  filterEntries,
+  parseFilters,
+  toCsv,
+  toJson,
+} from "../src/services/activityQuery.js";
+
+const LOG_FILE = "activity.jsonl";
+const MAX_PAGE = 200;
+
+export function createActivityStore() {
+  const file = dataPath(LOG_FILE);
+  const entries = load(file); // oldest first
+  let nextId = entries.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+
+  const store = {
+    /**
+     * Append an entry. Returns the stored entry (with id + timestamp).
+     * `timestamp` is kept for entries a device logged while it
+     * couldn't reach the server — never later than now.
+     */
+    append(entry) {
+      const stored = {
+        id: nextId++,
+        timestamp: pastTime(entry.timestamp),
+        roomId: entry.roomId ? String(entry.roomId) : undefined,
+        roomName: String(entry.roomName || ""),
+        signalId: entry.signalId ? String(entry.signalId) : undefined,
+        signalLabel: String(entry.signalLabel || ""),
+        success: entry.success !== false,
+        note: entry.note ? String(entry.note) : undefined,
+        event: entry.event ? String(entry.event) : undefined,
+        by: entry.by ? String(entry.by) : undefined,
+        sentAt: entry.sentAt ? String(entry.sentAt) : undefined,
+        automatic: entry.automatic ? true : undefined,
+      };
+      entries.push(stored);
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(stored)}\n`);
+      return stored;
+    },
+
+    /**
+     * Most recent entries, newest first.
+     */
+    recent(limit = 50) {
+      return entries.slice(-limit).reverse();
+    },
+
+    query(filters, { offset = 0, limit = 50 } = {}) {
+      const matched = filterEntries(entries, filters).reverse();
+      return {
+        entries: matched.slice(offset, offset + limit),
+        total: matched.length,
+      };
+    },
+
+    router() {
+      const router = Router();
+
+      router.get("/activity", (req, res) => {
+        const params = new URLSearchParams(req.query);
+        const offset = Math.max(0, Number(params.get("offset")) || 0);
+        const limit = Math.min(MAX_PAGE, Math.max(1, Number(params.get("limit")) || 50));
+        res.json(store.query(parseFilters(params), { offset, limit }));
+      });
+
+      router.get("/activity/export", (req, res) => {
+        const params = new URLSearchParams(req.query);
+        const format = params.get("format") === "json" ? "json" : "csv";
+        const matched = filterEntries(entries, parseFilters(params));
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="clinic-signal-activity-${stamp}.${format}"`
+        );
+        if (format === "json") {
+          res.type("application/json").send(toJson(matched));
+        } else {
+          res.type("text/csv").send(toCsv(matched));
+        }
+      });
+
+      return router;
+    },
+  };
+
+  return store;
+}
+
+function pastTime(timestamp) {
+  const time = Date.parse(timestamp);
+  const now = Date.now();
+  return new Date(Number.isNaN(time) || time > now ? now : time).toISOString();
+}
+
+function load(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A torn last line after a crash — skip it
+    }
+  }
+  return entries;
+}
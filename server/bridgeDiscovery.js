@@ -0,0 +1,215 @@
+// ============================================================
+// BRIDGE DISCOVERY
+// ============================================================
+//
+// Finds Hue bridges the two ways Signify documents, at once:
+//
+//   N-UPnP — ask https://discovery.meethue.com which bridges
+//            have checked in from this network's public IP.
+//            Needs internet access; rate limited, so only
+//            called when someone presses "Find Bridges".
+//   mDNS   — ask the local network for _hue._tcp.local. Works
+//            offline; needs the server on the bridge's subnet.
+//
+// The fake bridge (localhost:3100) is checked too, so the whole
+// setup can be tried without hardware.
+//
+// Every address found is confirmed by reading its public
+// /api/config, which also gives the bridge's name and id.
+// ============================================================
+
+import dgram from "node:dgram";
+import { getBridgeConfig } from "./hueClient.js";
+
+const NUPNP_URL = "https://discovery.meethue.com/";
+const MDNS_ADDRESS = "224.0.0.251";
+const MDNS_PORT = 5353;
+const MDNS_SERVICE = "_hue._tcp.local";
+const FAKE_BRIDGE = "localhost:3100";
+
+// DNS record types
+const TYPE_A = 1;
+const TYPE_PTR = 12;
+const TYPE_TXT = 16;
+
+/**
+ * Search the network. Resolves with
+ *   { bridges: [{ id, ip, name, modelId, via, reachable }], failed }
+ * `via` lists how each bridge was found ("cloud", "mdns", "local");
+ * `failed` lists methods that didn't work.
+ */
+export async function discoverBridges({ timeoutMs = 3000 } = {}) {
+  const failed = [];
+  const [cloud, mdns] = await Promise.all([
+    queryNupnp(timeoutMs).catch(() => {
+      failed.push("cloud");
+      return [];
+    }),
+    queryMdns(timeoutMs).catch(() => {
+      failed.push("mdns");
+      return [];
+    }),
+  ]);
+  const candidates = [
+    ...cloud.map((b) => ({ ...b, via: "cloud" })),
+    ...mdns.map((b) => ({ ...b, via: "mdns" })),
+    { ip: FAKE_BRIDGE, via: "local" },
+  ];
+
+  // Same bridge found twice → one entry listing both methods
+  const byIp = new Map();
+  for (const candidate of candidates) {
+    const known = byIp.get(candidate.ip);
+    if (known) known.via.push(candidate.via);
+    else byIp.set(candidate.ip, { ...candidate, via: [candidate.via] });
+  }
+
+  const checked = await Promise.all(
+    [...byIp.values()].map(async (candidate) => {
+      const config = await getBridgeConfig(candidate.ip, { timeoutMs });
+      return {
+        id: (config?.bridgeid || candidate.id || "").toLowerCase() || candidate.ip,
+        ip: candidate.ip,
+        name: config?.name || "Hue Bridge",
+        modelId: config?.modelid,
+        via: candidate.via,
+        reachable: Boolean(config),
+      };
+    })
+  );
+
+  // The fake bridge only counts when it's actually running
+  const bridges = checked.filter((b) => b.reachable || !b.via.includes("local"));
+  console.log(
+    `🔎 Bridge discovery: ${bridges.length} found${failed.length ? ` (${failed.join(", ")} unavailable)` : ""}`
+  );
+  return { bridges, failed };
+}
+
+// ── N-UPnP ──
+
+async function queryNupnp(timeoutMs) {
+  const res = await fetch(NUPNP_URL, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!res.ok) throw new Error(`Discovery service returned ${res.status}`);
+  const list = await res.json();
+  return list
+    .filter((b) => b.internalipaddress)
+    .map((b) => ({
+      id: b.id,
+      ip: b.port && b.port !== 443 ? `${b.internalipaddress}:${b.port}` : b.internalipaddress,
+    }));
+}
+
+// ── mDNS ──
+//
+// Sent from an ordinary port rather than 5353, so bridges answer
+// straight back to us (RFC 6762 "legacy unicast") and we don't
+// compete with the OS's own mDNS responder for the port.
+
+function queryMdns(timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const found = new Map();
+    const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+    let timer = null;
+    let done = false;
+    const finish = (err) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      socket.close();
+      if (err) reject(err);
+      else resolve([...found.values()]);
+    };
+
+    socket.on("error", finish);
+    socket.on("message", (msg, rinfo) => {
+      let records;
+      try {
+        records = parseRecords(msg);
+      } catch {
+        return; // Malformed packet — ignore it
+      }
+      if (!records.some((r) => r.type === TYPE_PTR && r.name.toLowerCase() === MDNS_SERVICE)) {
+        return;
+      }
+      const ip = records.find((r) => r.type === TYPE_A)?.address || rinfo.address;
+      const txt = Object.assign({}, ...records.filter((r) => r.type === TYPE_TXT).map((r) => r.values));
+      found.set(ip, { id: txt.bridgeid, ip });
+    });
+
+    socket.bind(0, () => {
+      socket.send(buildQuery(MDNS_SERVICE), MDNS_PORT, MDNS_ADDRESS, (err) => {
+        if (err) finish(err);
+      });
+      timer = setTimeout(() => finish(), timeoutMs);
+    });
+  });
+}
+
+function encodeName(name) {
+  const labels = name.split(".").map((label) => {
+    const bytes = Buffer.from(label, "utf8");
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  });
+  return Buffer.concat([...labels, Buffer.from([0])]);
+}
+
+function buildQuery(name) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(1, 4); // one question
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(TYPE_PTR, 0);
+  question.writeUInt16BE(1, 2); // class IN
+  return Buffer.concat([header, encodeName(name), question]);
+}
+
+// Read a (possibly compressed) name. Returns { name, end } — `end`
+// is where the name stops in the record, not where a pointer led.
+function readName(buf, offset, hops = 0) {
+  const labels = [];
+  let pos = offset;
+  for (;;) {
+    const len = buf[pos];
+    if (len === undefined) throw new Error("Truncated name");
+    if (len === 0) return { name: labels.join("."), end: pos + 1 };
+    if ((len & 0xc0) === 0xc0) {
+      if (hops > 10) throw new Error("Name pointer loop");
+      const target = buf.readUInt16BE(pos) & 0x3fff;
+      const rest = readName(buf, target, hops + 1).name;
+      return { name: [...labels, rest].filter(Boolean).join("."), end: pos + 2 };
+    }
+    labels.push(buf.toString("utf8", pos + 1, pos + 1 + len));
+    pos += 1 + len;
+  }
+}
+
+// Answer, authority and additional records of one packet
+function parseRecords(buf) {
+  const questions = buf.readUInt16BE(4);
+  const total = buf.readUInt16BE(6) + buf.readUInt16BE(8) + buf.readUInt16BE(10);
+  let pos = 12;
+  for (let i = 0; i < questions; i++) pos = readName(buf, pos).end + 4;
+
+  const records = [];
+  for (let i = 0; i < total; i++) {
+    const { name, end } = readName(buf, pos);
+    const type = buf.readUInt16BE(end);
+    const length = buf.readUInt16BE(end + 8);
+    const data = end + 10;
+    const record = { name, type };
+    if (type === TYPE_A && length === 4) {
+      record.address = [...buf.subarray(data, data + 4)].join(".");
+    } else if (type === TYPE_PTR) {
+      record.target = readName(buf, data).name;
+    } else if (type === TYPE_TXT) {
+      record.values = {};
+      for (let p = data; p < data + length; p += 1 + buf[p]) {
+        const [key, ...value] = buf.toString("utf8", p + 1, p + 1 + buf[p]).split("=");
+        if (key) record.values[key.toLowerCase()] = value.join("=");
+      }
+    }
+    records.push(record);
+    pos = data + length;
+  }
+  return records;
+}
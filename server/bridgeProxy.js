@@ -0,0 +1,358 @@
+// ============================================================
+// BRIDGE PROXY ROUTES
+// ============================================================
+//
+// Clean, version-independent endpoints the browser calls instead
+// of talking to the bridge directly. Each bridge the clinic uses
+// has its own set under /api/bridges/:bridgeId (ids as in
+// src/services/bridgeRegistry.js); the "main" bridge's set is
+// also served straight under /api, as before there were several:
+//
+//   GET  /api/bridge                 → current config + status
+//   PUT  /api/bridge                 → set { bridgeIp, apiKey }
+//   POST /api/bridge/connect         → test the connection
+//   GET  /api/bridge/discover        → bridges found on the network
+//   POST /api/bridge/pair            → { bridgeIp } one link-button
+//                                      pairing attempt → { paired }
+//   GET  /api/bridge/ping            → heartbeat (503 if unreachable)
+//   GET  /api/lights                 → lights (CLIP v2 shape)
+//   GET  /api/rooms                  → rooms  (CLIP v2 shape, children
+//                                      resolved to lights)
+//   GET  /api/zones                  → zones  (same shape)
+//   PUT  /api/lights/:id             → { on, color, brightness, mirek? }
+//   PUT  /api/groups/:id             → { on, color, brightness, mirek? }
+//   POST /api/lights/:id/alert       → native breathe alert (~15 s)
+//   POST /api/groups/:id/alert       → same, for a grouped light
+//   GET  /api/events                 → bridge event stream (SSE relay)
+//
+// The server's own features (the scheduler) use setState() on
+// the returned router instead of HTTP.
+//
+// The API key never leaves the server once it's set — GET only
+// reports whether one is stored. Keys created by pairing are
+// stored here (with their clientkey) and never sent back at all.
+//
+// Credentials live in server/data/bridge.json for the main
+// bridge and bridge.<bridgeId>.json for the others. The
+// HUE_BRIDGE_IP / HUE_API_KEY variables set the main bridge.
+// ============================================================
+
+import os from "node:os";
+import { Router } from "express";
+import { createHueClient, requestApiKey } from "./hueClient.js";
+import { discoverBridges } from "./bridgeDiscovery.js";
+import { readJson, writeJson } from "./store.js";
+import { cleanIp, pairingResult } from "../src/services/bridgeSetup.js";
+
+const MAIN_BRIDGE_ID = "main";
+const BRIDGE_ID_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+// "<app>#<instance>" — the Hue app lists paired apps by this name
+const DEVICE_TYPE = `clinic-signal#${os.hostname().slice(0, 19)}`;
+
+/**
+ * Routes for every bridge: /bridges/:bridgeId/…, plus the main
+ * bridge's at the top level. Each bridge's proxy is created the
+ * first time it's used.
+ */
+export function createBridgeProxies() {
+  const proxies = new Map();
+  const proxyFor = (bridgeId) => {
+    if (!proxies.has(bridgeId)) proxies.set(bridgeId, createBridgeProxy(bridgeId));
+    return proxies.get(bridgeId);
+  };
+
+  const router = Router();
+  router.use("/bridges/:bridgeId", (req, res, next) => {
+    const { bridgeId } = req.params;
+    if (!BRIDGE_ID_PATTERN.test(bridgeId)) {
+      res.status(400).json({ error: `Invalid bridge id "${bridgeId}"` });
+      return;
+    }
+    proxyFor(bridgeId)(req, res, next);
+  });
+  router.use((req, res, next) => proxyFor(MAIN_BRIDGE_ID)(req, res, next));
+
+  /**
+   * Apply { on, color, brightness } on one bridge, from the server.
+   */
+  router.setState = (bridgeId, kind, id, state) =>
+    proxyFor(bridgeId || MAIN_BRIDGE_ID).setState(kind, id, state);
+  return router;
+}
+
+/**
+ * Routes for one bridge.
+ */
+export function createBridgeProxy(bridgeId = MAIN_BRIDGE_ID) {
+  const isMain = bridgeId === MAIN_BRIDGE_ID;
+  const configFile = isMain ? "bridge.json" : `bridge.${bridgeId}.json`;
+  const saved = readJson(configFile, {});
+  let config = {
+    bridgeIp: (isMain && process.env.HUE_BRIDGE_IP) || saved.bridgeIp || "",
+    apiKey: (isMain && process.env.HUE_API_KEY) || saved.apiKey || "",
+    clientKey: saved.clientKey || "",
+  };
+  let client = createHueClient(config);
+  let connected = false;
+
+  // ── Event stream relay — one upstream connection, many browsers ──
+  const eventClients = new Set();
+  let closeUpstream = null;
+  let upstreamRetry = null;
+
+  function openUpstream() {
+    if (closeUpstream || eventClients.size === 0) return;
+    if (!connected || client.apiVersion !== "v2") {
+      // Not ready yet (or v1, which has no stream) — check back later
+      upstreamRetry = setTimeout(reopenUpstream, 5000);
+      return;
+    }
+    closeUpstream = client.streamEvents(
+      (frame) => {
+        for (const res of eventClients) res.write(frame);
+      },
+      () => {
+        closeUpstream = null;
+        upstreamRetry = setTimeout(reopenUpstream, 5000);
+      }
+    );
+  }
+
+  function reopenUpstream() {
+    upstreamRetry = null;
+    openUpstream();
+  }
+
+  function resetUpstream() {
+    clearTimeout(upstreamRetry);
+    upstreamRetry = null;
+    if (closeUpstream) closeUpstream();
+    closeUpstream = null;
+  }
+
+  const status = () => ({
+    bridgeIp: config.bridgeIp,
+    hasApiKey: !!config.apiKey,
+    connected,
+    apiVersion: client.apiVersion,
+  });
+
+  async function connect() {
+    const result = await client.testConnection();
+    connected = result.success;
+    if (result.success) {
+      console.log(`🔗 Bridge "${bridgeId}" (${config.bridgeIp}) connected via API ${result.apiVersion}`);
+    }
+    return result;
+  }
+
+  // Connect lazily after a server restart instead of failing the call
+  async function ensureConnected() {
+    if (connected) return;
+    const result = await connect();
+    if (!result.success) {
+      const err = new Error(result.error);
+      err.status = 503;
+      throw err;
+    }
+  }
+
+  // Wrap async handlers so thrown errors become JSON responses
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.json(await fn(req, res));
+    } catch (err) {
+      if (err.status === 503 || err.code) connected = false;
+      res.status(err.status && err.status >= 400 ? err.status : 502).json({ error: err.message });
+    }
+  };
+
+  const router = Router();
+
+  router.setState = async (kind, id, state) => {
+    try {
+      await ensureConnected();
+      return await client.setState(kind, id, state);
+    } catch (err) {
+      if (err.status === 503 || err.code) connected = false;
+      throw err;
+    }
+  };
+
+  router.get("/bridge", (req, res) => res.json(status()));
+
+  function setConfig(next) {
+    config = next;
+    writeJson(configFile, config);
+    resetUpstream();
+    client = createHueClient(config);
+    connected = false;
+  }
+
+  router.put("/bridge", (req, res) => {
+    const { bridgeIp, apiKey } = req.body || {};
+    if (!isOptionalText(bridgeIp) || !isOptionalText(apiKey)) {
+      res.status(400).json({ error: "bridgeIp and apiKey must be text" });
+      return;
+    }
+    const newKey = apiKey ? apiKey.trim() : config.apiKey;
+    setConfig({
+      bridgeIp: bridgeIp ? cleanIp(bridgeIp) : config.bridgeIp,
+      apiKey: newKey,
+      // The clientkey belongs to the key it was issued with
+      clientKey: newKey === config.apiKey ? config.clientKey : "",
+    });
+    res.json(status());
+  });
+
+  router.get(
+    "/bridge/discover",
+    handle(() => discoverBridges())
+  );
+
+  router.post(
+    "/bridge/pair",
+    handle(async (req) => {
+      if (!isOptionalText(req.body?.bridgeIp)) {
+        const err = new Error("bridgeIp must be text");
+        err.status = 400;
+        throw err;
+      }
+      const bridgeIp = cleanIp(req.body?.bridgeIp) || config.bridgeIp;
+      if (!bridgeIp) {
+        const err = new Error("Which bridge? Send { bridgeIp }.");
+        err.status = 400;
+        throw err;
+      }
+      let answer;
+      try {
+        answer = await requestApiKey(bridgeIp, DEVICE_TYPE);
+      } catch {
+        throw new Error(`Cannot reach the bridge at ${bridgeIp}.`);
+      }
+      const result = pairingResult(answer);
+      if (!result.paired) return { paired: false };
+
+      setConfig({ bridgeIp, apiKey: result.username, clientKey: result.clientkey || "" });
+      console.log(`🔑 Bridge "${bridgeId}": paired with ${bridgeIp} as ${DEVICE_TYPE}`);
+      return { paired: true, ...status() };
+    })
+  );
+
+  router.post(
+    "/bridge/connect",
+    handle(async () => ({ ...(await connect()), ...status() }))
+  );
+
+  router.get(
+    "/bridge/ping",
+    handle(async () => {
+      await ensureConnected();
+      try {
+        return await client.ping();
+      } catch (err) {
+        connected = false;
+        err.status = 503;
+        throw err;
+      }
+    })
+  );
+
+  router.get("/events", async (req, res) => {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(": hi\n\n");
+    eventClients.add(res);
+
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 30000);
+    req.on("close", () => {
+      clearInterval(keepAlive);
+      eventClients.delete(res);
+      if (eventClients.size === 0) resetUpstream();
+    });
+
+    if (!connected) await connect().catch(() => {});
+    if (!upstreamRetry) openUpstream();
+  });
+
+  router.get(
+    "/lights",
+    handle(async () => {
+      await ensureConnected();
+      return { data: await client.getLights() };
+    })
+  );
+
+  router.get(
+    "/rooms",
+    handle(async () => {
+      await ensureConnected();
+      return { data: await client.getRooms() };
+    })
+  );
+
+  router.get(
+    "/zones",
+    handle(async () => {
+      await ensureConnected();
+      return { data: await client.getZones() };
+    })
+  );
+
+  router.put(
+    "/lights/:id",
+    handle(async (req) => {
+      await ensureConnected();
+      return client.setState("light", req.params.id, parseState(req.body));
+    })
+  );
+
+  router.put(
+    "/groups/:id",
+    handle(async (req) => {
+      await ensureConnected();
+      return client.setState("group", req.params.id, parseState(req.body));
+    })
+  );
+
+  router.post(
+    "/lights/:id/alert",
+    handle(async (req) => {
+      await ensureConnected();
+      return client.signal("light", req.params.id);
+    })
+  );
+
+  router.post(
+    "/groups/:id/alert",
+    handle(async (req) => {
+      await ensureConnected();
+      return client.signal("group", req.params.id);
+    })
+  );
+
+  return router;
+}
+
+function parseState(body = {}) {
+  if (typeof body.on !== "boolean") {
+    const err = new Error('Body must include "on": true | false');
+    err.status = 400;
+    throw err;
+  }
+  return {
+    on: body.on,
+    color: body.color || undefined,
+    brightness: typeof body.brightness === "number" ? body.brightness : undefined,
+    mirek: typeof body.mirek === "number" ? body.mirek : undefined,
+  };
+}
+
+// Left out (undefined / null) or a string — JSON can send anything
+function isOptionalText(value) {
+  return value == null || typeof value === "string";
+}
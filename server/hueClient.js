@@ -0,0 +1,327 @@
+// ============================================================
+// HUE CLIENT (server side)
+// ============================================================
+//
+// Node counterpart of src/services/hueBridge.js. The browser
+// can't talk to the bridge without the user accepting its
+// self-signed certificate first; Node can simply be told to
+// trust it. The local server uses this client for every bridge
+// call, so tablets on the ward never see a certificate warning.
+//
+// Like the browser service, it tries CLIP v2 first and falls
+// back to v1. Everything it returns is shaped like CLIP v2, so
+// callers never need to know which API the bridge speaks.
+// ============================================================
+
+import http from "node:http";
+import https from "node:https";
+import { cleanIp } from "../src/services/bridgeSetup.js";
+import { v1Color, v1ColorTemperature } from "../src/services/color.js";
+import { resolveAreaLights, v1Areas } from "../src/services/hueAreas.js";
+import { stateBodyV1, stateBodyV2, v1Brightness } from "../src/services/lightState.js";
+
+// The bridge certificate is self-signed by Signify — trust it,
+// but only on this agent, never process-wide.
+const bridgeAgent = new https.Agent({
+  rejectUnauthorized: false,
+  keepAlive: true,
+});
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+/**
+ * Low-level request. Resolves with { status, data } — data is
+ * parsed JSON when possible, otherwise the raw text.
+ */
+function request(bridgeIp, method, path, { headers = {}, body, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  // Use HTTP for localhost (fake bridge), HTTPS for real bridges
+  const isLocal = bridgeIp.startsWith("localhost");
+  const transport = isLocal ? http : https;
+  const url = new URL(`${isLocal ? "http" : "https"}://${bridgeIp}${path}`);
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      url,
+      {
+        method,
+        agent: isLocal ? undefined : bridgeAgent,
+        headers: {
+          ...headers,
+          ...(payload && {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(payload),
+          }),
+        },
+        timeout: timeoutMs,
+      },
+      (res) => {
+        let raw = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (raw += chunk));
+        res.on("end", () => {
+          let data = raw;
+          try {
+            data = JSON.parse(raw);
+          } catch {
+            // Not JSON — keep the text
+          }
+          resolve({ status: res.statusCode, data });
+        });
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error("Bridge request timed out")));
+    req.on("error", reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * The bridge's public config (no key needed) — how discovery
+ * confirms an address really is a Hue bridge. Resolves with
+ * { name, bridgeid, modelid, ... } or null.
+ */
+export async function getBridgeConfig(bridgeIp, { timeoutMs = 3000 } = {}) {
+  try {
+    const res = await request(cleanIp(bridgeIp), "GET", "/api/config", { timeoutMs });
+    return res.status === 200 && res.data?.bridgeid ? res.data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One link-button pairing attempt: POST { devicetype } to /api.
+ * Resolves with the raw answer — read it with pairingResult()
+ * (src/services/bridgeSetup.js).
+ */
+export async function requestApiKey(bridgeIp, deviceType) {
+  const res = await request(cleanIp(bridgeIp), "POST", "/api", {
+    body: { devicetype: deviceType, generateclientkey: true },
+  });
+  return res.data;
+}
+
+/**
+ * Create a client bound to one bridge.
+ */
+export function createHueClient({ bridgeIp, apiKey }) {
+  const ip = cleanIp(bridgeIp);
+  const key = (apiKey || "").trim();
+
+  // Rooms or zones, with their lights as children
+  async function areasV2(type) {
+    const [areas, devices] = await Promise.all([
+      client.v2("GET", `/resource/${type}`),
+      client.v2("GET", "/resource/device"),
+    ]);
+    ensureOk(areas, `Failed to fetch ${type}s`);
+    ensureOk(devices, `Failed to fetch ${type}s`);
+    return resolveAreaLights(areas.data.data || [], devices.data.data || []);
+  }
+
+  async function areasV1(type) {
+    const res = await client.v1("GET", "/groups");
+    ensureOk(res, `Failed to fetch ${type.toLowerCase()}s`);
+    return v1Areas(res.data, type);
+  }
+
+  const client = {
+    bridgeIp: ip,
+    apiVersion: null, // "v2" or "v1" once connected
+
+    v2(method, path, body) {
+      return request(ip, method, `/clip/v2${path}`, {
+        headers: { "hue-application-key": key },
+        body,
+      });
+    },
+
+    v1(method, path, body) {
+      return request(ip, method, `/api/${key}${path}`, { body });
+    },
+
+    /**
+     * Same contract as testConnection() in src/services/hueBridge.js:
+     * { success, apiVersion } or { success: false, error }.
+     */
+    async testConnection() {
+      if (!ip || !key) {
+        return { success: false, error: "Bridge IP and API key are not configured on the server." };
+      }
+
+      try {
+        const res = await client.v2("GET", "/resource/light");
+        if (res.status >= 200 && res.status < 300) {
+          client.apiVersion = "v2";
+          return { success: true, apiVersion: "v2" };
+        }
+        if (res.status === 403 || res.status === 401) {
+          return { success: false, error: "Invalid API key." };
+        }
+      } catch (err) {
+        if (err.code === "ECONNREFUSED" || err.code === "EHOSTUNREACH" || err.message.includes("timed out")) {
+          return { success: false, error: `Cannot reach the bridge at ${ip}.` };
+        }
+        // v2 failed, try v1
+      }
+
+      try {
+        const res = await client.v1("GET", "/lights");
+        if (res.status >= 200 && res.status < 300) {
+          if (Array.isArray(res.data) && res.data[0]?.error) {
+            return { success: false, error: `API key rejected: ${res.data[0].error.description}` };
+          }
+          client.apiVersion = "v1";
+          return { success: true, apiVersion: "v1" };
+        }
+      } catch {
+        // Both failed
+      }
+
+      return { success: false, error: "Connected to bridge but API calls failed. Check your API key." };
+    },
+
+    /**
+     * Cheap liveness check used by the app's heartbeat.
+     */
+    async ping() {
+      const res = client.apiVersion === "v1"
+        ? await client.v1("GET", "/config")
+        : await client.v2("GET", "/resource/bridge");
+      ensureOk(res, "Bridge did not answer");
+      return { ok: true };
+    },
+
+    async getLights() {
+      if (client.apiVersion === "v2") {
+        const res = await client.v2("GET", "/resource/light");
+        ensureOk(res, "Failed to fetch lights");
+        return res.data.data || [];
+      }
+      const res = await client.v1("GET", "/lights");
+      ensureOk(res, "Failed to fetch lights");
+      return Object.entries(res.data).map(([id, light]) => ({
+        id,
+        metadata: { name: light.name },
+        on: { on: light.state?.on },
+        dimming: { brightness: v1Brightness(light.state?.bri) },
+        color: light.state?.xy ? v1Color(light) : undefined,
+        color_temperature: v1ColorTemperature(light),
+      }));
+    },
+
+    /**
+     * Rooms, with each v2 room's devices resolved to their lights
+     * — children are { rtype: "light", rid }.
+     */
+    async getRooms() {
+      return client.apiVersion === "v2" ? areasV2("room") : areasV1("Room");
+    },
+
+    /** Zones — lights grouped across rooms. Shaped like getRooms(). */
+    async getZones() {
+      return client.apiVersion === "v2" ? areasV2("zone") : areasV1("Zone");
+    },
+
+    /**
+     * Apply { on, color, brightness, mirek } to a light or grouped
+     * light. `kind` is "light" or "group"; mirek is a colour
+     * temperature (restoring normal room lighting).
+     */
+    async setState(kind, id, { on, color, brightness, mirek }) {
+      const state = { on, brightness, xy: color, mirek };
+      if (client.apiVersion === "v2") {
+        const rtype = kind === "group" ? "grouped_light" : "light";
+        const res = await client.v2("PUT", `/resource/${rtype}/${id}`, stateBodyV2(state));
+        ensureOk(res, `Failed to set ${kind} ${id}`);
+        return res.data;
+      }
+      const body = stateBodyV1(state);
+      const path = kind === "group" ? `/groups/${id}/action` : `/lights/${id}/state`;
+      const res = await client.v1("PUT", path, body);
+      ensureOk(res, `Failed to set ${kind} ${id}`);
+      return res.data;
+    },
+
+    /**
+     * Open the CLIP v2 event stream. `onFrame` gets each complete
+     * SSE frame as raw text (ready to relay); `onEnd` fires once
+     * when the stream closes or fails. Returns a close function.
+     */
+    streamEvents(onFrame, onEnd) {
+      const isLocal = ip.startsWith("localhost");
+      const transport = isLocal ? http : https;
+      const url = new URL(`${isLocal ? "http" : "https"}://${ip}/eventstream/clip/v2`);
+      let ended = false;
+      const finish = (err) => {
+        if (ended) return;
+        ended = true;
+        onEnd(err);
+      };
+
+      const req = transport.request(
+        url,
+        {
+          agent: isLocal ? undefined : bridgeAgent,
+          headers: { "hue-application-key": key, Accept: "text/event-stream" },
+        },
+        (res) => {
+          if (res.statusCode !== 200) {
+            res.resume();
+            finish(new Error(`Event stream returned ${res.statusCode}`));
+            return;
+          }
+          let buffer = "";
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            buffer += chunk;
+            const frames = buffer.split(/\r?\n\r?\n/);
+            buffer = frames.pop();
+            for (const frame of frames) onFrame(`${frame}\n\n`);
+          });
+          res.on("end", () => finish());
+          res.on("error", finish);
+        }
+      );
+      req.on("error", finish);
+      req.end();
+
+      return () => {
+        ended = true;
+        req.destroy();
+      };
+    },
+
+    /**
+     * Native breathe alert on a light or grouped light (about 15 s).
+     * `kind` is "light" or "group".
+     */
+    async signal(kind, id) {
+      if (client.apiVersion === "v2") {
+        const rtype = kind === "group" ? "grouped_light" : "light";
+        const res = await client.v2("PUT", `/resource/${rtype}/${id}`, { alert: { action: "breathe" } });
+        ensureOk(res, `Failed to alert ${kind} ${id}`);
+        return res.data;
+      }
+      const path = kind === "group" ? `/groups/${id}/action` : `/lights/${id}/state`;
+      const res = await client.v1("PUT", path, { alert: "lselect" });
+      ensureOk(res, `Failed to alert ${kind} ${id}`);
+      return res.data;
+    },
+  };
+
+  return client;
+}
+
+function ensureOk(res, message) {
+  // v1 reports failures as HTTP 200 with an error array
+  const v1Error = Array.isArray(res.data) && res.data.find((r) => r.error)?.error;
+  const httpOk = res.status >= 200 && res.status < 300;
+  if (httpOk && !v1Error) return;
+  const err = new Error(v1Error ? `${message}: ${v1Error.description}` : message);
+  // A 429 or 5xx keeps its status (so it's retried) whatever the body
+  err.status = httpOk ? (v1Error.type === 1 ? 403 : 400) : res.status;
+  throw err;
+}
@@ -0,0 +1,82 @@
+// ============================================================
+// CLINIC SIGNAL — LOCAL SERVER
+// ============================================================
+//
+// Runs on a machine on the clinic network (next to the bridge)
+// and proxies all Hue traffic, so browsers never have to accept
+// the bridge's self-signed certificate.
+//
+// HOW TO USE:
+//   1. npm run build            (optional — serves the app too)
+//   2. npm run server
+//   3. In the app's Settings, choose "Via local server"
+//
+// Bridge credentials can be entered from the app, or set up
+// front with environment variables (for the main bridge, when
+// there are several):
+//   HUE_BRIDGE_IP=192.168.1.42 HUE_API_KEY=... npm run server
+//
+// It also hosts the signal hub (WebSocket on /ws) that keeps
+// every device's room signals and activity log in sync, the
+// durable activity log (server/data/activity.jsonl), and the
+// scheduler that runs the clinic schedule (server/scheduler.js).
+//
+// During development, Vite forwards /api and /ws to this server,
+// so the app at http://localhost:5173 works without extra setup.
+// Other web pages can't use it unless listed — see origins.js.
+// ============================================================
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import express from "express";
+import cors from "cors";
+import { createBridgeProxies } from "./bridgeProxy.js";
+import { attachSignalHub } from "./signalHub.js";
+import { createActivityStore } from "./activityStore.js";
+import { startScheduler } from "./scheduler.js";
+import { ALLOWED_ORIGINS, originAllowed } from "./origins.js";
+
+const PORT = Number(process.env.PORT) || 3200;
+const DIST_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "dist");
+
+const app = express();
+app.use(express.json());
+
+// ── Only the app itself and listed origins (see origins.js) ──
+app.use("/api", (req, res, next) => {
+  if (originAllowed(req.headers)) return next();
+  res.status(403).json({ error: "This page isn't allowed to use the server — see CLINIC_SIGNAL_ORIGINS" });
+});
+if (ALLOWED_ORIGINS.length > 0) app.use("/api", cors({ origin: ALLOWED_ORIGINS }));
+
+const activity = createActivityStore();
+
+const bridges = createBridgeProxies();
+app.use("/api", bridges);
+app.use("/api", activity.router());
+
+// ── Unknown API routes get JSON, not the app's index.html ──
+app.all("/api/{*path}", (req, res) => {
+  res.status(404).json({ error: `No such endpoint: ${req.method} ${req.path}` });
+});
+
+// ── Serve the built app, if there is one ──
+if (fs.existsSync(DIST_DIR)) {
+  app.use(express.static(DIST_DIR));
+  app.get("/{*path}", (req, res) => res.sendFile(path.join(DIST_DIR, "index.html")));
+}
+
+const server = app.listen(PORT, () => {
+  console.log("╔══════════════════════════════════════════════╗");
+  console.log("║        CLINIC SIGNAL SERVER — RUNNING        ║");
+  console.log("╠══════════════════════════════════════════════╣");
+  console.log(`║  URL:  http://localhost:${PORT}                 ║`);
+  console.log(`║  Sync: ws://localhost:${PORT}/ws                ║`);
+  console.log(`║  App:  ${fs.existsSync(DIST_DIR) ? "served from dist/                    " : "not built (run npm run build)        "}║`);
+  console.log("╚══════════════════════════════════════════════╝");
+  console.log("");
+});
+
+const hub = attachSignalHub(server, activity);
+startScheduler({ hub, bridges });
@@ -0,0 +1,33 @@
+// ============================================================
+// ALLOWED ORIGINS — which web pages may use this server
+// ============================================================
+//
+// The app served from here (or through Vite during development,
+// which passes the Host header on) is always allowed. A build
+// hosted somewhere else, pointed here with Settings → Local
+// Server URL, has to be listed:
+//
+//   CLINIC_SIGNAL_ORIGINS=https://signal.example.org npm run server
+//
+// Any other page open in a staff browser could otherwise read the
+// activity log, repoint the bridge or command the lights.
+// Requests without an Origin header don't come from a web page
+// (curl, scripts on this machine) and are let through.
+// ============================================================
+
+export const ALLOWED_ORIGINS = (process.env.CLINIC_SIGNAL_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim().replace(/\/+$/, ""))
+  .filter(Boolean);
+
+/**
+ * True if a request with these headers may go ahead.
+ */
+export function originAllowed({ origin, host }) {
+  if (!origin || ALLOWED_ORIGINS.includes(origin)) return true;
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
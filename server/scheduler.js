@@ -0,0 +1,176 @@
+// ============================================================
+// SCHEDULER — the clinic schedule, run by the local server
+// ============================================================
+//
+// Carries out the schedule edited in Settings → Schedule (see
+// src/services/schedule.js) with no browser open: it changes the
+// rooms through the signal hub, so every device follows along,
+// and commands the lights through the bridge proxies.
+//
+// Rules it keeps, like a person at the Control Panel would — it
+// changes rooms with the same operations a device sends the hub
+// (src/services/stackOps.js), never forced:
+//   - a scheduled signal never hides a more urgent one — the
+//     room is skipped and the skip is logged
+//   - rooms already showing the signal are left alone
+//   - if the lights can't be reached, the room isn't changed
+//
+// Scheduled signals show steady — patterns (config/patterns.js)
+// only run on the device that sent a signal. Demo rooms change
+// on screen only.
+//
+// Every scheduled change is logged as automatic, with a note
+// saying which part of the schedule made it.
+// ============================================================
+
+import DEFAULT_SIGNALS from "../src/config/signals.js";
+import { applyStackOp, sameStack } from "../src/services/stackOps.js";
+import { reconcileCalls } from "../src/services/callWorkflow.js";
+import {
+  DEFAULT_SCHEDULE,
+  actionsAt,
+  validateSchedule,
+  whenLabel,
+} from "../src/services/schedule.js";
+
+const TICK_MS = 20000;
+const MINUTE_MS = 60000;
+// After the machine slept, don't replay a whole night of actions
+const MAX_CATCH_UP_MIN = 5;
+
+/**
+ * @param hub     the signal hub (server/signalHub.js)
+ * @param bridges the bridge proxies (server/bridgeProxy.js)
+ * @returns a function that stops the scheduler
+ */
+export function startScheduler({ hub, bridges }) {
+  let lastMinute = Math.floor(Date.now() / MINUTE_MS);
+  let busy = false;
+  let reportedError = null;
+
+  // The schedule and signals in use, or null if the schedule
+  // doesn't fit the signals any more
+  function current() {
+    const schedule = hub.config("schedule-config") ?? DEFAULT_SCHEDULE;
+    const signals = hub.config("signal-config") ?? DEFAULT_SIGNALS;
+    const errors = validateSchedule(schedule, signals);
+    if (errors.length > 0) {
+      if (errors[0] !== reportedError) console.log(`⚠️  Schedule not running: ${errors[0]}`);
+      reportedError = errors[0];
+      return null;
+    }
+    reportedError = null;
+    return { schedule, signals };
+  }
+
+  async function tick() {
+    if (busy) return; // still working through the last minute
+    busy = true;
+    // Driven by setInterval: a throw here would be an unhandled
+    // rejection, which stops the server
+    try {
+      const minute = Math.floor(Date.now() / MINUTE_MS);
+      const from = Math.max(lastMinute + 1, minute - MAX_CATCH_UP_MIN + 1);
+      lastMinute = minute;
+      const setup = current();
+      if (!setup) return;
+      for (let m = from; m <= minute; m++) {
+        for (const action of actionsAt(setup.schedule, new Date(m * MINUTE_MS))) {
+          await run(action, setup.signals);
+        }
+      }
+    } catch (err) {
+      console.log(`❌ Schedule: ${err.message}`);
+    } finally {
+      busy = false;
+    }
+  }
+
+  async function run(action, signals) {
+    const { rooms, demo } = hub.directory();
+    const targets = rooms.filter(
+      (room) =>
+        !room.hidden &&
+        (!action.roomId || room.id === action.roomId) &&
+        (!action.wingId || room.wingId === action.wingId)
+    );
+    const signal =
+      action.type === "signal" ? signals.find((s) => s.id === action.signalId) : null;
+    const clear = signals.find((s) => s.id === "clear");
+    const note = `scheduled ${whenLabel(action)}`;
+    const entry = (room, shown, success, details = {}) => ({
+      roomId: room.id,
+      roomName: room.name,
+      signalId: shown.id,
+      signalLabel: shown.label,
+      success,
+      note,
+      automatic: true,
+      ...details,
+    });
+
+    const op = signal ? { op: "push", signalId: signal.id } : { op: "clear" };
+
+    let changed = 0;
+    for (const room of targets) {
+      const { stack, calls } = hub.room(room.id);
+      const next = applyStackOp(stack, op, signals);
+
+      if (!next) {
+        const top = signals.find((s) => s.id === stack[stack.length - 1]);
+        hub.update(room.id, stack, calls, [
+          entry(room, signal, false, { note: `${note} — skipped, ${top.label} showing` }),
+        ]);
+        continue;
+      }
+      if (sameStack(next, stack)) continue; // already showing it, or already clear
+
+      const ok = demo || (await command(room, signal));
+      if (!ok) {
+        hub.update(room.id, stack, calls, [entry(room, signal || clear, false)]);
+        continue;
+      }
+
+      const reconciled = reconcileCalls(calls, next, signals);
+      const isNewCall = signal && reconciled.calls[signal.id] && !calls[signal.id];
+      hub.update(room.id, next, reconciled.calls, [
+        entry(room, signal || clear, true, isNewCall ? { event: "sent" } : {}),
+        ...reconciled.resolved.map((call) => {
+          const resolved = signals.find((s) => s.id === call.signalId);
+          return entry(room, resolved || { id: call.signalId, label: call.signalId }, true, {
+            event: "resolved",
+            sentAt: call.sentAt,
+          });
+        }),
+      ]);
+      changed++;
+    }
+
+    const what = signal ? signal.label : "Clear all";
+    console.log(`⏰ Schedule ${whenLabel(action)}: ${what} → ${changed} of ${targets.length} rooms`);
+  }
+
+  // Show a signal on a room's lights (null = off). False if any
+  // command failed.
+  async function command(room, signal) {
+    const state = signal
+      ? { on: true, color: signal.color, brightness: signal.brightness }
+      : { on: false };
+    hub.expect(room.id);
+    try {
+      for (const id of room.groupedLightIds || []) {
+        await bridges.setState(room.bridgeId, "group", id, state);
+      }
+      for (const id of room.looseLights || []) {
+        await bridges.setState(room.bridgeId, "light", id, state);
+      }
+      return true;
+    } catch (err) {
+      console.log(`❌ Schedule: ${room.name} — ${err.message}`);
+      return false;
+    }
+  }
+
+  const timer = setInterval(tick, TICK_MS);
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,389 @@
+// ============================================================
+// SIGNAL HUB — shared room state over WebSocket (/ws)
+// ============================================================
+//
+// Every device on the ward connects here, so reception and the
+// nurse station always see the same thing. The hub holds the
+// authoritative copy of each room's signal stack, writes every
+// log entry to the activity store, and pushes every change to
+// every device.
+//
+// Client → server:
+//   { type: "room-op", roomId, op, …, log }     change a room — see
+//                                               below (log: entry or
+//                                               array, logged if done)
+//   { type: "room-op", …, dedupe: true }        same, but skipped if
+//                                               it changes nothing
+//   { type: "log", entry }                      log entry only (with
+//                                               its timestamp if it was
+//                                               kept while offline)
+//   { type: "expect", roomId }                  "I'm about to change
+//                                               this room's lights"
+//   { type: "signal-config", signals }          signal definitions
+//                                               edited (null = defaults)
+//   { type: "room-config", layout }             room layout edited
+//                                               (null = bridge rooms as is)
+//   { type: "bridge-status", connected,         this device can reach
+//     readOnly? }                               a bridge (or not);
+//                                               readOnly: a kiosk that
+//                                               never runs the rules
+//   { type: "schedule-config", schedule }       schedule edited
+//                                               (null = defaults)
+//   { type: "rooms", rooms, demo }              the rooms this device
+//                                               shows (for the scheduler)
+//
+// Server → client:
+//   { type: "snapshot", roomSignals,            on (re)connect —
+//     roomCalls, signalConfig,                  logs = latest 50;
+//     roomConfig, scheduleConfig, logs }        configs never saved
+//                                               are left out
+//   { type: "signals", roomId, stack, calls }   a room changed
+//   { type: "blocked", roomId, signalId,        to the sender only:
+//     stack, calls }                            its push was refused
+//   { type: "log", entry }
+//   { type: "expect", roomId }
+//   { type: "signal-config", signals }
+//   { type: "room-config", layout }
+//   { type: "schedule-config", schedule }
+//   { type: "runner", active }                  whether this device
+//                                               runs the automatic rules
+//
+// Anything that isn't a JSON object is dropped, as are log entries
+// that aren't objects. A message that still goes wrong is logged
+// and skipped — one bad device must not stop the hub for everyone.
+//
+// Devices send operations, never whole stacks, and the hub applies
+// them to its own copy (src/services/stackOps.js) with the shared
+// signal list — so a push that would hide something more urgent is
+// refused here too, even if the sender hadn't seen it yet:
+//   op: "push", signalId, force?   "remove", signalId
+//   op: "escalate", signalId, to   "clear"
+//   op: "ack", signalId, by        acknowledge a call
+// The room's calls follow its stack (src/services/callWorkflow.js).
+//
+// `dedupe` exists for changes every device makes at once: the same
+// outside change seen on the bridge event stream, or a rule run by
+// two devices while the runner is re-picked. Only the first report
+// is applied and logged.
+//
+// Automatic rules (src/services/signalRules.js) must fire once,
+// not once per device, so the hub picks one device to run them:
+// the longest-connected one that can reach a bridge, or else the
+// longest-connected one — never a read-only kiosk. It's re-picked whenever devices come,
+// go or lose their bridge.
+//
+// The scheduler (server/scheduler.js) runs with no browser open,
+// so it can't ask a device which rooms exist. Devices report the
+// rooms they show instead, and the hub keeps the latest list:
+// { id, name, bridgeId, wingId, hidden, groupedLightIds,
+// looseLights }. Demo rooms never replace real ones, and a list
+// that isn't shaped like that is refused.
+// ============================================================
+
+import { WebSocketServer } from "ws";
+import { readJson, writeJson } from "./store.js";
+import { originAllowed } from "./origins.js";
+import DEFAULT_SIGNALS from "../src/config/signals.js";
+import { applyStackOp, sameStack } from "../src/services/stackOps.js";
+import { reconcileCalls, acknowledgeCall } from "../src/services/callWorkflow.js";
+import { validateSignals, validateLayout } from "../src/services/configValidation.js";
+import { validateSchedule } from "../src/services/schedule.js";
+
+const STATE_FILE = "signals.json";
+// Settings edited in the app and shared by every device:
+// message type → { file, field in the message, validate }. Checked
+// here before they're stored and shared, and again by each device
+// before use. null = the defaults; a setting never saved is left
+// out of the snapshot, so devices keep their own.
+const CONFIGS = {
+  "signal-config": { file: "signal-config.json", field: "signals", validate: validateSignals },
+  "room-config": { file: "room-config.json", field: "layout", validate: validateLayout },
+  "schedule-config": {
+    file: "schedule-config.json",
+    field: "schedule",
+    validate: validateSchedule, // (schedule, signals)
+  },
+};
+const ROOMS_FILE = "rooms.json";
+const SNAPSHOT_LOGS = 50;
+
+/**
+ * @param server   the HTTP server to attach /ws to
+ * @param activity the activity store (server/activityStore.js)
+ * @returns the hub, for the scheduler — see the end of this function
+ */
+export function attachSignalHub(server, activity) {
+  const saved = readJson(STATE_FILE, {});
+  // Room ids come from devices — Maps, so no id ("__proto__")
+  // can reach an object's prototype
+  const state = {
+    roomSignals: new Map(Object.entries(saved.roomSignals || {})),
+    roomCalls: new Map(Object.entries(saved.roomCalls || {})), // see src/services/callWorkflow.js
+    configs: Object.fromEntries(
+      Object.entries(CONFIGS).map(([type, { file }]) => [type, readJson(file, undefined)])
+    ),
+    directory: readJson(ROOMS_FILE, { rooms: [], demo: true }),
+  };
+  // A room list saved unchecked — wait for a device to report again
+  if (directoryErrors(state.directory.rooms).length > 0) {
+    state.directory = { rooms: [], demo: true };
+  }
+
+  // Browsers don't apply CORS to WebSockets — check the page here
+  const wss = new WebSocketServer({
+    server,
+    path: "/ws",
+    verifyClient: ({ req }) => originAllowed(req.headers),
+  });
+
+  const persist = () =>
+    writeJson(STATE_FILE, {
+      roomSignals: Object.fromEntries(state.roomSignals),
+      roomCalls: Object.fromEntries(state.roomCalls),
+    });
+
+  function broadcast(message, except) {
+    const raw = JSON.stringify(message);
+    for (const socket of wss.clients) {
+      if (socket !== except && socket.readyState === socket.OPEN) socket.send(raw);
+    }
+  }
+
+  function setRoom(roomId, stack, calls) {
+    if (stack.length > 0) state.roomSignals.set(roomId, stack);
+    else state.roomSignals.delete(roomId);
+    if (Object.keys(calls).length > 0) state.roomCalls.set(roomId, calls);
+    else state.roomCalls.delete(roomId);
+    broadcast({ type: "signals", roomId, stack, calls });
+  }
+
+  // ── Rules runner ──
+  let runner = null;
+
+  function sendTo(socket, message) {
+    if (socket && socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  }
+
+  function pickRunner() {
+    // wss.clients keeps connection order — oldest first
+    const open = [...wss.clients].filter((s) => s.readyState === s.OPEN && !s.readOnly);
+    const next = open.find((s) => s.hasBridge) || open[0] || null;
+    if (next === runner) return;
+    sendTo(runner, { type: "runner", active: false });
+    runner = next;
+    sendTo(runner, { type: "runner", active: true });
+  }
+
+  function addLog(entry) {
+    if (!isObject(entry)) return;
+    broadcast({ type: "log", entry: activity.append(entry) });
+  }
+
+  // The op in a room-op message, or null if it isn't a valid one
+  function readOp(msg, signals) {
+    const known = (id) => signals.some((s) => s.id === id);
+    if (typeof msg.roomId !== "string") return null;
+    switch (msg.op) {
+      case "push":
+        return known(msg.signalId)
+          ? { op: "push", signalId: msg.signalId, force: Boolean(msg.force) }
+          : null;
+      case "remove":
+        return typeof msg.signalId === "string" ? { op: "remove", signalId: msg.signalId } : null;
+      case "escalate":
+        return typeof msg.signalId === "string" && known(msg.to)
+          ? { op: "escalate", signalId: msg.signalId, to: msg.to }
+          : null;
+      case "ack":
+        return typeof msg.signalId === "string" && typeof msg.by === "string"
+          ? { op: "ack", signalId: msg.signalId, by: msg.by }
+          : null;
+      case "clear":
+        return { op: "clear" };
+      default:
+        return null;
+    }
+  }
+
+  const currentSignals = () => state.configs["signal-config"] ?? DEFAULT_SIGNALS;
+
+  // Problems with a config edit — empty when it can be shared
+  function configErrors(type, value) {
+    if (value === null) return [];
+    try {
+      return CONFIGS[type].validate(value, currentSignals());
+    } catch {
+      return ["not a valid setting"]; // wrong shape for the validator
+    }
+  }
+
+  function applyRoomOp(socket, msg) {
+    const signals = currentSignals();
+    const op = readOp(msg, signals);
+    if (!op) return;
+    const current = {
+      stack: state.roomSignals.get(msg.roomId) || [],
+      calls: state.roomCalls.get(msg.roomId) || {},
+    };
+
+    const stack = op.op === "ack" ? current.stack : applyStackOp(current.stack, op, signals);
+    if (!stack) {
+      sendTo(socket, { type: "blocked", roomId: msg.roomId, signalId: op.signalId, ...current });
+      return;
+    }
+    let { calls } = reconcileCalls(current.calls, stack, signals);
+    if (op.op === "ack") calls = acknowledgeCall(calls, op.signalId, op.by);
+
+    const unchanged =
+      sameStack(current.stack, stack) && JSON.stringify(current.calls) === JSON.stringify(calls);
+    if (msg.dedupe && unchanged) return;
+    setRoom(msg.roomId, stack, calls);
+    for (const entry of [].concat(msg.log || [])) addLog(entry);
+    persist();
+  }
+
+  function handleMessage(socket, msg) {
+    switch (msg.type) {
+      case "room-op":
+        applyRoomOp(socket, msg);
+        return;
+      case "log":
+        addLog(msg.entry);
+        return;
+      case "expect":
+        broadcast({ type: "expect", roomId: msg.roomId }, socket);
+        return;
+      case "bridge-status":
+        socket.hasBridge = Boolean(msg.connected);
+        socket.readOnly = Boolean(msg.readOnly);
+        pickRunner();
+        return;
+      case "rooms": {
+        const errors = directoryErrors(msg.rooms);
+        if (errors.length > 0) {
+          console.log(`⚠️  Rejected rooms: ${errors[0]}`);
+          return;
+        }
+        const demo = Boolean(msg.demo);
+        if (demo && !state.directory.demo) return;
+        state.directory = { rooms: msg.rooms, demo };
+        writeJson(ROOMS_FILE, state.directory);
+        return;
+      }
+      case "signal-config":
+      case "room-config":
+      case "schedule-config": {
+        const { file, field } = CONFIGS[msg.type];
+        const value = msg[field];
+        if (value === undefined) return;
+        const errors = configErrors(msg.type, value);
+        if (errors.length > 0) {
+          console.log(`⚠️  Rejected ${msg.type}: ${errors[0]}`);
+          // Put the sender back on the setting everyone else has
+          sendTo(socket, { type: msg.type, [field]: state.configs[msg.type] });
+          return;
+        }
+        state.configs[msg.type] = value;
+        writeJson(file, value);
+        broadcast({ type: msg.type, [field]: value });
+        return;
+      }
+      default:
+        return;
+    }
+  }
+
+  wss.on("connection", (socket) => {
+    socket.send(
+      JSON.stringify({
+        type: "snapshot",
+        roomSignals: Object.fromEntries(state.roomSignals),
+        roomCalls: Object.fromEntries(state.roomCalls),
+        signalConfig: state.configs["signal-config"],
+        roomConfig: state.configs["room-config"],
+        scheduleConfig: state.configs["schedule-config"],
+        logs: activity.recent(SNAPSHOT_LOGS),
+      })
+    );
+    socket.hasBridge = false;
+    pickRunner();
+    if (socket !== runner) sendTo(socket, { type: "runner", active: false });
+
+    socket.on("message", (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch {
+        return;
+      }
+      if (!isObject(msg)) return;
+      try {
+        handleMessage(socket, msg);
+      } catch (err) {
+        console.log(`⚠️  Skipped a ${msg.type} message: ${err.message}`);
+      }
+    });
+
+    socket.on("close", () => {
+      if (socket === runner) runner = null;
+      pickRunner();
+    });
+  });
+
+  return {
+    /** Shared setting by message type (null or undefined = defaults). */
+    config: (type) => state.configs[type],
+
+    /** The rooms devices last reported: { rooms, demo }. */
+    directory: () => state.directory,
+
+    room: (roomId) => ({
+      stack: state.roomSignals.get(roomId) || [],
+      calls: state.roomCalls.get(roomId) || {},
+    }),
+
+    /** Change a room for every device, logging `log` entries. */
+    update(roomId, stack, calls, log = []) {
+      setRoom(roomId, stack, calls);
+      for (const entry of log) addLog(entry);
+      persist();
+    },
+
+    /** Warn devices the room's lights are about to change. */
+    expect(roomId) {
+      broadcast({ type: "expect", roomId });
+    },
+  };
+}
+
+// Problems with a reported room list — the scheduler reads it
+// with no device around to notice, so it must be well formed
+function directoryErrors(rooms) {
+  if (!Array.isArray(rooms)) return ["rooms must be a list"];
+  const isIdList = (ids) => Array.isArray(ids) && ids.every((id) => typeof id === "string");
+  const errors = [];
+  rooms.forEach((room, i) => {
+    const label = `room ${i + 1}`;
+    if (!isObject(room)) return errors.push(`${label} is not a room`);
+    if (typeof room.id !== "string" || !room.id) errors.push(`${label} needs an id`);
+    if (room.name !== undefined && typeof room.name !== "string") {
+      errors.push(`${label}: name must be text`);
+    }
+    for (const field of ["bridgeId", "wingId"]) {
+      if (room[field] != null && typeof room[field] !== "string") {
+        errors.push(`${label}: ${field} must be an id`);
+      }
+    }
+    for (const field of ["groupedLightIds", "looseLights"]) {
+      if (room[field] !== undefined && !isIdList(room[field])) {
+        errors.push(`${label}: ${field} must be a list of ids`);
+      }
+    }
+  });
+  return errors;
+}
+
+// A JSON object — not null, an array or a bare value
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
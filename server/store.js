@@ -0,0 +1,37 @@
+// ============================================================
+// JSON FILE STORE
+// ============================================================
+//
+// Tiny persistence helper for the local server. Each "store" is
+// one JSON file under server/data/ (git-ignored). Writes go to a
+// temp file first and are renamed into place, so a crash mid-write
+// never leaves a half-written file behind.
+// ============================================================
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const DATA_DIR =
+  process.env.CLINIC_SIGNAL_DATA ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "data");
+
+export function dataPath(name) {
+  return path.join(DATA_DIR, name);
+}
+
+export function readJson(name, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(dataPath(name), "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeJson(name, value) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const file = dataPath(name);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, file);
+}
@@ -1,33 +1,156 @@
-import { useState, useCallback, useRef, useEffect } from "react";
-import HueBridgeService from "./services/hueBridge";
-import SIGNALS from "./config/signals";
+import { useState, useCallback, useRef, useEffect, useMemo } from "react";
+import BridgeRegistry, { roomKey } from "./services/bridgeRegistry";
+import SyncChannel from "./services/syncChannel";
+import SignalRegistry from "./services/signalRegistry";
+import RoomLayout, { bridgeOf, mergeRooms } from "./services/roomLayout";
+import { findSignal, topSignal, isBlocked } from "./services/signalStack";
+import { applyStackOp } from "./services/stackOps";
+import { matchSignal } from "./services/signalMatch";
+import PatternEngine from "./services/patternEngine";
+import { RULES_TICK_MS, trackTimers, dueRule } from "./services/signalRules";
+import { lightGamut } from "./services/color";
+import { reconcileCalls, acknowledgeCall } from "./services/callWorkflow";
 import DEMO_ROOMS from "./config/demoRooms";
+import { DEFAULT_SCHEDULE } from "./services/schedule";
+import Shortcuts, {
+  shortcutMap,
+  idFor,
+  SEQUENCE_TIMEOUT_MS,
+} from "./services/shortcuts";
+import Alerts, { REPEAT_ALERT_MS } from "./services/alerts";
 import RoomCard from "./components/RoomCard";
 import ActivityLog from "./components/ActivityLog";
+import Reports from "./components/Reports";
 import Settings from "./components/Settings";
 import Toast from "./components/Toast";
+import CommandPalette from "./components/CommandPalette";
+import AlertControl from "./components/AlertControl";
+import KioskView from "./components/KioskView";
 import styles from "./App.module.css";
 
+// Hallway wall display (?mode=kiosk) — read-only, see KioskView
+const KIOSK = new URLSearchParams(window.location.search).get("mode") === "kiosk";
+// After a longer outage the kiosk reloads once it's back, in
+// case the server was updated meanwhile
+const KIOSK_RELOAD_AFTER_MS = 5 * 60 * 1000;
+
+// A second press within this long overrides (like RoomCard's
+// second tap)
+const OVERRIDE_MS = 4000;
+
+// Keys typed into a field are text, not shortcuts
+function isTyping(target) {
+  if (target.isContentEditable) return true;
+  if (target.tagName === "INPUT") return !["checkbox", "radio", "button"].includes(target.type);
+  return target.tagName === "TEXTAREA" || target.tagName === "SELECT";
+}
+
 // ============================================================
 // ACTIVITY LOG HOOK
 // ============================================================
-function useActivityLog() {
-  const [logs, setLogs] = useState([]);
+//
+// While the sync channel is live, entries go to the server (which
+// stores them durably) and come back to every device through
+// receiveLog. Otherwise they stay on this device, kept in
+// localStorage so a page refresh doesn't wipe them, and are handed
+// to the server with their own time once it's back.
+const LOCAL_LOG_KEY = "clinic-signal-log";
+const LOCAL_LOG_LIMIT = 500;
+
+function loadLocalLogs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOCAL_LOG_KEY)) || [];
+    return saved.map((e) => ({ ...e, timestamp: new Date(e.timestamp) }));
+  } catch {
+    return [];
+  }
+}
+
+// One log entry. `details` adds the optional fields described in
+// activityQuery.js (note, event, by, sentAt, automatic).
+function makeLogEntry(room, signal, success, details = {}) {
+  return {
+    roomId: room.id,
+    roomName: room.name,
+    signalId: signal.id,
+    signalLabel: signal.label,
+    success,
+    ...details,
+  };
+}
+
+// Setting `key` to an empty value removes it, so idle rooms
+// don't linger in roomSignals / roomCalls
+function withRoomEntry(map, key, value, isEmpty) {
+  const next = { ...map };
+  if (isEmpty) delete next[key];
+  else next[key] = value;
+  return next;
+}
+
+function useActivityLog(staffName) {
+  const [logs, setLogs] = useState(loadLocalLogs);
+  const logsRef = useRef(logs);
+  logsRef.current = logs;
+  // Read at call time — addLog is held by long-lived callbacks
+  const staffRef = useRef(staffName);
+  staffRef.current = staffName;
+  // Several entries can land in the same millisecond (Clear All)
+  const localSeq = useRef(0);
 
-  const addLog = useCallback((roomName, signalLabel, success = true) => {
+  useEffect(() => {
+    localStorage.setItem(LOCAL_LOG_KEY, JSON.stringify(logs));
+  }, [logs]);
+
+  const receiveLog = useCallback((entry) => {
     setLogs((prev) => [
-      {
-        id: Date.now(),
-        timestamp: new Date(),
-        roomName,
-        signalLabel,
-        success,
-      },
-      ...prev.slice(0, 49),
+      { ...entry, timestamp: new Date(entry.timestamp) },
+      ...prev.slice(0, LOCAL_LOG_LIMIT - 1),
     ]);
   }, []);
 
-  return { logs, addLog };
+  // The server's log on (re)connect. Entries only this device has
+  // go to the server, which sends them back to everyone (receiveLog)
+  const replaceLogs = useCallback((entries) => {
+    const pending = logsRef.current.filter((e) => String(e.id).startsWith("local-"));
+    // Oldest first, so they come back newest on top
+    const unsent = [...pending].reverse().filter(
+      ({ id, timestamp, ...entry }) =>
+        !SyncChannel.send({ type: "log", entry: { ...entry, timestamp: timestamp.toISOString() } })
+    );
+    setLogs([
+      ...unsent.reverse(),
+      ...entries.map((e) => ({ ...e, timestamp: new Date(e.timestamp) })),
+    ]);
+  }, []);
+
+  // Record a ready-made entry (see makeLogEntry)
+  const addEntry = useCallback(
+    (entry) => {
+      if (SyncChannel.send({ type: "log", entry })) return;
+      localSeq.current += 1;
+      receiveLog({
+        ...entry,
+        id: `local-${Date.now()}-${localSeq.current}`,
+        timestamp: new Date(),
+      });
+    },
+    [receiveLog]
+  );
+
+  const addLog = useCallback(
+    (room, signal, success = true, details = {}) => {
+      addEntry(
+        makeLogEntry(room, signal, success, {
+          by: staffRef.current.trim() || undefined,
+          ...details,
+        })
+      );
+    },
+    [addEntry]
+  );
+
+  return { logs, addLog, addEntry, receiveLog, replaceLogs };
 }
 
 // ============================================================
@@ -37,39 +160,292 @@ export default function App() {
   // Navigation
   const [view, setView] = useState("control");
 
-  // Bridge connection — load saved credentials from localStorage
-  const [bridgeIp, setBridgeIp] = useState(
-    () => localStorage.getItem("clinic-signal-ip") || ""
+  // Bridges and their saved credentials — see bridgeRegistry.js
+  const [bridges, setBridges] = useState(BridgeRegistry.all);
+  // "direct" = browser → bridge, "proxy" = browser → local server → bridge
+  const [transport, setTransport] = useState(
+    () => localStorage.getItem("clinic-signal-transport") || "direct"
   );
-  const [apiKey, setApiKey] = useState(
-    () => localStorage.getItem("clinic-signal-key") || ""
+  const [serverUrl, setServerUrl] = useState(
+    () => localStorage.getItem("clinic-signal-server") || ""
   );
-  const [connected, setConnected] = useState(false);
-  const [demoMode, setDemoMode] = useState(true);
-  const [connectionError, setConnectionError] = useState("");
-  const [needsCert, setNeedsCert] = useState(false);
-  const [certUrl, setCertUrl] = useState("");
-  const [apiVersion, setApiVersion] = useState("");
+  // Share signals + log with other devices through the local server
+  // (always, for the kiosk — it only shows what others send)
+  const [syncEnabled, setSyncEnabled] = useState(
+    () => KIOSK || localStorage.getItem("clinic-signal-sync") === "true"
+  );
+  const [syncStatus, setSyncStatus] = useState(SyncChannel.status);
+  // The hub picked this device to run the automatic rules
+  const [rulesRunner, setRulesRunner] = useState(false);
+  // The clinic schedule — kept and run by the local server only
+  // (null = defaults)
+  const [scheduleConfig, setScheduleConfig] = useState(null);
+  // Who is using this device — recorded on acknowledgements and log entries
+  const [staffName, setStaffName] = useState(
+    () => localStorage.getItem("clinic-signal-staff") || ""
+  );
+  // { [bridgeId]: { connected, apiVersion, error, needsCert, certUrl } }
+  // — bridges missing here are disconnected
+  const [bridgeStatus, setBridgeStatus] = useState({});
+  // Heartbeat status per bridge — { [bridgeId]: { status, attempt, retryAt } }
+  const [bridgeHealth, setBridgeHealth] = useState({});
+  const [now, setNow] = useState(Date.now());
+  const connectedIds = bridges
+    .filter((b) => bridgeStatus[b.id]?.connected)
+    .map((b) => b.id);
+  const connected = connectedIds.length > 0;
+
+  // Signal definitions in use — defaults or edited in Settings
+  const [signals, setSignals] = useState(SignalRegistry.all);
 
   // Room & signal state
-  const [rooms, setRooms] = useState(DEMO_ROOMS);
+  // roomsByBridge:  { [bridgeId]: rooms } as each bridge reports them;
+  // lightsByBridge: { [bridgeId]: [{ id, name, gamut, bridgeId }] },
+  //                 once fetched.
+  // bridgeRooms: every connected bridge's rooms (or DEMO_ROOMS);
+  // bridgeLights: their lights, null until fetched.
+  // rooms = bridge rooms with the layout from Settings → Rooms
+  // applied. See roomLayout.js.
+  const [roomsByBridge, setRoomsByBridge] = useState({});
+  const [lightsByBridge, setLightsByBridge] = useState({});
+  const bridgeRooms = useMemo(() => {
+    const all = Object.values(roomsByBridge).flat();
+    return all.length > 0 ? all : DEMO_ROOMS;
+  }, [roomsByBridge]);
+  const bridgeLights = useMemo(() => {
+    if (Object.keys(lightsByBridge).length === 0) return null;
+    // A bridge whose lights couldn't be fetched still offers the
+    // lights its rooms name
+    const lights = new Map();
+    for (const room of bridgeRooms) {
+      if (lightsByBridge[bridgeOf(room)]) continue;
+      for (const id of room.lights) {
+        lights.set(`${bridgeOf(room)}:${id}`, { id, name: id, bridgeId: bridgeOf(room) });
+      }
+    }
+    return [...Object.values(lightsByBridge).flat(), ...lights.values()];
+  }, [bridgeRooms, lightsByBridge]);
+  const [roomLayout, setRoomLayout] = useState(RoomLayout.layout);
+  const rooms = useMemo(
+    () => mergeRooms(bridgeRooms, roomLayout, bridgeLights),
+    [bridgeRooms, roomLayout, bridgeLights]
+  );
+  // Control panel: visible rooms, one section per wing, then any
+  // rooms without a wing (unheaded when there are no wings)
+  const roomSections = useMemo(() => {
+    const visible = rooms.filter((r) => !r.hidden);
+    const sections = roomLayout.wings.map((wing) => ({
+      id: wing.id,
+      name: wing.name,
+      rooms: visible.filter((r) => r.wingId === wing.id),
+    }));
+    sections.push({
+      id: "no-wing",
+      name: roomLayout.wings.length > 0 ? "Other Rooms" : null,
+      rooms: visible.filter((r) => !r.wingId),
+    });
+    return sections.filter((s) => s.rooms.length > 0);
+  }, [rooms, roomLayout]);
+  const controlRooms = useMemo(() => roomSections.flatMap((s) => s.rooms), [roomSections]);
+  // Keyboard shortcuts number the rooms in Control Panel order
+  const [shortcuts, setShortcuts] = useState(Shortcuts.config);
+  const shortcutKeys = useMemo(
+    () => shortcutMap(shortcuts, controlRooms, signals),
+    [shortcuts, controlRooms, signals]
+  );
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  // Room number typed so far, waiting for a signal key
+  const [keyRoom, setKeyRoom] = useState("");
+  // roomSignals: { [roomId]: [signalId, ...] } — a stack per room,
+  // top (last) entry is what the lights show. See signalStack.js.
   const [roomSignals, setRoomSignals] = useState({});
+  // roomCalls: { [roomId]: { [signalId]: { sentAt, ackBy?, ackAt? } } }
+  // — open calls for help in each room. See callWorkflow.js.
+  const [roomCalls, setRoomCalls] = useState({});
+  // { [bridgeId]: { [lightId]: gamut } } — so LightSimulation shows
+  // the colour each bulb really shows
+  const lightGamuts = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(lightsByBridge).map(([bridgeId, lights]) => [
+          bridgeId,
+          Object.fromEntries(lights.filter((l) => l.gamut).map((l) => [l.id, l.gamut])),
+        ])
+      ),
+    [lightsByBridge]
+  );
+  // Latest values for callbacks that outlive a render (heartbeat)
+  const roomsRef = useRef(rooms);
+  const roomSignalsRef = useRef(roomSignals);
+  const roomCallsRef = useRef(roomCalls);
+  const bridgeStatusRef = useRef(bridgeStatus);
+  roomsRef.current = rooms;
+  roomSignalsRef.current = roomSignals;
+  roomCallsRef.current = roomCalls;
+
+  // Live bridge state (event streams)
+  // lightStateRef: { [bridgeId]: { [lightId]: { on, brightness, xy, gamut } } }
+  //                — last known
+  // expectedRef:   { [roomId]: timestamp } — our own command in flight,
+  //                so its echo from the bridge isn't mistaken for an
+  //                outside change
+  const lightStateRef = useRef({});
+  const expectedRef = useRef({});
+  const unsubscribeEventsRef = useRef({}); // { [bridgeId]: unsubscribe }
+  // { [roomId]: timers } for the automatic rules — see signalRules.js
+  const ruleTimersRef = useRef({});
+  // Alerts: the stacks last checked for new signals, and the
+  // "roomId/signalId"s sent from this device since
+  const alertedSignalsRef = useRef({});
+  const sentHereRef = useRef(new Set());
 
   // Toast
   const [toast, setToast] = useState(null);
   const toastTimer = useRef(null);
 
   // Activity log
-  const { logs, addLog } = useActivityLog();
+  const { logs, addLog, addEntry, receiveLog, replaceLogs } =
+    useActivityLog(staffName);
+
+  // ── Save settings to localStorage when they change ──
+  useEffect(() => {
+    localStorage.setItem("clinic-signal-transport", transport);
+    localStorage.setItem("clinic-signal-server", serverUrl);
+  }, [transport, serverUrl]);
 
-  // ── Save credentials to localStorage when they change ──
   useEffect(() => {
-    if (bridgeIp) localStorage.setItem("clinic-signal-ip", bridgeIp);
-  }, [bridgeIp]);
+    if (!KIOSK) localStorage.setItem("clinic-signal-sync", String(syncEnabled));
+  }, [syncEnabled]);
 
   useEffect(() => {
-    if (apiKey) localStorage.setItem("clinic-signal-key", apiKey);
-  }, [apiKey]);
+    localStorage.setItem("clinic-signal-staff", staffName);
+  }, [staffName]);
+
+  useEffect(() => BridgeRegistry.subscribe(setBridges), []);
+  useEffect(() => SignalRegistry.subscribe(setSignals), []);
+  useEffect(() => RoomLayout.subscribe(setRoomLayout), []);
+  useEffect(() => Shortcuts.subscribe(setShortcuts), []);
+
+  // ── Multi-device sync — the server's state wins ──
+  useEffect(() => {
+    // null = the built-in defaults / bridge rooms as is;
+    // undefined = never saved on the server — keep this device's
+    const applyConfig = (registry, config) => {
+      if (config === undefined) return;
+      try {
+        registry.save(config);
+      } catch {
+        // Invalid config from the server — keep the current one
+      }
+    };
+
+    const offStatus = SyncChannel.onStatusChange(setSyncStatus);
+    const offMessages = SyncChannel.subscribe((msg) => {
+      if (msg.type === "snapshot") {
+        applyConfig(SignalRegistry, msg.signalConfig);
+        applyConfig(RoomLayout, msg.roomConfig);
+        roomSignalsRef.current = msg.roomSignals;
+        roomCallsRef.current = msg.roomCalls || {};
+        alertedSignalsRef.current = msg.roomSignals; // nothing new to alert
+        setRoomSignals(roomSignalsRef.current);
+        setRoomCalls(roomCallsRef.current);
+        stopStalePatterns();
+        roomsRef.current
+          .filter((r) => !msg.roomSignals[r.id]?.length)
+          .forEach((r) => forgetSnapshot(r.id));
+        setRulesRunner(false); // the hub says who runs them next
+        setScheduleConfig(msg.scheduleConfig ?? null);
+        replaceLogs(msg.logs);
+      } else if (msg.type === "signals") {
+        setRoomStack(msg.roomId, msg.stack, { calls: msg.calls || {} });
+      } else if (msg.type === "blocked") {
+        undoBlocked(msg);
+      } else if (msg.type === "log") {
+        receiveLog(msg.entry);
+      } else if (msg.type === "expect") {
+        expectChange(msg.roomId);
+      } else if (msg.type === "signal-config") {
+        applyConfig(SignalRegistry, msg.signals);
+      } else if (msg.type === "room-config") {
+        applyConfig(RoomLayout, msg.layout);
+      } else if (msg.type === "schedule-config") {
+        setScheduleConfig(msg.schedule ?? null);
+      } else if (msg.type === "runner") {
+        setRulesRunner(msg.active);
+      }
+    });
+    return () => {
+      offStatus();
+      offMessages();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!syncEnabled) {
+      SyncChannel.disconnect();
+      return;
+    }
+    // Debounce so typing a server URL doesn't open a socket per key
+    const timer = setTimeout(() => SyncChannel.connect(serverUrl), 600);
+    return () => clearTimeout(timer);
+  }, [syncEnabled, serverUrl]);
+
+  // ── Kiosk: nobody is there to press anything ──
+  // Retry at once when the network or the screen comes back rather
+  // than waiting out the backoff
+  useEffect(() => {
+    if (!KIOSK) return;
+    const recover = () => {
+      if (document.visibilityState === "visible" && !SyncChannel.isLive) {
+        SyncChannel.connect(serverUrl);
+      }
+    };
+    window.addEventListener("online", recover);
+    document.addEventListener("visibilitychange", recover);
+    return () => {
+      window.removeEventListener("online", recover);
+      document.removeEventListener("visibilitychange", recover);
+    };
+  }, [serverUrl]);
+
+  const kioskOfflineSince = useRef(Date.now());
+  useEffect(() => {
+    if (!KIOSK) return;
+    if (syncStatus !== "live") {
+      if (kioskOfflineSince.current === null) kioskOfflineSince.current = Date.now();
+      return;
+    }
+    const offlineFor = Date.now() - kioskOfflineSince.current;
+    kioskOfflineSince.current = null;
+    if (offlineFor > KIOSK_RELOAD_AFTER_MS) window.location.reload();
+  }, [syncStatus]);
+
+  // Lets the hub prefer a device that can reach the lights for
+  // the automatic rules — never the kiosk, which only watches
+  useEffect(() => {
+    if (syncStatus === "live") {
+      SyncChannel.send({ type: "bridge-status", connected: connected && !KIOSK, readOnly: KIOSK });
+    }
+  }, [syncStatus, connected]);
+
+  // Tells the server's scheduler which rooms there are and which
+  // lights to command for each
+  useEffect(() => {
+    if (syncStatus !== "live") return;
+    SyncChannel.send({
+      type: "rooms",
+      demo: bridgeRooms === DEMO_ROOMS,
+      rooms: rooms.map((room) => ({
+        id: room.id,
+        name: room.name,
+        bridgeId: room.bridgeId,
+        wingId: room.wingId,
+        hidden: room.hidden,
+        groupedLightIds: room.groupedLightIds,
+        looseLights: room.looseLights,
+      })),
+    });
+  }, [syncStatus, rooms, bridgeRooms]);
 
   // ── Toast helper ──
   const showToast = useCallback((message, type = "success") => {
@@ -78,135 +454,888 @@ export default function App() {
     toastTimer.current = setTimeout(() => setToast(null), 2500);
   }, []);
 
-  // ── Connect to bridge ──
-  const handleConnect = async () => {
-    if (!bridgeIp || !apiKey) {
-      setConnectionError("Please enter both Bridge IP and API key.");
-      setNeedsCert(false);
+  // ── Bridge heartbeats — follow health, re-sync after a reconnect ──
+  useEffect(() => {
+    return BridgeRegistry.onHealthChange((bridgeId, health) => {
+      setBridgeHealth((prev) => ({ ...prev, [bridgeId]: health }));
+      if (health.status === "lost" && health.attempt === 0) {
+        showToast(`${BridgeRegistry.label(bridgeId)} connection lost — reconnecting…`, "error");
+      }
+      if (health.reconnected && !KIOSK) resyncRooms(bridgeId);
+    });
+  }, []);
+
+  useEffect(
+    () => () => {
+      for (const bridge of BridgeRegistry.all) {
+        BridgeRegistry.service(bridge.id).stopHeartbeat();
+      }
+      Object.values(unsubscribeEventsRef.current).forEach((off) => off());
+      PatternEngine.stopAll();
+    },
+    []
+  );
+
+  // Connected bridges the heartbeat can't reach
+  const lostBridges = bridges.filter(
+    (b) =>
+      bridgeStatus[b.id]?.connected &&
+      ["lost", "reconnecting"].includes(bridgeHealth[b.id]?.status)
+  );
+  const waitingBridges = lostBridges.filter((b) => bridgeHealth[b.id].status === "lost");
+  const bridgeLost = lostBridges.length > 0;
+
+  // Tick once a second while lost, for the "retrying in Ns" countdown
+  useEffect(() => {
+    if (waitingBridges.length === 0) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [waitingBridges.length > 0]);
+
+  // The soonest retry of any lost bridge
+  const retryInSec = Math.max(
+    0,
+    Math.ceil(
+      (Math.min(...waitingBridges.map((b) => bridgeHealth[b.id].retryAt)) - now) / 1000
+    )
+  );
+
+  // ── Connect to bridges ──
+  // Records one bridge's connection state. null = disconnected.
+  const setStatusOf = (bridgeId, status) => {
+    const next = { ...bridgeStatusRef.current };
+    if (status) next[bridgeId] = status;
+    else delete next[bridgeId];
+    bridgeStatusRef.current = next;
+    setBridgeStatus(next);
+  };
+
+  const connectBridge = async (bridgeId) => {
+    const bridge = BridgeRegistry.find(bridgeId);
+    if (!bridge) return;
+    // The local server may already hold the credentials
+    if (transport === "direct" && (!bridge.bridgeIp || !bridge.apiKey)) {
+      setStatusOf(bridgeId, { error: "Please enter both Bridge IP and API key." });
       return;
     }
 
-    setConnectionError("");
-    setNeedsCert(false);
-    setCertUrl("");
+    setStatusOf(bridgeId, null);
 
-    HueBridgeService.configure(bridgeIp, apiKey);
-    const result = await HueBridgeService.testConnection();
+    const service = BridgeRegistry.service(bridgeId);
+    service.configure(bridge.bridgeIp, bridge.apiKey, { transport, serverUrl });
+    const result = await service.testConnection();
 
     if (result.success) {
-      setConnected(true);
-      setDemoMode(false);
-      setApiVersion(result.apiVersion || "");
-      showToast(`Connected via API ${result.apiVersion}`);
+      setStatusOf(bridgeId, { connected: true, apiVersion: result.apiVersion || "" });
+      showToast(
+        BridgeRegistry.all.length > 1
+          ? `${bridge.name} connected via API ${result.apiVersion}`
+          : `Connected via API ${result.apiVersion}`
+      );
+      service.startHeartbeat();
+      startLiveSync(bridgeId);
 
-      // Fetch real rooms from bridge
+      // Fetch real rooms and zones from bridge — a bridge that
+      // can't list zones still has its rooms
       try {
-        const bridgeRooms = await HueBridgeService.getRooms();
-        const mapped = bridgeRooms.map((r) => ({
-          id: r.id,
+        const [rooms, zones] = await Promise.all([
+          service.getRooms(),
+          service.getZones().catch(() => []),
+        ]);
+        const mapped = [...rooms, ...zones].map((r) => ({
+          id: roomKey(bridgeId, r.id),
+          bridgeId,
           name: r.metadata?.name || r.id,
+          ...(r.type === "zone" && { zone: true }),
           lights: r.children
-            ?.filter((c) => c.rtype === "device")
+            ?.filter((c) => c.rtype === "light")
             .map((c) => c.rid) || [],
           groupedLightId: r.services?.find(
             (s) => s.rtype === "grouped_light"
           )?.rid,
         }));
-        if (mapped.length > 0) setRooms(mapped);
+        setRoomsByBridge((prev) => ({ ...prev, [bridgeId]: mapped }));
       } catch {
         // Keep demo rooms if fetch fails
       }
     } else if (result.needsCert) {
       // Certificate needs to be accepted
-      setNeedsCert(true);
-      setCertUrl(result.certUrl || HueBridgeService.getCertAcceptUrl());
-      setConnectionError(result.error);
+      setStatusOf(bridgeId, {
+        error: result.error,
+        needsCert: true,
+        certUrl: result.certUrl || service.getCertAcceptUrl(),
+      });
     } else {
-      setConnectionError(result.error);
+      setStatusOf(bridgeId, { error: result.error });
+    }
+  };
+
+  // The kiosk has no Settings to press Connect in — connect the
+  // bridges this device knows on load, so the tiles show real rooms
+  useEffect(() => {
+    if (KIOSK) BridgeRegistry.all.forEach((bridge) => connectBridge(bridge.id));
+  }, []);
+
+  // ── Paired by pressing the link button (Settings → Set Up a Bridge) ──
+  const handlePaired = (bridgeId, { bridgeIp, username, clientkey }) => {
+    BridgeRegistry.update(
+      bridgeId,
+      username
+        ? { bridgeIp, apiKey: username, clientKey: clientkey }
+        : // Via the local server, which keeps the new key — an old key
+          // here would replace it on connect
+          { bridgeIp, apiKey: "", clientKey: undefined }
+    );
+    showToast(
+      BridgeRegistry.all.length > 1
+        ? `Paired with ${BridgeRegistry.find(bridgeId).name}`
+        : "Paired with the bridge"
+    );
+    connectBridge(bridgeId);
+  };
+
+  const disconnectBridge = (bridgeId) => {
+    BridgeRegistry.service(bridgeId).stopHeartbeat();
+    for (const room of roomsRef.current) {
+      if (room.bridgeId === bridgeId) PatternEngine.stop(room.id);
+    }
+    unsubscribeEventsRef.current[bridgeId]?.();
+    delete unsubscribeEventsRef.current[bridgeId];
+    delete lightStateRef.current[bridgeId];
+    setStatusOf(bridgeId, null);
+    const without = (prev) => {
+      const next = { ...prev };
+      delete next[bridgeId];
+      return next;
+    };
+    setRoomsByBridge(without);
+    setLightsByBridge(without);
+
+    if (Object.values(bridgeStatusRef.current).some((s) => s.connected)) {
+      showToast(`${BridgeRegistry.find(bridgeId)?.name || "Bridge"} disconnected`, "info");
+    } else {
+      setRoomSignals({});
+      showToast("Disconnected — demo mode", "info");
+    }
+  };
+
+  // ── Add or forget a bridge (Settings → Hue Bridge Connection) ──
+  const removeBridge = (bridgeId) => {
+    // Settings only offers Remove while there are several
+    if (BridgeRegistry.all.length <= 1) return;
+    if (bridgeStatusRef.current[bridgeId]?.connected) disconnectBridge(bridgeId);
+    setStatusOf(bridgeId, null);
+    BridgeRegistry.remove(bridgeId);
+  };
+
+  // ── Live sync — follow changes made in the Hue app or at a switch ──
+  const startLiveSync = async (bridgeId) => {
+    const service = BridgeRegistry.service(bridgeId);
+    unsubscribeEventsRef.current[bridgeId]?.();
+    const lightState = {};
+    lightStateRef.current[bridgeId] = lightState;
+    try {
+      const lights = await service.getLights();
+      for (const light of lights) {
+        lightState[light.id] = {
+          on: light.on?.on,
+          brightness: light.dimming?.brightness,
+          xy: light.color?.xy,
+          gamut: lightGamut(light),
+        };
+      }
+      setLightsByBridge((prev) => ({
+        ...prev,
+        [bridgeId]: lights.map((light) => ({
+          id: light.id,
+          name: light.metadata?.name || light.id,
+          gamut: lightGamut(light),
+          bridgeId,
+        })),
+      }));
+    } catch {
+      // Cache fills up from events instead
+    }
+    unsubscribeEventsRef.current[bridgeId] = service.subscribeEvents((updates) =>
+      handleBridgeEvents(bridgeId, updates)
+    );
+  };
+
+  const handleBridgeEvents = (bridgeId, updates) => {
+    const changed = new Map(); // room → latest light state
+    const lightState = lightStateRef.current[bridgeId];
+    if (!lightState) return; // disconnected meanwhile
+    const ownRooms = roomsRef.current.filter((r) => r.bridgeId === bridgeId);
+
+    for (const update of updates) {
+      if (update.type === "light") {
+        const prev = lightState[update.id] || {};
+        const next = {
+          on: update.on ? update.on.on : prev.on,
+          brightness: update.dimming ? update.dimming.brightness : prev.brightness,
+          xy: update.color?.xy || prev.xy,
+          gamut: prev.gamut,
+        };
+        lightState[update.id] = next;
+        // A light can belong to a bridge room and a custom room
+        for (const room of ownRooms) {
+          if (room.lights.includes(update.id)) changed.set(room, next);
+        }
+      } else if (update.type === "grouped_light" && update.on?.on === false) {
+        // grouped_light events carry on/dimming only — trust "off"
+        for (const room of ownRooms) {
+          if (room.groupedLightId === update.id) changed.set(room, { on: false });
+        }
+      }
+    }
+
+    // The kiosk only watches — the other devices report it
+    if (KIOSK) return;
+    for (const [room, state] of changed) {
+      if (Date.now() < (expectedRef.current[room.id] || 0)) continue;
+
+      const matched = matchSignal(state);
+      const stack = roomSignalsRef.current[room.id] || [];
+      if ((matched?.id ?? null) === (topSignal(stack)?.id ?? null)) continue;
+
+      // The lights already show it — nothing to refuse
+      const op = matched ? { op: "push", signalId: matched.id, force: true } : { op: "clear" };
+      const { resolved } = setRoomStack(room.id, applyStackOp(stack, op, SignalRegistry.all));
+
+      // Every synced device sees the same outside change — the hub
+      // keeps only the first report (dedupe)
+      const note = "changed outside app";
+      const entries = [
+        makeLogEntry(room, matched || findSignal("clear"), true, { note }),
+        ...resolved.map((call) =>
+          makeLogEntry(room, findSignal(call.signalId), true, {
+            note,
+            event: "resolved",
+            sentAt: call.sentAt,
+          })
+        ),
+      ];
+      if (!sendRoomOp(room.id, op, entries, { dedupe: true })) entries.forEach(addEntry);
+    }
+  };
+
+  // ── Push a signal (or "lights off") to a room's bridge lights ──
+  // { force } skips the connection-state check (used by resync,
+  // which runs from the heartbeat outside the current render).
+  // Starts the signal's pattern (flash, breathe …) once it shows.
+  // "Lights off" restores the room's earlier lighting instead when
+  // the room is set to (room.onClear) and this device saw it.
+  const applyToBridge = async (room, signal, { force = false } = {}) => {
+    // Demo rooms, or a bridge that isn't connected
+    if (!force && !bridgeStatusRef.current[room.bridgeId]?.connected) return;
+    const service = BridgeRegistry.service(room.bridgeId);
+    if (!force && !service.isConnected) {
+      throw new Error(`${BridgeRegistry.label(room.bridgeId)} connection lost`);
+    }
+    PatternEngine.stop(room.id);
+    const showing = signal && signal.id !== "clear" ? signal : null;
+    if (!showing) {
+      const restored = room.onClear === "restore" && (await restoreRoom(service, room));
+      if (!restored) await commandRoom(service, room, null);
+      return;
+    }
+
+    // First signal in the room — remember its lighting for the clear
+    if (room.onClear === "restore" && !roomSignalsRef.current[room.id]?.length) {
+      try {
+        await service.saveSnapshot(room.id, room.lights);
+      } catch {
+        // Couldn't read the lights — the signal matters more; the
+        // clear turns them off instead
+      }
+    }
+    await commandRoom(service, room, showing);
+
+    PatternEngine.start(room.id, showing, {
+      apply: (step) =>
+        commandRoom(
+          service,
+          room,
+          step.on === false
+            ? null
+            : {
+                ...showing,
+                brightness: Math.max(1, Math.round(showing.brightness * (step.level ?? 1))),
+              }
+        ),
+      alert: async () => {
+        markExpected(room);
+        await Promise.all([
+          ...room.groupedLightIds.map((gid) => service.signalGroup(gid)),
+          ...room.looseLights.map((lid) => service.signalLight(lid)),
+        ]);
+      },
+    });
+  };
+
+  // Our own change is on its way to a room's lights. Rooms
+  // sharing any of them (a zone and the rooms it spans, custom
+  // rooms) see it too.
+  const expectChange = (roomId) => {
+    const until = Date.now() + 3000;
+    expectedRef.current[roomId] = until;
+    const room = roomsRef.current.find((r) => r.id === roomId);
+    if (!room) return;
+    for (const other of roomsRef.current) {
+      if (other.bridgeId === room.bridgeId && other.lights.some((id) => room.lights.includes(id))) {
+        expectedRef.current[other.id] = until;
+      }
+    }
+  };
+
+  // Don't log its echo as an outside change, here or on other
+  // devices
+  const markExpected = (room) => {
+    expectChange(room.id);
+    SyncChannel.send({ type: "expect", roomId: room.id });
+  };
+
+  // One command per grouped light, then one per light not already
+  // covered by a group (see roomLayout.js). null = lights off.
+  // They're queued together — the bridge service paces them.
+  const commandRoom = async (service, room, signal) => {
+    markExpected(room);
+    const commands = signal
+      ? [
+          ...room.groupedLightIds.map((gid) =>
+            service.setGroupedLightColor(gid, signal.color, signal.brightness)
+          ),
+          ...room.looseLights.map((lid) =>
+            service.setLightColor(lid, signal.color, signal.brightness)
+          ),
+        ]
+      : [
+          ...room.groupedLightIds.map((gid) => service.turnOffGroup(gid)),
+          ...room.looseLights.map((lid) => service.turnOff(lid)),
+        ];
+    await Promise.all(commands);
+    expectChange(room.id);
+  };
+
+  // The room's lights as they were before its first signal —
+  // false when this device has no snapshot of them
+  const restoreRoom = async (service, room) => {
+    if (!service.hasSnapshot(room.id)) return false;
+    markExpected(room);
+    await service.restoreSnapshot(room.id);
+    expectChange(room.id);
+    return true;
+  };
+
+  // A room cleared some other way (another device, a switch) keeps
+  // no lighting snapshot — its next signal takes a fresh one
+  const forgetSnapshot = (roomId) => {
+    const room = roomsRef.current.find((r) => r.id === roomId);
+    if (room) BridgeRegistry.service(room.bridgeId).dropSnapshot(roomId);
+  };
+
+  // Patterns run until their room shows something else — changed
+  // from another device, at a switch, or by a snapshot
+  const stopStalePatterns = () => {
+    for (const [roomId, signalId] of PatternEngine.running) {
+      if (topSignal(roomSignalsRef.current[roomId])?.id !== signalId) {
+        PatternEngine.stop(roomId);
+      }
     }
   };
 
-  // ── Retry after user accepts certificate ──
-  const handleRetryAfterCert = async () => {
-    setNeedsCert(false);
-    setCertUrl("");
-    setConnectionError("");
-    await handleConnect();
+  // ── Re-apply every active signal after a bridge comes back ──
+  // A rebooted bridge forgets light state, so push it all again.
+  const resyncRooms = async (bridgeId) => {
+    let synced = 0;
+    for (const room of roomsRef.current) {
+      if (room.bridgeId !== bridgeId) continue;
+      const showing = topSignal(roomSignalsRef.current[room.id]);
+      if (!showing) continue;
+      try {
+        await applyToBridge(room, showing, { force: true });
+        synced++;
+      } catch {
+        // Next heartbeat will notice if the bridge dropped again
+      }
+    }
+    const label = BridgeRegistry.label(bridgeId);
+    showToast(
+      synced > 0
+        ? `${label} reconnected — ${synced} room${synced !== 1 ? "s" : ""} re-synced`
+        : `${label} reconnected`
+    );
   };
 
-  const handleDisconnect = () => {
-    setConnected(false);
-    setDemoMode(true);
-    setApiVersion("");
-    setRooms(DEMO_ROOMS);
-    setRoomSignals({});
-    showToast("Disconnected — demo mode", "info");
+  // ── Commit a room's new stack ──
+  // Keeps the room's open calls in step with the stack and returns
+  // { calls, resolved } — the calls this change closed, for logging.
+  //   { calls } — start from these calls instead of the current
+  //               ones (acknowledge, sync)
+  // Only changes this device — share it with sendRoomOp.
+  const setRoomStack = (roomId, stack, { calls } = {}) => {
+    const reconciled = reconcileCalls(
+      calls ?? roomCallsRef.current[roomId],
+      stack,
+      SignalRegistry.all
+    );
+    roomSignalsRef.current = withRoomEntry(
+      roomSignalsRef.current,
+      roomId,
+      stack,
+      stack.length === 0
+    );
+    roomCallsRef.current = withRoomEntry(
+      roomCallsRef.current,
+      roomId,
+      reconciled.calls,
+      Object.keys(reconciled.calls).length === 0
+    );
+    setRoomSignals(roomSignalsRef.current);
+    setRoomCalls(roomCallsRef.current);
+    stopStalePatterns();
+    if (stack.length === 0) forgetSnapshot(roomId);
+    return reconciled;
+  };
+
+  // ── Share a room change through the hub ──
+  // Sends the operation, not the new stack: the hub applies it to
+  // its own copy (stackOps.js) and sends every device the result.
+  // `log` is written only if the hub makes the change. Returns
+  // false when not shared — the caller logs here instead.
+  const sendRoomOp = (roomId, op, log, { dedupe = false } = {}) =>
+    SyncChannel.send({ type: "room-op", roomId, ...op, log, dedupe });
+
+  // ── The hub refused our push ──
+  // Another device showed something more urgent first. Take the
+  // hub's state and put the room's lights back to match it.
+  const undoBlocked = async ({ roomId, stack, calls }) => {
+    setRoomStack(roomId, stack, { calls });
+    const room = roomsRef.current.find((r) => r.id === roomId);
+    const showing = topSignal(stack);
+    if (!room || !showing) return;
+    showToast(`${showing.label} is active in ${room.name} — not changed`, "info");
+    try {
+      await applyToBridge(room, showing);
+    } catch {
+      // Put right by the next change or bridge resync
+    }
+  };
+
+  // A log entry as addLog writes it — with who made the change
+  const staffEntry = (room, signal, success = true, details = {}) =>
+    makeLogEntry(room, signal, success, {
+      by: staffName.trim() || undefined,
+      ...details,
+    });
+
+  const resolvedEntries = (room, resolved) =>
+    resolved.map((call) =>
+      staffEntry(room, findSignal(call.signalId), true, {
+        event: "resolved",
+        sentAt: call.sentAt,
+      })
+    );
+
+  // ── Acknowledge a call for help — "I'm on my way" ──
+  const acknowledgeSignal = (roomId, signalId) => {
+    const room = rooms.find((r) => r.id === roomId);
+    const signal = findSignal(signalId);
+    const calls = roomCallsRef.current[roomId] || {};
+    if (!room || !signal || !calls[signalId]) return;
+
+    const by = staffName.trim() || "Unnamed";
+    const next = acknowledgeCall(calls, signalId, by);
+    if (next === calls) return;
+
+    setRoomStack(roomId, roomSignalsRef.current[roomId] || [], { calls: next });
+    // dedupe: someone else may have answered first
+    const entry = staffEntry(room, signal, true, {
+      event: "acknowledged",
+      by,
+      sentAt: calls[signalId].sentAt,
+    });
+    if (!sendRoomOp(roomId, { op: "ack", signalId, by }, entry, { dedupe: true })) {
+      addEntry(entry);
+    }
+    showToast(`${by} responding → ${room.name}`);
   };
 
   // ── Send signal to a room ──
-  const sendSignal = async (roomId, signalId) => {
+  //
+  // Returns { blocked: true, activeSignal } without touching the
+  // lights when a lower-priority signal would hide a higher one.
+  // Pass { force: true } once the user has confirmed the override.
+  const sendSignal = async (roomId, signalId, { force = false } = {}) => {
     const room = rooms.find((r) => r.id === roomId);
-    const signal = SIGNALS.find((s) => s.id === signalId);
+    const signal = findSignal(signalId);
     if (!room || !signal) return;
 
+    const stack = roomSignals[roomId] || [];
+    if (!force && isBlocked(stack, signalId)) {
+      const activeSignal = topSignal(stack);
+      showToast(`${activeSignal.label} is active in ${room.name}`, "info");
+      return { blocked: true, activeSignal };
+    }
+
+    // Clear takes off whatever is showing
+    let op = { op: "push", signalId, force };
+    if (signal.id === "clear") {
+      op = stack.length > 0 ? { op: "remove", signalId: stack[stack.length - 1] } : { op: "clear" };
+    }
+    const nextStack = applyStackOp(stack, op, SignalRegistry.all);
+    const showing = topSignal(nextStack);
+
     try {
-      if (!demoMode && connected) {
-        if (signal.id === "clear") {
-          if (room.groupedLightId) {
-            await HueBridgeService.turnOffGroup(room.groupedLightId);
-          } else {
-            for (const lid of room.lights) {
-              await HueBridgeService.turnOff(lid);
-            }
-          }
-        } else if (room.groupedLightId) {
-          await HueBridgeService.setGroupedLightColor(
-            room.groupedLightId,
-            signal.color,
-            signal.brightness
-          );
-        } else {
-          for (const lid of room.lights) {
-            await HueBridgeService.setLightColor(
-              lid,
-              signal.color,
-              signal.brightness
-            );
-          }
-        }
-      }
+      await applyToBridge(room, showing);
+      const isNewCall = signal.requiresAck && !roomCallsRef.current[roomId]?.[signalId];
+      sentHereRef.current.add(`${roomId}/${signalId}`);
+      const { resolved } = setRoomStack(roomId, nextStack);
 
-      if (signal.id === "clear") {
-        setRoomSignals((prev) => {
-          const next = { ...prev };
-          delete next[roomId];
-          return next;
-        });
+      const entries = [
+        staffEntry(room, signal, true, isNewCall ? { event: "sent" } : {}),
+        ...resolvedEntries(room, resolved),
+      ];
+      if (!sendRoomOp(roomId, op, entries)) entries.forEach(addEntry);
+      if (signal.id === "clear" && showing) {
+        showToast(`${showing.label} restored → ${room.name}`, "info");
       } else {
-        setRoomSignals((prev) => ({ ...prev, [roomId]: signalId }));
+        showToast(`${signal.label} → ${room.name}`);
       }
-
-      addLog(room.name, signal.label, true);
-      showToast(`${signal.label} → ${room.name}`);
     } catch (err) {
-      addLog(room.name, signal.label, false);
+      addLog(room, signal, false);
       showToast(`Failed: ${err.message}`, "error");
     }
   };
 
-  // ── Clear all rooms ──
+  // ── Clear all rooms — empties every stack, not just the top ──
+  // Every room's commands go into the bridge queue at once.
   const clearAll = async () => {
-    for (const room of rooms) {
-      await sendSignal(room.id, "clear");
-    }
+    const clear = findSignal("clear");
+    await Promise.all(
+      rooms.map(async (room) => {
+        try {
+          await applyToBridge(room, null);
+          const { resolved } = setRoomStack(room.id, []);
+          const entries = [staffEntry(room, clear), ...resolvedEntries(room, resolved)];
+          if (!sendRoomOp(room.id, { op: "clear" }, entries)) entries.forEach(addEntry);
+        } catch {
+          addLog(room, clear, false);
+        }
+      })
+    );
     showToast("All rooms cleared");
   };
 
+  // ── Automatic rules — escalate, expire, repeat (signalRules.js) ──
+  // Every device runs them on its own unless it shares state
+  // through the hub, which then picks one device to run them. The
+  // kiosk never does, even if the hub picks it.
+  const runsRules = !KIOSK && (!(syncEnabled && syncStatus === "live") || rulesRunner);
+
+  useEffect(() => {
+    if (!runsRules) return;
+    const timer = setInterval(runRules, RULES_TICK_MS);
+    return () => clearInterval(timer);
+  }, [runsRules]);
+
+  const runRules = async () => {
+    const now = Date.now();
+    const timers = {};
+    for (const room of roomsRef.current) {
+      const stack = roomSignalsRef.current[room.id];
+      if (!stack) continue;
+      timers[room.id] = trackTimers(ruleTimersRef.current[room.id], stack, now);
+    }
+    ruleTimersRef.current = timers;
+
+    for (const room of roomsRef.current) {
+      const rule = dueRule(
+        roomSignalsRef.current[room.id],
+        roomCallsRef.current[room.id],
+        timers[room.id],
+        now
+      );
+      if (rule) await applyRule(room, rule);
+    }
+  };
+
+  const applyRule = async (room, rule) => {
+    const { signal } = rule;
+    const automatic = true;
+
+    if (rule.type === "repeat") {
+      ruleTimersRef.current[room.id].repeatedAt[signal.id] = Date.now();
+      // Nothing to repeat on demo rooms
+      if (!bridgeStatusRef.current[room.bridgeId]?.connected) return;
+      let ok = true;
+      try {
+        await applyToBridge(room, signal);
+      } catch {
+        ok = false;
+      }
+      addEntry(
+        makeLogEntry(room, signal, ok, {
+          note: `repeated every ${rule.minutes} min`,
+          automatic,
+        })
+      );
+      return;
+    }
+
+    const stack = roomSignalsRef.current[room.id] || [];
+    const calls = roomCallsRef.current[room.id] || {};
+    const op =
+      rule.type === "escalate"
+        ? { op: "escalate", signalId: signal.id, to: rule.to.id }
+        : { op: "remove", signalId: signal.id };
+    const nextStack = applyStackOp(stack, op, SignalRegistry.all);
+    const showing = topSignal(nextStack);
+
+    let ok = true;
+    if ((showing?.id ?? null) !== (topSignal(stack)?.id ?? null)) {
+      try {
+        await applyToBridge(room, showing);
+      } catch {
+        ok = false;
+      }
+    }
+    const { resolved } = setRoomStack(room.id, nextStack);
+
+    const note =
+      rule.type === "escalate"
+        ? `escalated to ${rule.to.label}`
+        : `${signal.label} cleared after ${rule.minutes} min`;
+    const entries = [
+      rule.type === "escalate"
+        ? makeLogEntry(room, rule.to, ok, {
+            ...(rule.to.requiresAck && !calls[rule.to.id] && { event: "sent" }),
+            note: `escalated from ${signal.label} after ${rule.minutes} min unanswered`,
+            automatic,
+          })
+        : makeLogEntry(room, findSignal("clear"), ok, { note, automatic }),
+      ...resolved.map((call) =>
+        makeLogEntry(room, findSignal(call.signalId), true, {
+          event: "resolved",
+          sentAt: call.sentAt,
+          note,
+          automatic,
+        })
+      ),
+    ];
+    // dedupe: if the hub re-picked the runner mid-way, only the
+    // first device's change counts
+    if (!sendRoomOp(room.id, op, entries, { dedupe: true })) entries.forEach(addEntry);
+
+    showToast(
+      rule.type === "escalate"
+        ? `${signal.label} unanswered → ${rule.to.label} in ${room.name}`
+        : `${signal.label} cleared automatically → ${room.name}`,
+      rule.type === "escalate" ? "error" : "info"
+    );
+  };
+
+  // ── Save the room layout (null = bridge rooms as is) ──
+  // Throws on an invalid layout, so the manager can show why.
+  const saveRoomLayout = (layout) => {
+    RoomLayout.save(layout);
+    SyncChannel.send({ type: "room-config", layout });
+    showToast("Rooms saved");
+  };
+
+  // ── Save edited signal definitions (null = back to defaults) ──
+  // Throws on an invalid list, so the editor can show why.
+  const saveSignals = (list) => {
+    SignalRegistry.save(list);
+    SyncChannel.send({ type: "signal-config", signals: list });
+    showToast("Signals saved");
+  };
+
+  // ── Save the schedule (null = defaults) ──
+  // It lives on the local server, which runs it — so it can only
+  // be saved while connected there.
+  const saveSchedule = (schedule) => {
+    if (!SyncChannel.send({ type: "schedule-config", schedule })) {
+      throw new Error("Can't reach the local server — the schedule wasn't saved");
+    }
+    showToast("Schedule saved");
+  };
+
+  // ── Save this device's keyboard shortcuts (null = defaults) ──
+  const saveShortcuts = (config) => {
+    Shortcuts.save(config);
+    showToast("Shortcuts saved");
+  };
+
+  // ── Alerts — sounds and notifications (alerts.js) ──
+  // Signals that weren't in a room's stack last time are new,
+  // wherever they came from: this device, another one, a rule or
+  // the schedule. A snapshot only resets what counts as new.
+  useEffect(() => {
+    const before = alertedSignalsRef.current;
+    alertedSignalsRef.current = roomSignals;
+    const arrivals = [];
+    for (const [roomId, stack] of Object.entries(roomSignals)) {
+      const room = roomsRef.current.find((r) => r.id === roomId);
+      const signal = topSignal(stack);
+      if (!room || !signal || (before[roomId] || []).includes(signal.id)) continue;
+      const local = sentHereRef.current.has(`${roomId}/${signal.id}`);
+      arrivals.push({ room, signal, local });
+    }
+    sentHereRef.current.clear();
+    Alerts.signalsArrived(arrivals);
+  }, [roomSignals]);
+
+  // Answered calls and cleared signals need no notification
+  useEffect(() => {
+    Alerts.closeNotifications(
+      (roomId, signalId) =>
+        (roomSignals[roomId] || []).includes(signalId) &&
+        !roomCalls[roomId]?.[signalId]?.ackBy
+    );
+  }, [roomSignals, roomCalls]);
+
+  // Keep sounding unanswered alertUntilAck calls — the most
+  // urgent one, not one per room
+  useEffect(() => {
+    const timer = setInterval(() => {
+      let loudest = null;
+      for (const calls of Object.values(roomCallsRef.current)) {
+        for (const [signalId, call] of Object.entries(calls)) {
+          const signal = findSignal(signalId);
+          if (!signal?.alertUntilAck || call.ackBy) continue;
+          if (!loudest || signal.priority > loudest.priority) loudest = signal;
+        }
+      }
+      if (loudest) Alerts.remind(loudest);
+    }, REPEAT_ALERT_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Browsers only play sound after a click or key press
+  useEffect(() => {
+    const unlock = () => Alerts.unlock();
+    window.addEventListener("pointerdown", unlock);
+    window.addEventListener("keydown", unlock);
+    return () => {
+      window.removeEventListener("pointerdown", unlock);
+      window.removeEventListener("keydown", unlock);
+    };
+  }, []);
+
+  // ── Keyboard shortcuts — room number, then signal key ──
+  // The listener is added once and calls the latest handler, so
+  // it always sees the current rooms and signals.
+  const keyHandlerRef = useRef(null);
+  const keyRoomTimer = useRef(null);
+  const lastBlockedRef = useRef(null); // { roomId, signalId, at }
+
+  useEffect(() => {
+    const onKey = (e) => keyHandlerRef.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      clearTimeout(keyRoomTimer.current);
+    };
+  }, []);
+
+  const typeRoomNumber = (number) => {
+    clearTimeout(keyRoomTimer.current);
+    setKeyRoom(number);
+    if (number) keyRoomTimer.current = setTimeout(() => setKeyRoom(""), SEQUENCE_TIMEOUT_MS);
+  };
+
+  keyHandlerRef.current = (e) => {
+    if (KIOSK) return;
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      typeRoomNumber("");
+      setPaletteOpen((open) => !open);
+      return;
+    }
+    if (paletteOpen || !shortcuts.enabled) return;
+    if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+
+    if (/^[0-9]$/.test(e.key)) {
+      typeRoomNumber((keyRoom + e.key).slice(-3));
+      return;
+    }
+    if (e.key === "Escape") {
+      typeRoomNumber("");
+      return;
+    }
+    const signalId = keyRoom && idFor(shortcutKeys.signalKeys, e.key.toLowerCase());
+    if (!signalId) return;
+
+    e.preventDefault();
+    typeRoomNumber("");
+    const roomId = idFor(shortcutKeys.roomNumbers, keyRoom);
+    if (!roomId) {
+      showToast(`No room ${keyRoom}`, "error");
+      return;
+    }
+    sendFromKeyboard(roomId, signalId, `${keyRoom} ${e.key.toUpperCase()}`);
+  };
+
+  // A blocked signal goes through when its shortcut is pressed
+  // again within OVERRIDE_MS
+  const sendFromKeyboard = async (roomId, signalId, keys) => {
+    const last = lastBlockedRef.current;
+    const force =
+      last?.roomId === roomId && last.signalId === signalId && Date.now() - last.at < OVERRIDE_MS;
+    lastBlockedRef.current = null;
+
+    const result = await sendSignal(roomId, signalId, { force });
+    if (result?.blocked) {
+      lastBlockedRef.current = { roomId, signalId, at: Date.now() };
+      showToast(`${result.activeSignal.label} is showing — press ${keys} again to override`, "info");
+    }
+  };
+
+  const keyRoomName = rooms.find((r) => r.id === idFor(shortcutKeys.roomNumbers, keyRoom))?.name;
+
   // ── Render ──
+  if (KIOSK) {
+    return (
+      <KioskView
+        rooms={controlRooms}
+        roomSignals={roomSignals}
+        roomCalls={roomCalls}
+        lightGamuts={lightGamuts}
+        bridges={bridges}
+        logs={logs}
+        syncStatus={syncStatus}
+      />
+    );
+  }
+
   return (
     <div className={styles.app}>
       {toast && <Toast message={toast.message} type={toast.type} />}
 
+      {paletteOpen && (
+        <CommandPalette
+          rooms={controlRooms}
+          signals={signals}
+          shortcutKeys={shortcutKeys}
+          roomSignals={roomSignals}
+          onSend={sendSignal}
+          onClearAll={clearAll}
+          onClose={() => setPaletteOpen(false)}
+        />
+      )}
+
+      {keyRoom && (
+        <div className={styles.keyHint}>
+          <kbd className={styles.kbd}>{keyRoom}</kbd>
+          {keyRoomName || "No such room"} — press a signal key:{" "}
+          {signals
+            .filter((s) => shortcutKeys.signalKeys[s.id])
+            .map((s) => `${shortcutKeys.signalKeys[s.id].toUpperCase()} ${s.label}`)
+            .join(" · ")}
+        </div>
+      )}
+
       {/* Header */}
       <header className={styles.header}>
         <div className={styles.headerLeft}>
@@ -219,21 +1348,76 @@ export default function App() {
           </div>
         </div>
         <div className={styles.headerRight}>
+          <AlertControl />
+          {syncEnabled && (
+            <div className={styles.syncBadge} data-status={syncStatus}>
+              {syncStatus === "live" ? "⇅ Synced" : "⇅ Sync offline"}
+            </div>
+          )}
           <div
             className={styles.statusBadge}
             data-connected={connected ? "true" : "false"}
+            data-lost={bridgeLost ? "true" : "false"}
+            title={
+              connectedIds.length > 1
+                ? bridges
+                    .filter((b) => connectedIds.includes(b.id))
+                    .map((b) => `${b.name}: ${lostBridges.includes(b) ? "lost" : "connected"}`)
+                    .join("\n")
+                : undefined
+            }
           >
             <span className={styles.statusDot} />
-            {connected ? "Bridge Connected" : "Demo Mode"}
+            {!connected
+              ? "Demo Mode"
+              : !bridgeLost
+              ? connectedIds.length > 1
+                ? `${connectedIds.length} Bridges Connected`
+                : "Bridge Connected"
+              : `${
+                  connectedIds.length > 1
+                    ? `${lostBridges.length} of ${connectedIds.length} Bridges`
+                    : "Bridge"
+                } Lost — ${
+                  waitingBridges.length > 0 ? `Retry in ${retryInSec}s` : "Reconnecting…"
+                }`}
           </div>
         </div>
       </header>
 
+      {/* Bridge lost banner */}
+      {bridgeLost && (
+        <div className={styles.lostBanner} role="alert">
+          <span>
+            <strong>
+              Connection to{" "}
+              {bridges.length > 1
+                ? lostBridges.map((b) => b.name).join(", ")
+                : "the Hue Bridge"}{" "}
+              was lost.
+            </strong>{" "}
+            Signals won't reach{" "}
+            {lostBridges.length > 1 ? "their lights until they're" : "the lights until it's"}{" "}
+            back — reconnecting automatically.
+          </span>
+          <button
+            onClick={() =>
+              lostBridges.forEach((b) => BridgeRegistry.service(b.id).reconnectNow())
+            }
+            disabled={waitingBridges.length === 0}
+            className={styles.lostRetryBtn}
+          >
+            Retry Now
+          </button>
+        </div>
+      )}
+
       {/* Nav */}
       <nav className={styles.nav}>
         {[
           { id: "control", label: "Control Panel" },
           { id: "log", label: `Activity Log${logs.length ? ` (${logs.length})` : ""}` },
+          { id: "reports", label: "Reports" },
           { id: "settings", label: "Settings" },
         ].map((tab) => (
           <button
@@ -254,35 +1438,94 @@ export default function App() {
 
       {/* Main content */}
       <main className={styles.main}>
-        {view === "control" && (
-          <div className={styles.roomGrid}>
-            {rooms.map((room) => (
-              <RoomCard
-                key={room.id}
-                room={room}
-                activeSignalId={roomSignals[room.id]}
-                onSendSignal={sendSignal}
-              />
-            ))}
-          </div>
+        {view === "control" &&
+          roomSections.map((section) => (
+            <section key={section.id} className={styles.wing}>
+              {section.name && <h2 className={styles.wingTitle}>{section.name}</h2>}
+              <div className={styles.roomGrid}>
+                {section.rooms.map((room) => (
+                  <RoomCard
+                    key={room.id}
+                    room={room}
+                    signals={signals}
+                    lightGamuts={lightGamuts[room.bridgeId] || {}}
+                    bridgeName={
+                      bridges.length > 1
+                        ? bridges.find((b) => b.id === room.bridgeId)?.name
+                        : undefined
+                    }
+                    shortcut={shortcuts.enabled ? shortcutKeys.roomNumbers[room.id] : undefined}
+                    signalStack={roomSignals[room.id] || []}
+                    calls={roomCalls[room.id] || {}}
+                    onAcknowledge={acknowledgeSignal}
+                    onSendSignal={sendSignal}
+                  />
+                ))}
+              </div>
+            </section>
+          ))}
+        {view === "control" && roomSections.length === 0 && (
+          <p className={styles.emptyRooms}>
+            No rooms to show — every room is hidden. See Settings → Rooms.
+          </p>
         )}
 
-        {view === "log" && <ActivityLog logs={logs} />}
+        {view === "log" && (
+          <ActivityLog
+            logs={logs}
+            rooms={rooms}
+            signals={signals}
+            serverUrl={serverUrl}
+            useServer={syncEnabled && syncStatus === "live"}
+          />
+        )}
+
+        {view === "reports" && (
+          <Reports
+            logs={logs}
+            signals={signals}
+            serverUrl={serverUrl}
+            useServer={syncEnabled && syncStatus === "live"}
+          />
+        )}
 
         {view === "settings" && (
           <Settings
-            bridgeIp={bridgeIp}
-            setBridgeIp={setBridgeIp}
-            apiKey={apiKey}
-            setApiKey={setApiKey}
+            bridges={bridges}
+            bridgeStatus={bridgeStatus}
+            onAddBridge={() => BridgeRegistry.add()}
+            onUpdateBridge={(id, changes) => BridgeRegistry.update(id, changes)}
+            onRemoveBridge={removeBridge}
+            transport={transport}
+            setTransport={setTransport}
+            serverUrl={serverUrl}
+            setServerUrl={setServerUrl}
+            syncEnabled={syncEnabled}
+            setSyncEnabled={setSyncEnabled}
+            syncStatus={syncStatus}
+            staffName={staffName}
+            setStaffName={setStaffName}
             connected={connected}
-            onConnect={handleConnect}
-            onDisconnect={handleDisconnect}
-            connectionError={connectionError}
-            needsCert={needsCert}
-            certUrl={certUrl}
-            onRetryAfterCert={handleRetryAfterCert}
-            apiVersion={apiVersion}
+            onConnect={connectBridge}
+            onDisconnect={disconnectBridge}
+            onPaired={handlePaired}
+            signals={signals}
+            signalsCustom={SignalRegistry.isCustom}
+            activeSignalIds={[...new Set(Object.values(roomSignals).flat())]}
+            onSaveSignals={saveSignals}
+            roomLayout={roomLayout}
+            bridgeRooms={bridgeRooms}
+            bridgeLights={bridgeLights}
+            activeRoomIds={Object.keys(roomSignals)}
+            onSaveRoomLayout={saveRoomLayout}
+            schedule={scheduleConfig ?? DEFAULT_SCHEDULE}
+            scheduleCustom={scheduleConfig !== null}
+            rooms={rooms}
+            onSaveSchedule={saveSchedule}
+            shortcuts={shortcuts}
+            shortcutsCustom={Shortcuts.isCustom}
+            controlRooms={controlRooms}
+            onSaveShortcuts={saveShortcuts}
           />
         )}
       </main>
@@ -1,7 +1,134 @@
+import { useState, useEffect, useMemo } from "react";
+import { filterEntries, toCsv, toJson } from "../services/activityQuery";
+import { fetchActivity, activityExportUrl } from "../services/activityApi";
 import styles from "./ActivityLog.module.css";
 
-export default function ActivityLog({ logs }) {
-  if (logs.length === 0) {
+// ============================================================
+// ACTIVITY LOG
+// ============================================================
+//
+// Pages through the log with filters and exports it.
+// With `useServer`, entries come from the local server's durable
+// log; otherwise from this device's own (localStorage) log.
+// ============================================================
+
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = {
+  roomId: "",
+  signalId: "",
+  status: "", // "" | "success" | "failed"
+  fromDate: "", // yyyy-mm-dd from <input type="date">
+  toDate: "",
+};
+
+// Form values → activityQuery filters (local-time day bounds)
+function toQueryFilters(form) {
+  return {
+    roomId: form.roomId || undefined,
+    signalId: form.signalId || undefined,
+    success:
+      form.status === "success" ? true : form.status === "failed" ? false : undefined,
+    from: form.fromDate ? new Date(`${form.fromDate}T00:00:00`).toISOString() : undefined,
+    to: form.toDate ? new Date(`${form.toDate}T23:59:59.999`).toISOString() : undefined,
+  };
+}
+
+function formatTime(timestamp) {
+  const today = new Date().toDateString() === timestamp.toDateString();
+  return today
+    ? timestamp.toLocaleTimeString()
+    : `${timestamp.toLocaleDateString()} ${timestamp.toLocaleTimeString()}`;
+}
+
+// "acknowledged by Nurse Kim · changed outside app"
+function describe(log) {
+  const parts = [];
+  if (log.event === "sent") parts.push("call sent");
+  if (log.event === "acknowledged") parts.push("acknowledged");
+  if (log.event === "resolved") {
+    const minutes = log.sentAt
+      ? Math.round((log.timestamp - new Date(log.sentAt)) / 60000)
+      : null;
+    parts.push(minutes === null ? "resolved" : `resolved after ${minutes} min`);
+  }
+  if (log.by) parts.push(`by ${log.by}`);
+  if (log.automatic) parts.push("automatic");
+  if (log.note) parts.push(log.note);
+  return parts.join(" · ");
+}
+
+function download(href, filename) {
+  const link = document.createElement("a");
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+export default function ActivityLog({ logs, rooms, signals, serverUrl, useServer }) {
+  const [form, setForm] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(0);
+  const [remote, setRemote] = useState({ entries: [], total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const filters = useMemo(() => toQueryFilters(form), [form]);
+  const hasFilters = Object.values(form).some(Boolean);
+  const latestId = logs[0]?.id;
+
+  const localMatches = useMemo(
+    () => (useServer ? [] : filterEntries(logs, filters)),
+    [useServer, logs, filters]
+  );
+
+  // Server mode — refetch on filter/page change and on every new entry
+  useEffect(() => {
+    if (!useServer) return;
+    let cancelled = false;
+    setLoading(true);
+    fetchActivity(serverUrl, filters, { offset: page * PAGE_SIZE, limit: PAGE_SIZE })
+      .then((result) => {
+        if (cancelled) return;
+        setRemote(result);
+        setError("");
+      })
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [useServer, serverUrl, filters, page, latestId]);
+
+  const total = useServer ? remote.total : localMatches.length;
+  const entries = useServer
+    ? remote.entries
+    : localMatches.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  const updateForm = (key, value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+    setPage(0);
+  };
+
+  const handleExport = (format) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    const filename = `clinic-signal-activity-${stamp}.${format}`;
+    if (useServer) {
+      download(activityExportUrl(serverUrl, filters, format), filename);
+      return;
+    }
+    const body = format === "json" ? toJson(localMatches) : toCsv(localMatches);
+    const blob = new Blob([body], {
+      type: format === "json" ? "application/json" : "text/csv",
+    });
+    const url = URL.createObjectURL(blob);
+    download(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  if (!useServer && logs.length === 0) {
     return (
       <div className={styles.empty}>
         <p>No activity yet</p>
@@ -11,27 +138,155 @@ export default function ActivityLog({ logs }) {
   }
 
   return (
-    <div className={styles.container}>
-      {logs.map((log, i) => (
-        <div
-          key={log.id}
-          className={styles.entry}
-          style={{ animationDelay: `${i * 30}ms` }}
+    <div className={styles.wrapper}>
+      {/* Filters */}
+      <div className={styles.filters}>
+        <select
+          value={form.roomId}
+          onChange={(e) => updateForm("roomId", e.target.value)}
+          className={styles.select}
         >
-          <div
-            className={styles.status}
-            style={{ backgroundColor: log.success ? "var(--signal-green)" : "var(--signal-red)" }}
+          <option value="">All rooms</option>
+          {rooms.map((room) => (
+            <option key={room.id} value={room.id}>
+              {room.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={form.signalId}
+          onChange={(e) => updateForm("signalId", e.target.value)}
+          className={styles.select}
+        >
+          <option value="">All signals</option>
+          {signals.map((signal) => (
+            <option key={signal.id} value={signal.id}>
+              {signal.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={form.status}
+          onChange={(e) => updateForm("status", e.target.value)}
+          className={styles.select}
+        >
+          <option value="">Any result</option>
+          <option value="success">Succeeded</option>
+          <option value="failed">Failed</option>
+        </select>
+        <label className={styles.dateField}>
+          From
+          <input
+            type="date"
+            value={form.fromDate}
+            onChange={(e) => updateForm("fromDate", e.target.value)}
+            className={styles.select}
           />
-          <div className={styles.content}>
-            <span className={styles.signal}>{log.signalLabel}</span>
-            <span className={styles.arrow}>→</span>
-            <span className={styles.room}>{log.roomName}</span>
-          </div>
-          <time className={styles.time}>
-            {log.timestamp.toLocaleTimeString()}
-          </time>
+        </label>
+        <label className={styles.dateField}>
+          To
+          <input
+            type="date"
+            value={form.toDate}
+            onChange={(e) => updateForm("toDate", e.target.value)}
+            className={styles.select}
+          />
+        </label>
+        {hasFilters && (
+          <button
+            onClick={() => {
+              setForm(EMPTY_FILTERS);
+              setPage(0);
+            }}
+            className={styles.linkBtn}
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      {/* Summary + export */}
+      <div className={styles.toolbar}>
+        <span className={styles.summary}>
+          {total === 0
+            ? "No entries"
+            : `${page * PAGE_SIZE + 1}–${Math.min((page + 1) * PAGE_SIZE, total)} of ${total}`}
+          {useServer ? " · stored on server" : " · this device only"}
+          {loading && " · loading…"}
+        </span>
+        <div className={styles.exportBtns}>
+          <button
+            onClick={() => handleExport("csv")}
+            disabled={total === 0}
+            className={styles.exportBtn}
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => handleExport("json")}
+            disabled={total === 0}
+            className={styles.exportBtn}
+          >
+            Export JSON
+          </button>
+        </div>
+      </div>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      {/* Entries */}
+      {entries.length === 0 && !loading ? (
+        <div className={styles.empty}>
+          <p>{hasFilters ? "No entries match these filters" : "No activity yet"}</p>
+        </div>
+      ) : (
+        <div className={styles.container}>
+          {entries.map((log, i) => (
+            <div
+              key={log.id}
+              className={styles.entry}
+              style={{ animationDelay: `${i * 30}ms` }}
+            >
+              <div
+                className={styles.status}
+                style={{ backgroundColor: log.success ? "var(--signal-green)" : "var(--signal-red)" }}
+              />
+              <div className={styles.content}>
+                <span className={styles.signal}>{log.signalLabel}</span>
+                <span className={styles.arrow}>→</span>
+                <span className={styles.room}>{log.roomName}</span>
+                {describe(log) && (
+                  <span className={styles.note}>{describe(log)}</span>
+                )}
+              </div>
+              <time className={styles.time}>{formatTime(log.timestamp)}</time>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Pager */}
+      {pageCount > 1 && (
+        <div className={styles.pager}>
+          <button
+            onClick={() => setPage((p) => p - 1)}
+            disabled={page === 0}
+            className={styles.pageBtn}
+          >
+            ← Newer
+          </button>
+          <span className={styles.pageInfo}>
+            Page {page + 1} of {pageCount}
+          </span>
+          <button
+            onClick={() => setPage((p) => p + 1)}
+            disabled={page >= pageCount - 1}
+            className={styles.pageBtn}
+          >
+            Older →
+          </button>
         </div>
-      ))}
+      )}
     </div>
   );
 }
@@ -0,0 +1,113 @@
+import { useState, useEffect, useRef } from "react";
+import Alerts from "../services/alerts";
+import styles from "./AlertControl.module.css";
+
+// ============================================================
+// ALERT CONTROL
+// ============================================================
+//
+// The bell in the header: this device's alert sounds and desktop
+// notifications (alerts.js). Mute them, snooze them for a while,
+// or let the browser show notifications. Only this device goes
+// quiet — the lights and every other device carry on.
+// ============================================================
+
+const SNOOZE_MINUTES = [5, 15, 60];
+
+export default function AlertControl() {
+  const [settings, setSettings] = useState(Alerts.settings);
+  const [open, setOpen] = useState(false);
+  const [, setTick] = useState(0);
+  const controlRef = useRef(null);
+
+  useEffect(() => Alerts.subscribe(setSettings), []);
+
+  const snoozed = settings.snoozedUntil > Date.now();
+  const quiet = settings.muted || snoozed;
+
+  // Count the snooze down
+  useEffect(() => {
+    if (!snoozed) return;
+    const timer = setInterval(() => setTick((n) => n + 1), 15000);
+    return () => clearInterval(timer);
+  }, [snoozed]);
+
+  // Close on a click anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const onPointerDown = (e) => {
+      if (!controlRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("pointerdown", onPointerDown);
+    return () => document.removeEventListener("pointerdown", onPointerDown);
+  }, [open]);
+
+  const choose = (action) => {
+    action();
+    setOpen(false);
+  };
+
+  const minutesLeft = Math.ceil((settings.snoozedUntil - Date.now()) / 60000);
+  const permission = Alerts.notificationPermission;
+
+  return (
+    <div className={styles.control} ref={controlRef}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className={styles.badge}
+        data-quiet={quiet ? "true" : "false"}
+        aria-expanded={open}
+        title="Alert sounds and notifications on this device"
+      >
+        {settings.muted ? "🔕 Muted" : snoozed ? `💤 ${minutesLeft} min` : "🔔 Alerts"}
+      </button>
+
+      {open && (
+        <div className={styles.menu} role="menu">
+          {quiet && (
+            <button role="menuitem" onClick={() => choose(() => Alerts.unmute())} className={styles.item}>
+              🔔 Turn alerts back on
+            </button>
+          )}
+          {!settings.muted && (
+            <button role="menuitem" onClick={() => choose(() => Alerts.mute())} className={styles.item}>
+              🔕 Mute this device
+            </button>
+          )}
+          {SNOOZE_MINUTES.map((minutes) => (
+            <button
+              key={minutes}
+              role="menuitem"
+              onClick={() => choose(() => Alerts.snooze(minutes))}
+              className={styles.item}
+            >
+              💤 Snooze {minutes} min
+            </button>
+          ))}
+
+          <div className={styles.divider} />
+          {permission === "default" && (
+            <button
+              role="menuitem"
+              onClick={() => choose(() => Alerts.requestNotifications())}
+              className={styles.item}
+            >
+              Allow desktop notifications
+            </button>
+          )}
+          {permission === "granted" && (
+            <p className={styles.note}>Desktop notifications are on</p>
+          )}
+          {permission === "denied" && (
+            <p className={styles.note}>
+              Desktop notifications are blocked — allow them in the browser's site settings
+            </p>
+          )}
+          {permission === "unsupported" && (
+            <p className={styles.note}>This browser can't show desktop notifications</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+import { useState } from "react";
+import BridgeSetup from "./BridgeSetup";
+import { COMMAND_LIMITS } from "../services/hueBridge";
+import styles from "./Settings.module.css";
+
+// ============================================================
+// BRIDGE CONNECTION — one bridge in Settings
+// ============================================================
+//
+// Pairing, credentials, certificate prompt and Connect /
+// Disconnect for a single bridge (bridgeRegistry.js). Settings
+// shows one of these per bridge; the name and Remove only appear
+// once there are several.
+// ============================================================
+
+export default function BridgeConnection({
+  bridge,
+  status,
+  multiBridge,
+  transport,
+  serverUrl,
+  onUpdate,
+  onConnect,
+  onDisconnect,
+  onRemove,
+  onPaired,
+}) {
+  const [showKey, setShowKey] = useState(false);
+  const viaServer = transport === "proxy";
+  const connected = Boolean(status?.connected);
+
+  return (
+    <div className={multiBridge ? styles.bridgeCard : undefined}>
+      {multiBridge && (
+        <div className={styles.field}>
+          <label className={styles.label}>Bridge Name</label>
+          <input
+            type="text"
+            placeholder="e.g. Ground Floor"
+            value={bridge.name}
+            onChange={(e) => onUpdate({ name: e.target.value })}
+            className={styles.input}
+          />
+        </div>
+      )}
+
+      {!connected && (
+        <div className={styles.field}>
+          <label className={styles.label}>Set Up a Bridge</label>
+          <BridgeSetup
+            bridgeId={bridge.id}
+            transport={transport}
+            serverUrl={serverUrl}
+            bridgeIp={bridge.bridgeIp}
+            onPick={(bridgeIp) => onUpdate({ bridgeIp })}
+            onPaired={onPaired}
+          />
+          <span className={styles.hint}>
+            Find bridges on the network (through the local server), then
+            pair by pressing the bridge&apos;s link button — no phone app or
+            curl needed.
+            {viaServer && " The new key stays on the local server."}
+          </span>
+        </div>
+      )}
+
+      <div className={styles.field}>
+        <label className={styles.label}>Bridge IP Address</label>
+        <input
+          type="text"
+          placeholder="e.g. 192.168.1.100"
+          value={bridge.bridgeIp}
+          onChange={(e) => onUpdate({ bridgeIp: e.target.value })}
+          className={styles.input}
+        />
+        <span className={styles.hint}>
+          Found above, or in the Hue app → Settings → Hue Bridges → (i) icon
+          {viaServer && " · Leave blank to keep what the server already has"}
+        </span>
+      </div>
+
+      <div className={styles.field}>
+        <label className={styles.label}>API Key</label>
+        <div className={styles.inputRow}>
+          <input
+            type={showKey ? "text" : "password"}
+            placeholder="Your hue-application-key — or pair above"
+            value={bridge.apiKey}
+            onChange={(e) => onUpdate({ apiKey: e.target.value })}
+            className={styles.input}
+          />
+          <button
+            className={styles.toggleBtn}
+            onClick={() => setShowKey(!showKey)}
+          >
+            {showKey ? "Hide" : "Show"}
+          </button>
+        </div>
+      </div>
+
+      <div className={styles.field}>
+        <label className={styles.label}>Commands per Second</label>
+        <input
+          type="number"
+          min={1}
+          max={25}
+          placeholder={String(COMMAND_LIMITS.commandsPerSecond)}
+          value={bridge.commandsPerSecond ?? ""}
+          onChange={(e) =>
+            onUpdate({
+              commandsPerSecond: e.target.value === "" ? undefined : Number(e.target.value),
+            })
+          }
+          className={styles.input}
+        />
+        <span className={styles.hint}>
+          Light commands are queued and sent no faster than this. Lower it if
+          lights miss changes when many rooms update at once.
+        </span>
+      </div>
+
+      {/* Certificate acceptance prompt */}
+      {status?.needsCert && status.certUrl && (
+        <div className={styles.certBox}>
+          <div className={styles.certHeader}>
+            <span className={styles.certIcon}>🔒</span>
+            <strong>Certificate Required</strong>
+          </div>
+          <p className={styles.certText}>
+            The Hue Bridge uses a self-signed security certificate. Your
+            browser blocks requests to it until you accept the certificate.
+            This is a one-time step.
+          </p>
+          <div className={styles.certSteps}>
+            <div className={styles.certStep}>
+              <span className={styles.stepNum}>1</span>
+              <span>
+                Click the button below to open the bridge in a new tab
+              </span>
+            </div>
+            <div className={styles.certStep}>
+              <span className={styles.stepNum}>2</span>
+              <span>
+                Click <strong>"Advanced"</strong> → then{" "}
+                <strong>"Proceed"</strong> (or "Accept the Risk")
+              </span>
+            </div>
+            <div className={styles.certStep}>
+              <span className={styles.stepNum}>3</span>
+              <span>Come back here and click "Retry Connection"</span>
+            </div>
+          </div>
+          <div className={styles.certActions}>
+            <a
+              href={status.certUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className={styles.certLink}
+            >
+              Open Bridge (Accept Certificate) →
+            </a>
+            <button onClick={onConnect} className={styles.retryBtn}>
+              Retry Connection
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Regular error (not cert-related) */}
+      {status?.error && !status.needsCert && (
+        <p className={styles.error}>{status.error}</p>
+      )}
+
+      {/* Connected success indicator */}
+      {connected && (
+        <div className={styles.connectedBox}>
+          <span className={styles.connectedDot} />
+          <span>
+            Connected via API {status.apiVersion || ""}
+          </span>
+        </div>
+      )}
+
+      <div className={styles.actions}>
+        {!connected ? (
+          <button onClick={onConnect} className={styles.primaryBtn}>
+            Connect to Bridge
+          </button>
+        ) : (
+          <button onClick={onDisconnect} className={styles.dangerBtn}>
+            Disconnect
+          </button>
+        )}
+        {multiBridge && (
+          <button onClick={onRemove} className={styles.toggleBtn}>
+            Remove Bridge
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import { useState, useEffect, useRef } from "react";
+import { discoverBridges, pairBridge, cleanIp } from "../services/bridgeSetup";
+import styles from "./BridgeSetup.module.css";
+
+// ============================================================
+// BRIDGE SETUP
+// ============================================================
+//
+// Find bridges on the network and pair with one by pressing its
+// link button, instead of looking up the IP in the phone app and
+// creating a key with curl. See services/bridgeSetup.js.
+// ============================================================
+
+const VIA_LABELS = { mdns: "mDNS", cloud: "N-UPnP", local: "fake bridge" };
+
+export default function BridgeSetup({
+  bridgeId,
+  transport,
+  serverUrl,
+  bridgeIp,
+  onPick,
+  onPaired,
+}) {
+  const [searching, setSearching] = useState(false);
+  const [found, setFound] = useState(null); // { bridges, failed } after a search
+  const [pairing, setPairing] = useState(null); // { ip, secondsLeft }
+  const [error, setError] = useState(null); // Error, maybe with certUrl
+  const pairingRef = useRef(null); // AbortController of the running pairing
+
+  // Stop polling the bridge when Settings closes
+  useEffect(() => () => pairingRef.current?.abort(), []);
+
+  const search = async () => {
+    setSearching(true);
+    setError(null);
+    try {
+      setFound(await discoverBridges(serverUrl));
+    } catch (err) {
+      setFound(null);
+      setError(err);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const pair = async (ip) => {
+    pairingRef.current?.abort();
+    const controller = new AbortController();
+    pairingRef.current = controller;
+    setPairing({ ip, secondsLeft: null });
+    setError(null);
+    try {
+      const result = await pairBridge({
+        bridgeId,
+        bridgeIp: ip,
+        transport,
+        serverUrl,
+        signal: controller.signal,
+        onWaiting: (secondsLeft) => setPairing({ ip, secondsLeft }),
+      });
+      onPaired({ ...result, bridgeIp: cleanIp(ip) });
+    } catch (err) {
+      if (!controller.signal.aborted) setError(err);
+    } finally {
+      if (pairingRef.current === controller) {
+        pairingRef.current = null;
+        setPairing(null);
+      }
+    }
+  };
+
+  const cancel = () => {
+    pairingRef.current?.abort();
+    pairingRef.current = null;
+    setPairing(null);
+  };
+
+  return (
+    <div className={styles.setup}>
+      <div className={styles.buttons}>
+        <button onClick={search} disabled={searching} className={styles.btn}>
+          {searching ? "Searching…" : "Find Bridges"}
+        </button>
+        <button
+          onClick={() => pair(bridgeIp)}
+          disabled={!cleanIp(bridgeIp) || Boolean(pairing)}
+          className={styles.btn}
+        >
+          Pair with {cleanIp(bridgeIp) || "Bridge"}
+        </button>
+      </div>
+
+      {found && (
+        <div className={styles.results}>
+          {found.bridges.map((bridge) => (
+            <div key={bridge.id} className={styles.bridge}>
+              <div className={styles.bridgeInfo}>
+                <strong className={styles.bridgeName}>
+                  {bridge.name}
+                  {bridge.ip === cleanIp(bridgeIp) && <span className={styles.check}> ✓</span>}
+                </strong>
+                <span className={styles.meta}>
+                  {bridge.ip}
+                  {bridge.modelId && ` · ${bridge.modelId}`} · via{" "}
+                  {bridge.via.map((v) => VIA_LABELS[v] || v).join(" + ")}
+                  {!bridge.reachable && " · not answering the server"}
+                </span>
+              </div>
+              <button onClick={() => onPick(bridge.ip)} className={styles.smallBtn}>
+                Use
+              </button>
+              <button
+                onClick={() => {
+                  onPick(bridge.ip);
+                  pair(bridge.ip);
+                }}
+                disabled={Boolean(pairing)}
+                className={styles.smallBtn}
+              >
+                Pair
+              </button>
+            </div>
+          ))}
+          {found.bridges.length === 0 && (
+            <p className={styles.note}>
+              No bridges found. Check that the bridge is powered and on the same
+              network as the local server, or enter its IP below.
+            </p>
+          )}
+          {found.failed.includes("cloud") && (
+            <p className={styles.note}>
+              The Hue discovery service (N-UPnP) couldn&apos;t be reached — the
+              server may have no internet access. Only the local search ran.
+            </p>
+          )}
+        </div>
+      )}
+
+      {pairing && (
+        <div className={styles.pairBox}>
+          <span className={styles.pairIcon}>🔘</span>
+          <div className={styles.pairText}>
+            <strong>Press the round link button on top of the bridge</strong>
+            <span className={styles.meta}>
+              Pairing with {pairing.ip}
+              {pairing.secondsLeft !== null
+                ? ` — waiting, ${pairing.secondsLeft} s left`
+                : "…"}
+            </span>
+          </div>
+          <button onClick={cancel} className={styles.smallBtn}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <p className={styles.error}>
+          {error.message}
+          {error.certUrl && (
+            <>
+              {" "}
+              <a href={error.certUrl} target="_blank" rel="noopener noreferrer">
+                Open the bridge →
+              </a>
+            </>
+          )}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+import { useState, useEffect, useMemo, useRef } from "react";
+import { isBlocked, topSignal } from "../services/signalStack";
+import { fuzzyScore } from "../services/shortcuts";
+import styles from "./CommandPalette.module.css";
+
+// ============================================================
+// COMMAND PALETTE — Ctrl+K / ⌘K
+// ============================================================
+//
+// Type part of a room name and/or a signal label ("3 emer",
+// "exam ready"), pick with ↑ ↓ and press Enter to send. Every
+// room × signal pair is a command, plus Clear All. A command
+// that would hide a more urgent signal needs Enter twice, like
+// the override tap on a room card.
+// ============================================================
+
+const MAX_RESULTS = 30;
+
+export default function CommandPalette({
+  rooms,
+  signals,
+  shortcutKeys,
+  roomSignals,
+  onSend,
+  onClearAll,
+  onClose,
+}) {
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(0);
+  // Command id waiting for a second Enter to override
+  const [pendingOverride, setPendingOverride] = useState(null);
+  const listRef = useRef(null);
+
+  const commands = useMemo(() => {
+    const list = [];
+    for (const room of rooms) {
+      const number = shortcutKeys.roomNumbers[room.id];
+      for (const signal of signals) {
+        const key = shortcutKeys.signalKeys[signal.id];
+        list.push({
+          id: `${room.id}/${signal.id}`,
+          room,
+          signal,
+          text: `${number} ${room.name} ${signal.label}`,
+          keys: key ? `${number} ${key.toUpperCase()}` : null,
+        });
+      }
+    }
+    list.push({ id: "clear-all", text: "Clear All rooms", keys: null });
+    return list;
+  }, [rooms, signals, shortcutKeys]);
+
+  const results = useMemo(() => {
+    if (!query.trim()) return commands.slice(0, MAX_RESULTS);
+    return commands
+      .map((command, order) => ({ command, order, score: fuzzyScore(query, command.text) }))
+      .filter((r) => r.score !== null)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, MAX_RESULTS)
+      .map((r) => r.command);
+  }, [commands, query]);
+
+  useEffect(() => {
+    setSelected(0);
+    setPendingOverride(null);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current?.children[selected]?.scrollIntoView({ block: "nearest" });
+  }, [selected]);
+
+  const run = (command) => {
+    if (command.id === "clear-all") {
+      onClearAll();
+      onClose();
+      return;
+    }
+    const stack = roomSignals[command.room.id] || [];
+    if (isBlocked(stack, command.signal.id) && pendingOverride !== command.id) {
+      setPendingOverride(command.id);
+      return;
+    }
+    onSend(command.room.id, command.signal.id, { force: true });
+    onClose();
+  };
+
+  const handleKey = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setSelected((i) => Math.min(i + 1, results.length - 1));
+      setPendingOverride(null);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setSelected((i) => Math.max(i - 1, 0));
+      setPendingOverride(null);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (results[selected]) run(results[selected]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className={styles.backdrop} onMouseDown={onClose}>
+      <div
+        className={styles.palette}
+        role="dialog"
+        aria-label="Command palette"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <input
+          autoFocus
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKey}
+          placeholder="Room and signal — e.g. 3 emergency"
+          className={styles.input}
+        />
+        <ul ref={listRef} className={styles.results}>
+          {results.length === 0 && <li className={styles.empty}>No matching rooms or signals</li>}
+          {results.map((command, i) => {
+            const showing = command.room && topSignal(roomSignals[command.room.id]);
+            const isPending = pendingOverride === command.id;
+            return (
+              <li
+                key={command.id}
+                className={`${styles.result} ${i === selected ? styles.resultSelected : ""}`}
+                onMouseEnter={() => setSelected(i)}
+                onClick={() => run(command)}
+              >
+                {command.signal ? (
+                  <>
+                    <span className={styles.dot} style={{ backgroundColor: command.signal.hex }} />
+                    <span className={styles.label}>
+                      {isPending ? (
+                        `Override ${showing?.label}? Press Enter again`
+                      ) : (
+                        <>
+                          {command.signal.label} <span className={styles.arrow}>→</span>{" "}
+                          {command.room.name}
+                        </>
+                      )}
+                    </span>
+                    {showing && !isPending && (
+                      <span className={styles.showing}>showing {showing.label}</span>
+                    )}
+                  </>
+                ) : (
+                  <span className={styles.label}>Clear All rooms</span>
+                )}
+                {command.keys && <kbd className={styles.kbd}>{command.keys}</kbd>}
+              </li>
+            );
+          })}
+        </ul>
+        <div className={styles.footer}>
+          <span><kbd className={styles.kbd}>↑</kbd> <kbd className={styles.kbd}>↓</kbd> choose</span>
+          <span><kbd className={styles.kbd}>Enter</kbd> send</span>
+          <span><kbd className={styles.kbd}>Esc</kbd> close</span>
+        </div>
+      </div>
+    </div>
+  );
+}
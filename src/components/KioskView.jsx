@@ -0,0 +1,184 @@
+import { useState, useEffect, useRef } from "react";
+import { topSignal } from "../services/signalStack";
+import RoomCard from "./RoomCard";
+import styles from "./KioskView.module.css";
+
+// ============================================================
+// KIOSK VIEW — the hallway wall display (?mode=kiosk)
+// ============================================================
+//
+// Read-only, full-screen room tiles for a TV at the nurse station:
+// most urgent first, each showing how long it has looked the way
+// it does. There is nothing to press — signals are sent from other
+// devices and arrive through the local server (shared mode).
+//
+// Keeps the screen awake (Wake Lock API) and says plainly when it
+// has lost the server, so nobody trusts a stale board. Reconnecting
+// is handled in App.
+// ============================================================
+
+// Tiles at this priority and above pulse (Emergency)
+const PULSE_PRIORITY = 4;
+
+// When each room started showing its current state: the call's
+// sentAt, else the room's latest log entry if it is for this
+// state (a snapshot after a reload), else now (a live change
+// whose log entry hasn't arrived yet)
+function trackSince(previous, rooms, roomSignals, roomCalls, logs) {
+  const next = {};
+  for (const room of rooms) {
+    const signalId = topSignal(roomSignals[room.id])?.id ?? "clear";
+    if (previous[room.id]?.signalId === signalId) {
+      next[room.id] = previous[room.id];
+      continue;
+    }
+    const sentAt = roomCalls[room.id]?.[signalId]?.sentAt;
+    const latest = logs.find((e) => e.roomId === room.id && !e.event);
+    let since = Date.now();
+    if (sentAt) since = new Date(sentAt).getTime();
+    else if (latest?.signalId === signalId) since = latest.timestamp.getTime();
+    next[room.id] = { signalId, since };
+  }
+  return next;
+}
+
+// Hold a screen wake lock while the page is visible — the browser
+// drops it whenever the tab is hidden
+function useWakeLock() {
+  const [held, setHeld] = useState(false);
+
+  useEffect(() => {
+    if (!navigator.wakeLock) return;
+    let lock = null;
+    let stopped = false;
+
+    const acquire = async () => {
+      if (document.visibilityState !== "visible" || (lock && !lock.released)) return;
+      try {
+        lock = await navigator.wakeLock.request("screen");
+        if (stopped) return lock.release();
+        setHeld(true);
+        lock.addEventListener("release", () => setHeld(false));
+      } catch {
+        // Battery saver, or the page isn't allowed to — the
+        // display's own sleep settings apply
+      }
+    };
+
+    acquire();
+    document.addEventListener("visibilitychange", acquire);
+    return () => {
+      stopped = true;
+      document.removeEventListener("visibilitychange", acquire);
+      lock?.release();
+    };
+  }, []);
+
+  return held;
+}
+
+export default function KioskView({
+  rooms,
+  roomSignals,
+  roomCalls,
+  lightGamuts,
+  bridges,
+  logs,
+  syncStatus,
+}) {
+  const [now, setNow] = useState(Date.now);
+  const sinceRef = useRef({});
+  // When the server went away: undefined until first live, null
+  // while live
+  const [lostAt, setLostAt] = useState(undefined);
+  const awake = useWakeLock();
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (syncStatus === "live") setLostAt(null);
+    else setLostAt((at) => (at === null ? Date.now() : at));
+  }, [syncStatus]);
+
+  sinceRef.current = trackSince(sinceRef.current, rooms, roomSignals, roomCalls, logs);
+
+  // Most urgent first, longest-waiting first within a level; idle
+  // rooms keep their layout order (sort is stable)
+  const tiles = rooms
+    .map((room) => ({
+      room,
+      signal: topSignal(roomSignals[room.id]),
+      since: sinceRef.current[room.id].since,
+    }))
+    .sort(
+      (a, b) =>
+        (b.signal?.priority ?? 0) - (a.signal?.priority ?? 0) ||
+        (a.signal && b.signal ? a.since - b.since : 0)
+    );
+  const activeCount = tiles.filter((t) => t.signal).length;
+  const time = (ms) =>
+    new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+  return (
+    <div className={styles.kiosk}>
+      <header className={styles.header}>
+        <div className={styles.title}>
+          <div className={styles.logo}>
+            <div className={styles.logoDot} />
+          </div>
+          Clinic Signal
+        </div>
+        <div className={styles.summary}>
+          {activeCount > 0
+            ? `${activeCount} room${activeCount !== 1 ? "s" : ""} signalling`
+            : "All rooms idle"}
+        </div>
+        <div className={styles.clock}>{time(now)}</div>
+      </header>
+
+      {syncStatus !== "live" && (
+        <div className={styles.offline} role="alert">
+          {lostAt
+            ? `Lost the server at ${time(lostAt)} — reconnecting. This board may be out of date.`
+            : "Connecting to the server…"}
+        </div>
+      )}
+
+      <main className={styles.grid}>
+        {tiles.map(({ room, signal, since }) => (
+          <div
+            key={room.id}
+            className={styles.tile}
+            data-pulse={signal?.priority >= PULSE_PRIORITY || undefined}
+            style={{ "--signal-color": signal?.hex }}
+          >
+            <RoomCard
+              kiosk
+              room={room}
+              since={since}
+              lightGamuts={lightGamuts[room.bridgeId] || {}}
+              bridgeName={
+                bridges.length > 1
+                  ? bridges.find((b) => b.id === room.bridgeId)?.name
+                  : undefined
+              }
+              signalStack={roomSignals[room.id] || []}
+              calls={roomCalls[room.id] || {}}
+            />
+          </div>
+        ))}
+        {tiles.length === 0 && <p className={styles.empty}>No rooms to show.</p>}
+      </main>
+
+      {!awake && (
+        <footer className={styles.footer}>
+          Can't keep the screen awake here (needs HTTPS or localhost) — set
+          the display itself not to sleep
+        </footer>
+      )}
+    </div>
+  );
+}
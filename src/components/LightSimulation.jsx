@@ -1,3 +1,6 @@
+import { useEffect, useRef } from "react";
+import { bulbHex, DEFAULT_GAMUT } from "../services/color";
+import { patternOf, patternKeyframes } from "../services/patternEngine";
 import styles from "./LightSimulation.module.css";
 
 // ============================================================
@@ -7,18 +10,47 @@ import styles from "./LightSimulation.module.css";
 // Visual representation of the lights in a room.
 // Shows animated "bulbs" that glow and change color when a
 // signal is active. Makes demo mode feel like real lights.
+//
+// Each bulb shows the signal's xy colour as that bulb would:
+// clamped to its gamut (`gamuts`: lightId → gamut, from the
+// bridge) — not the signal's decorative hex. Bulbs with no known
+// gamut are drawn as a current gamut C bulb. See color.js.
+//
+// Flash, breathe and pulse play the signal's pattern steps
+// (config/patterns.js) on every lit layer, in step with what the
+// pattern engine sends to real lights.
 // ============================================================
 
-export default function LightSimulation({ lights, activeSignal }) {
+const OFF_COLOR = "#2a2a35";
+
+export default function LightSimulation({ lights, activeSignal, gamuts = {} }) {
   const isOn = !!activeSignal;
-  const color = activeSignal ? activeSignal.hex : "#2a2a35";
   const brightness = activeSignal ? activeSignal.brightness / 100 : 0;
+  const colorOf = (lightId) =>
+    activeSignal?.color
+      ? bulbHex(activeSignal.color, gamuts[lightId] || DEFAULT_GAMUT)
+      : OFF_COLOR;
+  // Room glow follows the first bulb
+  const color = colorOf(lights[0]);
+  const pattern = patternOf(activeSignal);
+  const roomRef = useRef(null);
+
+  useEffect(() => {
+    const lit = roomRef.current?.querySelectorAll("[data-lit]") || [];
+    if (!isOn || !pattern.steps || lit.length === 0 || !lit[0].animate) return;
+    const { keyframes, duration } = patternKeyframes(pattern);
+    const animations = [...lit].map((el) =>
+      el.animate(keyframes, { duration, iterations: Infinity })
+    );
+    return () => animations.forEach((a) => a.cancel());
+  }, [isOn, pattern, activeSignal?.id, lights.join()]);
 
   return (
-    <div className={styles.room}>
+    <div ref={roomRef} className={styles.room}>
       {/* Room background glow */}
       {isOn && (
         <div
+          data-lit
           className={styles.ambientGlow}
           style={{
             background: `radial-gradient(ellipse at 50% 30%, ${color}30 0%, transparent 70%)`,
@@ -28,61 +60,66 @@ export default function LightSimulation({ lights, activeSignal }) {
 
       {/* Light fixtures */}
       <div className={styles.fixtures}>
-        {lights.map((lightId, i) => (
-          <div key={lightId} className={styles.fixtureWrapper}>
-            {/* Fixture mount */}
-            <div className={styles.mount} />
-            <div className={styles.cord} />
+        {lights.map((lightId, i) => {
+          const bulbColor = colorOf(lightId);
+          return (
+            <div key={lightId} className={styles.fixtureWrapper}>
+              {/* Fixture mount */}
+              <div className={styles.mount} />
+              <div className={styles.cord} />
 
-            {/* The bulb */}
-            <div
-              className={`${styles.bulb} ${isOn ? styles.bulbOn : ""}`}
-              style={{
-                "--bulb-color": color,
-                "--bulb-opacity": brightness,
-                animationDelay: `${i * 150}ms`,
-              }}
-            >
-              {/* Inner glow */}
-              {isOn && (
-                <>
-                  <div
-                    className={styles.innerGlow}
-                    style={{ backgroundColor: color }}
-                  />
-                  <div
-                    className={styles.outerGlow}
-                    style={{
-                      boxShadow: `0 0 20px ${color}80, 0 0 40px ${color}40, 0 0 60px ${color}20`,
-                    }}
-                  />
-                  {/* Pulse ring for emergency */}
-                  {activeSignal?.priority >= 4 && (
+              {/* The bulb */}
+              <div
+                className={`${styles.bulb} ${isOn ? styles.bulbOn : ""}`}
+                style={{
+                  "--bulb-color": bulbColor,
+                  "--bulb-opacity": brightness,
+                  animationDelay: `${i * 150}ms`,
+                }}
+              >
+                {/* Inner glow */}
+                {isOn && (
+                  <div data-lit className={styles.lit}>
                     <div
-                      className={styles.pulseRing}
-                      style={{ borderColor: color }}
+                      className={styles.innerGlow}
+                      style={{ backgroundColor: bulbColor }}
                     />
-                  )}
-                </>
+                    <div
+                      className={styles.outerGlow}
+                      style={{
+                        boxShadow: `0 0 20px ${bulbColor}80, 0 0 40px ${bulbColor}40, 0 0 60px ${bulbColor}20`,
+                      }}
+                    />
+                    {/* Pulse ring for emergency */}
+                    {activeSignal?.priority >= 4 && (
+                      <div
+                        className={styles.pulseRing}
+                        style={{ borderColor: bulbColor }}
+                      />
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {/* Light cone */}
+              {isOn && (
+                <div
+                  data-lit
+                  className={styles.lightCone}
+                  style={{
+                    background: `linear-gradient(180deg, ${bulbColor}25 0%, ${bulbColor}08 60%, transparent 100%)`,
+                  }}
+                />
               )}
             </div>
-
-            {/* Light cone */}
-            {isOn && (
-              <div
-                className={styles.lightCone}
-                style={{
-                  background: `linear-gradient(180deg, ${color}25 0%, ${color}08 60%, transparent 100%)`,
-                }}
-              />
-            )}
-          </div>
-        ))}
+          );
+        })}
       </div>
 
       {/* Floor reflection */}
       {isOn && (
         <div
+          data-lit
           className={styles.floorReflection}
           style={{
             background: `radial-gradient(ellipse at 50% 0%, ${color}18 0%, transparent 70%)`,
@@ -0,0 +1,244 @@
+import { useState, useEffect, useMemo } from "react";
+import { fetchAllActivity } from "../services/activityApi";
+import {
+  collectResponses,
+  summarizeBy,
+  byHourOfDay,
+  weekOverWeek,
+  findOutliers,
+  formatDuration,
+} from "../services/responseStats";
+import styles from "./Reports.module.css";
+
+// ============================================================
+// REPORTS
+// ============================================================
+//
+// Response-time analytics built from the activity log: how long
+// calls for help take to acknowledge and to clear, per signal
+// type, per room and per hour of day, with week-over-week trends
+// and unusually slow calls flagged. See responseStats.js.
+// ============================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGES = [
+  { days: 7, label: "7 days" },
+  { days: 30, label: "30 days" },
+  { days: 90, label: "90 days" },
+];
+
+function TrendCard({ signal, trend }) {
+  const arrow = (change) => {
+    if (change === null) return null;
+    const pct = Math.round(Math.abs(change) * 100);
+    // Shorter response times are better
+    return (
+      <span className={change <= 0 ? styles.better : styles.worse}>
+        {change <= 0 ? "▼" : "▲"} {pct}%
+      </span>
+    );
+  };
+
+  return (
+    <div className={styles.trendCard} style={{ "--signal-color": signal.hex }}>
+      <div className={styles.trendHeader}>
+        <span className={styles.trendDot} />
+        {signal.label}
+      </div>
+      <div className={styles.trendRow}>
+        <span className={styles.trendLabel}>Median to acknowledge</span>
+        <strong>{formatDuration(trend.current.medianAckMs)}</strong>
+        {arrow(trend.ackChange)}
+      </div>
+      <div className={styles.trendRow}>
+        <span className={styles.trendLabel}>Median to clear</span>
+        <strong>{formatDuration(trend.current.medianClearMs)}</strong>
+        {arrow(trend.clearChange)}
+      </div>
+      <div className={styles.trendFoot}>
+        {trend.current.count} this week · {trend.previous.count} last week
+        {" · "}last week {formatDuration(trend.previous.medianAckMs)} /{" "}
+        {formatDuration(trend.previous.medianClearMs)}
+      </div>
+    </div>
+  );
+}
+
+function SummaryTable({ title, rows }) {
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.title}>{title}</h2>
+      {rows.length === 0 ? (
+        <p className={styles.muted}>No calls in this period.</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th />
+              <th>Calls</th>
+              <th>Median ack</th>
+              <th>Median clear</th>
+              <th>90% cleared within</th>
+              <th>Never acknowledged</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key}>
+                <td className={styles.rowLabel}>{row.label}</td>
+                <td>{row.count}</td>
+                <td>{formatDuration(row.medianAckMs)}</td>
+                <td>{formatDuration(row.medianClearMs)}</td>
+                <td>{formatDuration(row.p90ClearMs)}</td>
+                <td className={row.unanswered ? styles.warn : undefined}>
+                  {row.unanswered}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
+
+export default function Reports({ logs, signals, serverUrl, useServer }) {
+  const [days, setDays] = useState(30);
+  const [remote, setRemote] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const latestId = logs[0]?.id;
+
+  // Server mode — refetch on range change and on every new entry.
+  // Trends always need the last two weeks, whatever the range.
+  useEffect(() => {
+    if (!useServer) return;
+    const from = new Date(Date.now() - Math.max(days, 14) * DAY_MS);
+    let cancelled = false;
+    setLoading(true);
+    fetchAllActivity(serverUrl, { from: from.toISOString() })
+      .then((result) => {
+        if (cancelled) return;
+        setRemote(result);
+        setError("");
+      })
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [useServer, serverUrl, days, latestId]);
+
+  const entries = useServer ? remote : logs;
+  const allCalls = useMemo(() => collectResponses(entries), [entries]);
+  const rangeStart = Date.now() - days * DAY_MS;
+  const calls = allCalls.filter((c) => c.sentAt >= rangeStart);
+
+  const bySignal = summarizeBy(calls, (c) => c.signalId, (c) => c.signalLabel);
+  const byRoom = summarizeBy(calls, (c) => c.roomId, (c) => c.roomName);
+  const hours = byHourOfDay(calls);
+  const slowestHour = Math.max(1, ...hours.map((h) => h.medianAckMs || 0));
+  const outliers = findOutliers(calls).slice(0, 10);
+
+  return (
+    <div className={styles.container}>
+      {/* Range */}
+      <div className={styles.toolbar}>
+        <div className={styles.segmented}>
+          {RANGES.map((range) => (
+            <button
+              key={range.days}
+              onClick={() => setDays(range.days)}
+              className={`${styles.segment} ${days === range.days ? styles.segmentActive : ""}`}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+        <span className={styles.muted}>
+          {calls.length} call{calls.length !== 1 ? "s" : ""}
+          {useServer ? " · from server log" : " · this device's log only"}
+          {loading && " · loading…"}
+        </span>
+      </div>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      {/* Week over week */}
+      <div className={styles.trends}>
+        {signals.filter((s) => s.requiresAck).map((signal) => (
+          <TrendCard
+            key={signal.id}
+            signal={signal}
+            trend={weekOverWeek(allCalls, signal.id)}
+          />
+        ))}
+      </div>
+
+      <SummaryTable title="By Signal" rows={bySignal} />
+      <SummaryTable title="By Room" rows={byRoom} />
+
+      {/* Hour of day */}
+      <section className={styles.section}>
+        <h2 className={styles.title}>Median Time to Acknowledge by Hour</h2>
+        <div className={styles.hours}>
+          {hours.map((h) => (
+            <div
+              key={h.hour}
+              className={styles.hourCol}
+              title={`${String(h.hour).padStart(2, "0")}:00 — ${h.count} calls, median ack ${formatDuration(h.medianAckMs)}, median clear ${formatDuration(h.medianClearMs)}`}
+            >
+              <div
+                className={styles.hourBar}
+                style={{ height: `${((h.medianAckMs || 0) / slowestHour) * 100}%` }}
+              />
+              <span className={styles.hourLabel}>
+                {h.hour % 3 === 0 ? String(h.hour).padStart(2, "0") : ""}
+              </span>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      {/* Outliers */}
+      <section className={styles.section}>
+        <h2 className={styles.title}>Unusually Slow Responses</h2>
+        <p className={styles.desc}>
+          Calls well beyond the usual range for their signal type.
+        </p>
+        {outliers.length === 0 ? (
+          <p className={styles.muted}>None flagged in this period.</p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th>Sent</th>
+                <th>Signal</th>
+                <th>Room</th>
+                <th>Acknowledged</th>
+                <th>Cleared</th>
+              </tr>
+            </thead>
+            <tbody>
+              {outliers.map((call) => (
+                <tr key={call.key}>
+                  <td>{call.sentAt.toLocaleString()}</td>
+                  <td className={styles.rowLabel}>{call.signalLabel}</td>
+                  <td>{call.roomName}</td>
+                  <td className={call.reason === "ack" ? styles.warn : undefined}>
+                    {formatDuration(call.ackMs)}
+                    {call.ackBy && ` (${call.ackBy})`}
+                  </td>
+                  <td className={call.reason === "clear" ? styles.warn : undefined}>
+                    {formatDuration(call.clearMs)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+}
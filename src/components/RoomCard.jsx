@@ -1,21 +1,70 @@
-import { useState } from "react";
-import SIGNALS from "../config/signals";
+import { useState, useRef, useEffect } from "react";
+import { topSignal, findSignal } from "../services/signalStack";
+import { callStatus } from "../services/callWorkflow";
 import LightSimulation from "./LightSimulation";
 import styles from "./RoomCard.module.css";
 
-export default function RoomCard({ room, activeSignalId, onSendSignal }) {
+function clockTime(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+// Time-in-state counter: 4:07, 1:04:07, then whole days
+function elapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  if (h >= 24) return `${Math.floor(h / 24)} d`;
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+export default function RoomCard({
+  room,
+  signals,
+  lightGamuts,
+  bridgeName,
+  shortcut,
+  signalStack,
+  calls,
+  onSendSignal,
+  onAcknowledge,
+  // Wall display (KioskView): no controls, larger type
+  kiosk = false,
+  // ms timestamp the room started showing its current state
+  since,
+}) {
   const [sending, setSending] = useState(false);
-  const activeSignal = SIGNALS.find((s) => s.id === activeSignalId) || null;
+  // Signal id waiting for a second tap to override a higher priority
+  const [pendingOverride, setPendingOverride] = useState(null);
+  const overrideTimer = useRef(null);
+
+  const activeSignal = topSignal(signalStack);
+  const queued = signalStack.slice(0, -1).map(findSignal).filter(Boolean);
+  const activeCall = activeSignal ? calls[activeSignal.id] : null;
+  const status = callStatus(activeCall);
+  const missingCount =
+    (room.missingLights?.length || 0) + (room.missingGroups?.length || 0);
+
+  useEffect(() => () => clearTimeout(overrideTimer.current), []);
 
   const handleSignal = async (signalId) => {
+    const force = pendingOverride === signalId;
+    clearTimeout(overrideTimer.current);
+    setPendingOverride(null);
+
     setSending(true);
-    await onSendSignal(room.id, signalId);
+    const result = await onSendSignal(room.id, signalId, { force });
     setTimeout(() => setSending(false), 300);
+
+    if (result?.blocked) {
+      setPendingOverride(signalId);
+      overrideTimer.current = setTimeout(() => setPendingOverride(null), 4000);
+    }
   };
 
   return (
     <div
-      className={styles.card}
+      className={`${styles.card} ${kiosk ? styles.cardKiosk : ""}`}
       style={{
         borderColor: activeSignal ? activeSignal.hex : undefined,
         boxShadow: activeSignal
@@ -33,7 +82,14 @@ export default function RoomCard({ room, activeSignalId, onSendSignal }) {
 
       {/* Header */}
       <div className={styles.header}>
-        <h3 className={styles.name}>{room.name}</h3>
+        <h3 className={styles.name}>
+          {shortcut && (
+            <kbd className={styles.shortcut} title={`Keyboard: ${shortcut}, then a signal key`}>
+              {shortcut}
+            </kbd>
+          )}
+          {room.name}
+        </h3>
         {activeSignal ? (
           <span
             className={styles.badge}
@@ -45,49 +101,113 @@ export default function RoomCard({ room, activeSignalId, onSendSignal }) {
           >
             <span className={styles.badgeIcon}>{activeSignal.icon}</span>
             {activeSignal.label}
+            {queued.length > 0 && (
+              <span
+                className={styles.badgeQueued}
+                title={`Underneath: ${queued
+                  .map((s) => s.label)
+                  .reverse()
+                  .join(", ")}`}
+              >
+                +{queued.length}
+              </span>
+            )}
           </span>
         ) : (
           <span className={styles.idle}>Idle</span>
         )}
       </div>
 
+      {/* How long the room has looked like this */}
+      {since !== undefined && (
+        <div className={styles.since}>
+          {activeSignal ? activeSignal.label : "Idle"} for{" "}
+          <strong>{elapsed(Date.now() - since)}</strong>
+        </div>
+      )}
+
+      {/* Mapped lights the bridge no longer has (roomLayout.js) */}
+      {missingCount > 0 && !kiosk && (
+        <div className={styles.missing}>
+          ⚠ {missingCount} mapped light{missingCount !== 1 ? "s" : ""} not found on
+          the bridge — check Settings → Rooms
+        </div>
+      )}
+
+      {/* Who is responding to the active call */}
+      {status && (
+        <div className={styles.response} data-status={status}>
+          {status === "sent" ? (
+            <>
+              <span>
+                Waiting for response · sent {clockTime(activeCall.sentAt)}
+              </span>
+              {!kiosk && (
+                <button
+                  className={styles.ackBtn}
+                  onClick={() => onAcknowledge(room.id, activeSignal.id)}
+                >
+                  Acknowledge
+                </button>
+              )}
+            </>
+          ) : (
+            <span>
+              ✓ <strong>{activeCall.ackBy}</strong> responding · since{" "}
+              {clockTime(activeCall.ackAt)}
+            </span>
+          )}
+        </div>
+      )}
+
       {/* Visual light simulation */}
-      <LightSimulation lights={room.lights} activeSignal={activeSignal} />
+      <LightSimulation
+        lights={room.lights}
+        activeSignal={activeSignal}
+        gamuts={lightGamuts}
+      />
 
       {/* Signal buttons */}
-      <div className={styles.signals}>
-        {SIGNALS.map((signal) => {
-          const isActive = activeSignal && activeSignal.id === signal.id;
-          return (
-            <button
-              key={signal.id}
-              className={`${styles.signalBtn} ${isActive ? styles.signalBtnActive : ""}`}
-              onClick={() => handleSignal(signal.id)}
-              disabled={sending}
-              title={signal.description}
-              style={{
-                "--signal-color": signal.hex,
-                borderColor: isActive ? signal.hex : undefined,
-                backgroundColor: isActive ? `${signal.hex}12` : undefined,
-              }}
-            >
-              <span
-                className={styles.dot}
+      {!kiosk && (
+        <div className={styles.signals}>
+          {signals.map((signal) => {
+            const isActive = activeSignal && activeSignal.id === signal.id;
+            const isQueued = queued.some((s) => s.id === signal.id);
+            const isPending = pendingOverride === signal.id;
+            return (
+              <button
+                key={signal.id}
+                className={`${styles.signalBtn} ${isActive ? styles.signalBtnActive : ""} ${isQueued ? styles.signalBtnQueued : ""} ${isPending ? styles.signalBtnPending : ""}`}
+                onClick={() => handleSignal(signal.id)}
+                disabled={sending}
+                title={signal.description}
                 style={{
-                  backgroundColor: signal.id === "clear" ? "transparent" : signal.hex,
-                  border: signal.id === "clear" ? `2px solid ${signal.hex}` : "none",
+                  "--signal-color": signal.hex,
+                  borderColor: isActive ? signal.hex : undefined,
+                  backgroundColor: isActive ? `${signal.hex}12` : undefined,
                 }}
-              />
-              <span className={styles.label}>{signal.label}</span>
-            </button>
-          );
-        })}
-      </div>
+              >
+                <span
+                  className={styles.dot}
+                  style={{
+                    backgroundColor: signal.id === "clear" ? "transparent" : signal.hex,
+                    border: signal.id === "clear" ? `2px solid ${signal.hex}` : "none",
+                  }}
+                />
+                <span className={styles.label}>
+                  {isPending ? `Override ${activeSignal?.label}?` : signal.label}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      )}
 
       {/* Footer */}
       <div className={styles.footer}>
         {room.lights.length} light{room.lights.length !== 1 ? "s" : ""} in this
-        room
+        {room.zone ? " zone" : " room"}
+        {bridgeName && ` · ${bridgeName}`}
       </div>
     </div>
   );
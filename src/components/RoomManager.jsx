@@ -0,0 +1,461 @@
+import { useState, useEffect, useMemo } from "react";
+import {
+  EMPTY_LAYOUT,
+  bridgeOf,
+  mergeRooms,
+  staleRooms,
+  lightCatalog,
+  validateLayout,
+} from "../services/roomLayout";
+import { MAIN_BRIDGE_ID } from "../services/bridgeRegistry";
+import styles from "./RoomManager.module.css";
+
+// ============================================================
+// ROOM MANAGER
+// ============================================================
+//
+// Rename, hide, reorder and remap rooms, define custom rooms and
+// group rooms into wings. Works on a draft of the room layout
+// (roomLayout.js); nothing changes until Save.
+//
+// The draft always lists every room in display order, so editing
+// a bridge room is just editing its entry. With several bridges,
+// a custom room picks its bridge first, then lights from it.
+// ============================================================
+
+const sameLayout = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Every room gets an entry, in display order; overrides for rooms
+// the bridge no longer reports stay at the end until removed
+function normalize(layout, bridgeRooms, bridgeLights) {
+  const order = mergeRooms(bridgeRooms, layout, bridgeLights).map((r) => r.id);
+  const entries = order.map((id) => layout.rooms.find((e) => e.id === id) || { id });
+  return {
+    wings: layout.wings,
+    rooms: [...entries, ...staleRooms(bridgeRooms, layout)],
+  };
+}
+
+const toggle = (list = [], id) =>
+  list.includes(id) ? list.filter((x) => x !== id) : [...list, id];
+
+export default function RoomManager({
+  layout,
+  bridgeRooms,
+  bridgeLights,
+  bridges,
+  activeRoomIds,
+  onSave,
+}) {
+  const saved = useMemo(
+    () => normalize(layout, bridgeRooms, bridgeLights),
+    [layout, bridgeRooms, bridgeLights]
+  );
+  const [draft, setDraft] = useState(saved);
+  const [editing, setEditing] = useState(null); // room id
+  const [saveError, setSaveError] = useState("");
+
+  // Layout changed elsewhere (another device) or the bridge changed
+  useEffect(() => {
+    setDraft(saved);
+    setEditing(null);
+  }, [saved]);
+
+  const merged = new Map(
+    mergeRooms(bridgeRooms, draft, bridgeLights).map((r) => [r.id, r])
+  );
+  const bridgeIds = new Set(bridgeRooms.map((r) => r.id));
+  const multiBridge = bridges.length > 1;
+  const bridgeName = (id) => bridges.find((b) => b.id === id)?.name || id;
+  const dirty = !sameLayout(draft, saved);
+
+  const removedActive = saved.rooms.filter(
+    (e) => activeRoomIds.includes(e.id) && !draft.rooms.some((d) => d.id === e.id)
+  );
+  const errors = [
+    ...validateLayout(draft),
+    ...removedActive.map(
+      (e) => `${e.name || e.id} has an active signal — clear it before deleting the room`
+    ),
+  ];
+
+  // ── Rooms ──
+  const updateRoom = (id, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      rooms: prev.rooms.map((e) => {
+        if (e.id !== id) return e;
+        const next = { ...e, ...changes };
+        // Drop cleared overrides so the entry stays minimal
+        for (const key of Object.keys(changes)) {
+          if (next[key] === undefined || next[key] === "" || next[key] === false) {
+            delete next[key];
+          }
+        }
+        return next;
+      }),
+    }));
+  };
+
+  const moveRoom = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= draft.rooms.length) return;
+    setDraft((prev) => {
+      const rooms = [...prev.rooms];
+      [rooms[index], rooms[target]] = [rooms[target], rooms[index]];
+      return { ...prev, rooms };
+    });
+  };
+
+  const removeRoom = (id) => {
+    setDraft((prev) => ({ ...prev, rooms: prev.rooms.filter((e) => e.id !== id) }));
+    setEditing(null);
+  };
+
+  const addRoom = () => {
+    const id = `custom-${Date.now().toString(36)}`;
+    setDraft((prev) => ({
+      ...prev,
+      rooms: [...prev.rooms, { id, custom: true, name: "New Room", lights: [], groupedLightIds: [] }],
+    }));
+    setEditing(id);
+  };
+
+  // ── Wings ──
+  const addWing = () => {
+    const id = `wing-${Date.now().toString(36)}`;
+    setDraft((prev) => ({ ...prev, wings: [...prev.wings, { id, name: "New Wing" }] }));
+  };
+
+  const renameWing = (id, name) => {
+    setDraft((prev) => ({
+      ...prev,
+      wings: prev.wings.map((w) => (w.id === id ? { ...w, name } : w)),
+    }));
+  };
+
+  const removeWing = (id) => {
+    setDraft((prev) => ({
+      wings: prev.wings.filter((w) => w.id !== id),
+      rooms: prev.rooms.map((e) => {
+        if (e.wingId !== id) return e;
+        const { wingId: _removed, ...rest } = e;
+        return rest;
+      }),
+    }));
+  };
+
+  // ── Save ──
+  const save = () => {
+    const reset = sameLayout(draft, normalize(EMPTY_LAYOUT, bridgeRooms, bridgeLights));
+    try {
+      onSave(reset ? null : draft);
+      setSaveError("");
+    } catch (err) {
+      setSaveError(err.message);
+    }
+  };
+
+  const renderMapping = (entry, room) => {
+    const catalog = lightCatalog(bridgeRooms, bridgeLights, room.bridgeId);
+    const chosenLights = entry.lights || [];
+    const chosenGroups = entry.groupedLightIds || [];
+    // Keep stale ids visible so they can be unticked
+    const lights = [
+      ...catalog.lights,
+      ...chosenLights
+        .filter((id) => !catalog.lights.some((l) => l.id === id))
+        .map((id) => ({ id, name: id, missing: true })),
+    ];
+    const groups = [
+      ...catalog.groups,
+      ...chosenGroups
+        .filter((id) => !catalog.groups.some((g) => g.id === id))
+        .map((id) => ({ id, name: id, lights: [], missing: true })),
+    ];
+
+    return (
+      <div className={styles.mapping}>
+        <div className={styles.checkGroup}>
+          <span className={styles.checkTitle}>Grouped lights</span>
+          {groups.map((group) => (
+            <label key={group.id} className={styles.check}>
+              <input
+                type="checkbox"
+                checked={chosenGroups.includes(group.id)}
+                onChange={() =>
+                  updateRoom(entry.id, { groupedLightIds: toggle(chosenGroups, group.id) })
+                }
+              />
+              {group.name}
+              <span className={group.missing ? styles.missingTag : styles.dim}>
+                {group.missing ? "not found" : `${group.lights.length} lights`}
+              </span>
+            </label>
+          ))}
+        </div>
+        <div className={styles.checkGroup}>
+          <span className={styles.checkTitle}>Individual lights</span>
+          {lights.map((light) => (
+            <label key={light.id} className={styles.check}>
+              <input
+                type="checkbox"
+                checked={chosenLights.includes(light.id)}
+                onChange={() => updateRoom(entry.id, { lights: toggle(chosenLights, light.id) })}
+              />
+              {light.name}
+              {light.missing && <span className={styles.missingTag}>not found</span>}
+            </label>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className={styles.manager}>
+      {/* Wings */}
+      <div className={styles.wings}>
+        <span className={styles.checkTitle}>Wings</span>
+        {draft.wings.length === 0 && (
+          <span className={styles.dim}>No wings — rooms are shown in one grid.</span>
+        )}
+        {draft.wings.map((wing) => (
+          <div key={wing.id} className={styles.wingRow}>
+            <input
+              value={wing.name}
+              onChange={(e) => renameWing(wing.id, e.target.value)}
+              className={styles.input}
+            />
+            <button
+              onClick={() => removeWing(wing.id)}
+              className={`${styles.iconBtn} ${styles.deleteBtn}`}
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+        <button onClick={addWing} className={styles.linkBtn}>
+          + Add Wing
+        </button>
+      </div>
+
+      {/* Rooms */}
+      <div className={styles.list}>
+        {draft.rooms.map((entry, i) => {
+          const room = merged.get(entry.id);
+          const stale = !entry.custom && !bridgeIds.has(entry.id);
+          const isOpen = editing === entry.id;
+          const remapped = Boolean(entry.lights || entry.groupedLightIds);
+          const missing = room ? [...room.missingLights, ...room.missingGroups] : [];
+          const wing = draft.wings.find((w) => w.id === entry.wingId);
+
+          return (
+            <div
+              key={entry.id}
+              className={`${styles.item} ${isOpen ? styles.itemOpen : ""} ${entry.hidden ? styles.itemHidden : ""}`}
+            >
+              <div className={styles.row}>
+                <div className={styles.summary}>
+                  <strong className={styles.name}>
+                    {room?.name || entry.name || entry.id}
+                  </strong>
+                  <span className={styles.meta}>
+                    {stale
+                      ? "No longer reported by the bridge"
+                      : entry.custom
+                        ? "Custom room"
+                        : room.name !== room.bridgeName
+                          ? `${room.zone ? "Hue zone" : "Bridge"}: ${room.bridgeName}`
+                          : room.zone
+                            ? "Hue zone"
+                            : "From bridge"}
+                    {room && ` · ${room.lights.length} light${room.lights.length !== 1 ? "s" : ""}`}
+                    {room && multiBridge && ` · ${bridgeName(room.bridgeId)}`}
+                    {remapped && !entry.custom && " · remapped"}
+                    {wing && ` · ${wing.name}`}
+                    {entry.onClear === "off" && " · lights off when cleared"}
+                    {entry.hidden && " · hidden"}
+                  </span>
+                  {missing.length > 0 && (
+                    <span className={styles.missingTag}>
+                      ⚠ Not on the bridge: {missing.join(", ")}
+                    </span>
+                  )}
+                </div>
+                <div className={styles.rowActions}>
+                  <button
+                    onClick={() => moveRoom(i, -1)}
+                    disabled={i === 0}
+                    className={styles.iconBtn}
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => moveRoom(i, 1)}
+                    disabled={i === draft.rooms.length - 1}
+                    className={styles.iconBtn}
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                  {!stale && (
+                    <>
+                      <button
+                        onClick={() => updateRoom(entry.id, { hidden: !entry.hidden })}
+                        className={styles.iconBtn}
+                      >
+                        {entry.hidden ? "Show" : "Hide"}
+                      </button>
+                      <button
+                        onClick={() => setEditing(isOpen ? null : entry.id)}
+                        className={styles.iconBtn}
+                      >
+                        {isOpen ? "Done" : "Edit"}
+                      </button>
+                    </>
+                  )}
+                  {(entry.custom || stale) && (
+                    <button
+                      onClick={() => removeRoom(entry.id)}
+                      className={`${styles.iconBtn} ${styles.deleteBtn}`}
+                    >
+                      {stale ? "Remove" : "Delete"}
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {isOpen && (
+                <div className={styles.form}>
+                  <div className={styles.fields}>
+                    <label className={styles.field}>
+                      Display name
+                      <input
+                        value={entry.name || ""}
+                        placeholder={room?.bridgeName}
+                        onChange={(e) => updateRoom(entry.id, { name: e.target.value })}
+                        className={styles.input}
+                      />
+                    </label>
+                    <label className={styles.field}>
+                      Wing
+                      <select
+                        value={entry.wingId || ""}
+                        onChange={(e) => updateRoom(entry.id, { wingId: e.target.value })}
+                        className={styles.input}
+                      >
+                        <option value="">No wing</option>
+                        {draft.wings.map((w) => (
+                          <option key={w.id} value={w.id}>
+                            {w.name}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className={styles.field}>
+                      When cleared
+                      <select
+                        value={entry.onClear || "restore"}
+                        onChange={(e) =>
+                          updateRoom(entry.id, {
+                            // Restoring is the default — leave it out
+                            onClear: e.target.value === "restore" ? undefined : e.target.value,
+                          })
+                        }
+                        className={styles.input}
+                      >
+                        <option value="restore">Restore the previous lighting</option>
+                        <option value="off">Turn the lights off</option>
+                      </select>
+                    </label>
+                    {entry.custom && multiBridge && (
+                      <label className={styles.field}>
+                        Bridge
+                        <select
+                          value={bridgeOf(entry)}
+                          onChange={(e) =>
+                            updateRoom(entry.id, {
+                              // The main bridge is the default — leave it out
+                              bridgeId:
+                                e.target.value === MAIN_BRIDGE_ID ? undefined : e.target.value,
+                              lights: [],
+                              groupedLightIds: [],
+                            })
+                          }
+                          className={styles.input}
+                        >
+                          {bridges.map((b) => (
+                            <option key={b.id} value={b.id}>
+                              {b.name}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+                  </div>
+
+                  {!entry.custom && (
+                    <label className={styles.check}>
+                      <input
+                        type="checkbox"
+                        checked={remapped}
+                        onChange={() =>
+                          remapped
+                            ? updateRoom(entry.id, { lights: undefined, groupedLightIds: undefined })
+                            : updateRoom(entry.id, {
+                                lights: room.looseLights,
+                                groupedLightIds: room.groupedLightIds,
+                              })
+                        }
+                      />
+                      Choose this room's lights myself (instead of the bridge's mapping)
+                    </label>
+                  )}
+                  {(entry.custom || remapped) && renderMapping(entry, room)}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {(dirty || saveError) && errors.length > 0 && (
+        <ul className={styles.errors}>
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+      {saveError && errors.length === 0 && <p className={styles.errors}>{saveError}</p>}
+
+      <div className={styles.actions}>
+        <button onClick={addRoom} className={styles.secondaryBtn}>
+          + Add Room
+        </button>
+        {(layout !== EMPTY_LAYOUT || dirty) && (
+          <button
+            onClick={() => setDraft(normalize(EMPTY_LAYOUT, bridgeRooms, bridgeLights))}
+            className={styles.secondaryBtn}
+          >
+            Reset to Bridge Rooms
+          </button>
+        )}
+        <span className={styles.spacer} />
+        {dirty && (
+          <button onClick={() => setDraft(saved)} className={styles.secondaryBtn}>
+            Discard
+          </button>
+        )}
+        <button
+          onClick={save}
+          disabled={!dirty || errors.length > 0}
+          className={styles.primaryBtn}
+        >
+          Save Rooms
+        </button>
+      </div>
+    </div>
+  );
+}
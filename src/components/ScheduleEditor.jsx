@@ -0,0 +1,304 @@
+import { useState, useEffect } from "react";
+import {
+  DAYS,
+  DEFAULT_SCHEDULE,
+  validateSchedule,
+} from "../services/schedule";
+import styles from "./ScheduleEditor.module.css";
+
+// ============================================================
+// SCHEDULE EDITOR
+// ============================================================
+//
+// Opening hours and the timed actions tied to them (schedule.js).
+// Like SignalEditor, edits are made on a draft and only take
+// effect on Save. The schedule is stored and run by the local
+// server, so it can only be edited while this device is
+// connected there.
+// ============================================================
+
+const sameSchedule = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const ALL_DAYS = DAYS.map((d) => d.id);
+
+function uniqueId(actions) {
+  let n = actions.length + 1;
+  while (actions.some((a) => a.id === `action-${n}`)) n++;
+  return `action-${n}`;
+}
+
+// Which rooms an action targets, as one <select> value
+const targetOf = (action) =>
+  action.roomId ? `room:${action.roomId}` : action.wingId ? `wing:${action.wingId}` : "";
+
+function targetFields(value) {
+  const [kind, id] = value.split(/:(.*)/);
+  return {
+    wingId: kind === "wing" ? id : undefined,
+    roomId: kind === "room" ? id : undefined,
+  };
+}
+
+export default function ScheduleEditor({
+  schedule,
+  isCustom,
+  signals,
+  rooms,
+  wings,
+  available,
+  onSave,
+}) {
+  const [draft, setDraft] = useState(schedule);
+  const [saveError, setSaveError] = useState("");
+
+  // Schedule changed elsewhere (another device, defaults restored)
+  useEffect(() => {
+    setDraft(schedule);
+  }, [schedule]);
+
+  const dirty = !sameSchedule(draft, schedule);
+  const errors = validateSchedule(draft, signals);
+
+  const setHours = (day, hours) => {
+    setDraft((prev) => ({ ...prev, hours: { ...prev.hours, [day]: hours } }));
+  };
+
+  const updateAction = (index, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      actions: prev.actions.map((a, i) => (i === index ? { ...a, ...changes } : a)),
+    }));
+  };
+
+  const toggleDay = (index, day) => {
+    const { days } = draft.actions[index];
+    updateAction(index, {
+      days: days.includes(day)
+        ? days.filter((d) => d !== day)
+        : ALL_DAYS.filter((d) => d === day || days.includes(d)),
+    });
+  };
+
+  const removeAction = (index) => {
+    setDraft((prev) => ({ ...prev, actions: prev.actions.filter((_, i) => i !== index) }));
+  };
+
+  const addAction = () => {
+    setDraft((prev) => ({
+      ...prev,
+      actions: [
+        ...prev.actions,
+        {
+          id: uniqueId(prev.actions),
+          at: "12:00",
+          days: ALL_DAYS.slice(0, 5),
+          type: "signal",
+          signalId: signals.find((s) => s.id !== "clear")?.id,
+        },
+      ],
+    }));
+  };
+
+  const save = () => {
+    try {
+      onSave(sameSchedule(draft, DEFAULT_SCHEDULE) ? null : draft);
+      setSaveError("");
+    } catch (err) {
+      setSaveError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.editor}>
+      {!available && (
+        <p className={styles.notice}>
+          The schedule is kept and run by the local server. Choose{" "}
+          <strong>Shared with all devices</strong> under Local Server to edit it.
+        </p>
+      )}
+
+      <fieldset disabled={!available} className={styles.fieldset}>
+        <label className={styles.check}>
+          <input
+            type="checkbox"
+            checked={draft.enabled}
+            onChange={(e) => setDraft((prev) => ({ ...prev, enabled: e.target.checked }))}
+          />
+          Run the schedule
+        </label>
+
+        <h3 className={styles.heading}>Opening Hours</h3>
+        <div className={styles.hours}>
+          {DAYS.map((day) => {
+            const hours = draft.hours[day.id];
+            return (
+              <div key={day.id} className={styles.dayRow}>
+                <label className={styles.check}>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(hours)}
+                    onChange={(e) =>
+                      setHours(day.id, e.target.checked ? { open: "08:00", close: "18:00" } : null)
+                    }
+                  />
+                  <span className={styles.dayName}>{day.label}</span>
+                </label>
+                {hours ? (
+                  <span className={styles.times}>
+                    <input
+                      type="time"
+                      value={hours.open}
+                      onChange={(e) => setHours(day.id, { ...hours, open: e.target.value })}
+                      className={styles.input}
+                    />
+                    –
+                    <input
+                      type="time"
+                      value={hours.close}
+                      onChange={(e) => setHours(day.id, { ...hours, close: e.target.value })}
+                      className={styles.input}
+                    />
+                  </span>
+                ) : (
+                  <span className={styles.closed}>Closed</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <h3 className={styles.heading}>Actions</h3>
+        <div className={styles.list}>
+          {draft.actions.length === 0 && <p className={styles.empty}>No actions yet.</p>}
+          {draft.actions.map((action, i) => {
+            const fixedTime = action.at !== "open" && action.at !== "close";
+            return (
+              <div key={action.id} className={styles.item}>
+                <div className={styles.row}>
+                  <select
+                    value={fixedTime ? "time" : action.at}
+                    onChange={(e) =>
+                      updateAction(i, { at: e.target.value === "time" ? "12:00" : e.target.value })
+                    }
+                    className={styles.input}
+                  >
+                    <option value="open">At opening</option>
+                    <option value="close">At closing</option>
+                    <option value="time">At a set time</option>
+                  </select>
+                  {fixedTime && (
+                    <input
+                      type="time"
+                      value={action.at}
+                      onChange={(e) => updateAction(i, { at: e.target.value })}
+                      className={styles.input}
+                    />
+                  )}
+                  <select
+                    value={action.type === "clear-all" ? "" : action.signalId}
+                    onChange={(e) =>
+                      updateAction(
+                        i,
+                        e.target.value
+                          ? { type: "signal", signalId: e.target.value }
+                          : { type: "clear-all", signalId: undefined }
+                      )
+                    }
+                    className={styles.input}
+                  >
+                    {signals
+                      .filter((s) => s.id !== "clear")
+                      .map((s) => (
+                        <option key={s.id} value={s.id}>
+                          Show {s.label}
+                        </option>
+                      ))}
+                    {action.type === "signal" &&
+                      !signals.some((s) => s.id === action.signalId) && (
+                        <option value={action.signalId}>{action.signalId} (deleted)</option>
+                      )}
+                    <option value="">Clear all signals</option>
+                  </select>
+                  <select
+                    value={targetOf(action)}
+                    onChange={(e) => updateAction(i, targetFields(e.target.value))}
+                    className={styles.input}
+                  >
+                    <option value="">in every room</option>
+                    {wings.map((wing) => (
+                      <option key={wing.id} value={`wing:${wing.id}`}>
+                        in {wing.name}
+                      </option>
+                    ))}
+                    {rooms.map((room) => (
+                      <option key={room.id} value={`room:${room.id}`}>
+                        in {room.name}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => removeAction(i)}
+                    className={`${styles.iconBtn} ${styles.deleteBtn}`}
+                  >
+                    Delete
+                  </button>
+                </div>
+                <div className={styles.days}>
+                  {DAYS.map((day) => (
+                    <button
+                      key={day.id}
+                      onClick={() => toggleDay(i, day.id)}
+                      className={`${styles.dayBtn} ${
+                        action.days.includes(day.id) ? styles.dayOn : ""
+                      }`}
+                    >
+                      {day.label}
+                    </button>
+                  ))}
+                  {!fixedTime && (
+                    <span className={styles.hint}>Skipped on closed days</span>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {(dirty || saveError) && errors.length > 0 && (
+          <ul className={styles.errors}>
+            {errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+        {saveError && errors.length === 0 && <p className={styles.errors}>{saveError}</p>}
+
+        <div className={styles.actions}>
+          <button onClick={addAction} className={styles.secondaryBtn}>
+            + Add Action
+          </button>
+          {(isCustom || !sameSchedule(draft, DEFAULT_SCHEDULE)) && (
+            <button
+              onClick={() => setDraft(DEFAULT_SCHEDULE)}
+              className={styles.secondaryBtn}
+            >
+              Load Defaults
+            </button>
+          )}
+          <span className={styles.spacer} />
+          {dirty && (
+            <button onClick={() => setDraft(schedule)} className={styles.secondaryBtn}>
+              Discard
+            </button>
+          )}
+          <button
+            onClick={save}
+            disabled={!dirty || errors.length > 0}
+            className={styles.primaryBtn}
+          >
+            Save Schedule
+          </button>
+        </div>
+      </fieldset>
+    </div>
+  );
+}
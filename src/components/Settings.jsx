@@ -1,23 +1,48 @@
-import { useState } from "react";
-import SIGNALS from "../config/signals";
-import HueBridgeService from "../services/hueBridge";
+import BridgeConnection from "./BridgeConnection";
+import SignalEditor from "./SignalEditor";
+import RoomManager from "./RoomManager";
+import ScheduleEditor from "./ScheduleEditor";
+import ShortcutEditor from "./ShortcutEditor";
 import styles from "./Settings.module.css";
 
 export default function Settings({
-  bridgeIp,
-  setBridgeIp,
-  apiKey,
-  setApiKey,
+  bridges,
+  bridgeStatus,
+  onAddBridge,
+  onUpdateBridge,
+  onRemoveBridge,
+  transport,
+  setTransport,
+  serverUrl,
+  setServerUrl,
+  syncEnabled,
+  setSyncEnabled,
+  syncStatus,
+  staffName,
+  setStaffName,
   connected,
   onConnect,
   onDisconnect,
-  connectionError,
-  needsCert,
-  certUrl,
-  onRetryAfterCert,
-  apiVersion,
+  onPaired,
+  signals,
+  signalsCustom,
+  activeSignalIds,
+  onSaveSignals,
+  roomLayout,
+  bridgeRooms,
+  bridgeLights,
+  activeRoomIds,
+  onSaveRoomLayout,
+  schedule,
+  scheduleCustom,
+  rooms,
+  onSaveSchedule,
+  shortcuts,
+  shortcutsCustom,
+  controlRooms,
+  onSaveShortcuts,
 }) {
-  const [showKey, setShowKey] = useState(false);
+  const viaServer = transport === "proxy";
 
   return (
     <div className={styles.container}>
@@ -30,139 +55,194 @@ export default function Settings({
         </p>
 
         <div className={styles.field}>
-          <label className={styles.label}>Bridge IP Address</label>
+          <label className={styles.label}>Connection Method</label>
+          <div className={styles.segmented}>
+            {[
+              { id: "direct", label: "Direct to bridge" },
+              { id: "proxy", label: "Via local server" },
+            ].map((opt) => (
+              <button
+                key={opt.id}
+                className={`${styles.segment} ${transport === opt.id ? styles.segmentActive : ""}`}
+                onClick={() => setTransport(opt.id)}
+                disabled={connected}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+          <span className={styles.hint}>
+            {viaServer
+              ? "Recommended on the ward — no certificate warnings. Set the server URL below."
+              : "The browser talks to the bridge itself and must accept its certificate once."}
+          </span>
+        </div>
+
+        {bridges.map((bridge) => (
+          <BridgeConnection
+            key={bridge.id}
+            bridge={bridge}
+            status={bridgeStatus[bridge.id]}
+            multiBridge={bridges.length > 1}
+            transport={transport}
+            serverUrl={serverUrl}
+            onUpdate={(changes) => onUpdateBridge(bridge.id, changes)}
+            onConnect={() => onConnect(bridge.id)}
+            onDisconnect={() => onDisconnect(bridge.id)}
+            onRemove={() => onRemoveBridge(bridge.id)}
+            onPaired={(result) => onPaired(bridge.id, result)}
+          />
+        ))}
+
+        <button onClick={onAddBridge} className={styles.addBridgeBtn}>
+          + Add Another Bridge
+        </button>
+        <span className={styles.hint}>
+          A clinic with a bridge per floor or wing can connect to all of
+          them at once — each bridge&apos;s rooms appear on the Control Panel.
+        </span>
+      </section>
+
+      {/* This device */}
+      <section className={styles.section}>
+        <h2 className={styles.title}>This Device</h2>
+        <p className={styles.desc}>
+          Shown when you acknowledge a call, and recorded in the activity log.
+        </p>
+        <div className={styles.field}>
+          <label className={styles.label}>Your Name or Role</label>
           <input
             type="text"
-            placeholder="e.g. 192.168.1.100"
-            value={bridgeIp}
-            onChange={(e) => setBridgeIp(e.target.value)}
+            placeholder="e.g. Nurse Kim, Reception"
+            value={staffName}
+            onChange={(e) => setStaffName(e.target.value)}
             className={styles.input}
           />
-          <span className={styles.hint}>
-            Find this in the Hue app → Settings → Hue Bridges → (i) icon
-          </span>
         </div>
+      </section>
+
+      {/* Local server */}
+      <section className={styles.section}>
+        <h2 className={styles.title}>Local Server</h2>
+        <p className={styles.desc}>
+          Optional. Run <code className={styles.code}>npm run server</code> on
+          one machine on the clinic network to proxy bridge traffic and keep
+          every device showing the same signals and activity log.
+        </p>
 
         <div className={styles.field}>
-          <label className={styles.label}>API Key</label>
-          <div className={styles.inputRow}>
-            <input
-              type={showKey ? "text" : "password"}
-              placeholder="Your hue-application-key"
-              value={apiKey}
-              onChange={(e) => setApiKey(e.target.value)}
-              className={styles.input}
-            />
-            <button
-              className={styles.toggleBtn}
-              onClick={() => setShowKey(!showKey)}
-            >
-              {showKey ? "Hide" : "Show"}
-            </button>
-          </div>
+          <label className={styles.label}>Local Server URL</label>
+          <input
+            type="text"
+            placeholder="Leave blank if the server also serves this app"
+            value={serverUrl}
+            onChange={(e) => setServerUrl(e.target.value)}
+            className={styles.input}
+          />
+          <span className={styles.hint}>e.g. http://192.168.1.20:3200</span>
         </div>
 
-        {/* Certificate acceptance prompt */}
-        {needsCert && certUrl && (
-          <div className={styles.certBox}>
-            <div className={styles.certHeader}>
-              <span className={styles.certIcon}>🔒</span>
-              <strong>Certificate Required</strong>
-            </div>
-            <p className={styles.certText}>
-              The Hue Bridge uses a self-signed security certificate. Your
-              browser blocks requests to it until you accept the certificate.
-              This is a one-time step.
-            </p>
-            <div className={styles.certSteps}>
-              <div className={styles.certStep}>
-                <span className={styles.stepNum}>1</span>
-                <span>
-                  Click the button below to open the bridge in a new tab
-                </span>
-              </div>
-              <div className={styles.certStep}>
-                <span className={styles.stepNum}>2</span>
-                <span>
-                  Click <strong>"Advanced"</strong> → then{" "}
-                  <strong>"Proceed"</strong> (or "Accept the Risk")
-                </span>
-              </div>
-              <div className={styles.certStep}>
-                <span className={styles.stepNum}>3</span>
-                <span>Come back here and click "Retry Connection"</span>
-              </div>
-            </div>
-            <div className={styles.certActions}>
-              <a
-                href={certUrl}
-                target="_blank"
-                rel="noopener noreferrer"
-                className={styles.certLink}
+        <div className={styles.field}>
+          <label className={styles.label}>Signals &amp; Activity Log</label>
+          <div className={styles.segmented}>
+            {[
+              { id: false, label: "This device only" },
+              { id: true, label: "Shared with all devices" },
+            ].map((opt) => (
+              <button
+                key={String(opt.id)}
+                className={`${styles.segment} ${syncEnabled === opt.id ? styles.segmentActive : ""}`}
+                onClick={() => setSyncEnabled(opt.id)}
               >
-                Open Bridge (Accept Certificate) →
-              </a>
-              <button onClick={onRetryAfterCert} className={styles.retryBtn}>
-                Retry Connection
+                {opt.label}
               </button>
-            </div>
+            ))}
           </div>
-        )}
-
-        {/* Regular error (not cert-related) */}
-        {connectionError && !needsCert && (
-          <p className={styles.error}>{connectionError}</p>
-        )}
-
-        {/* Connected success indicator */}
-        {connected && (
-          <div className={styles.connectedBox}>
-            <span className={styles.connectedDot} />
-            <span>
-              Connected via API {apiVersion || ""}
+          {syncEnabled && (
+            <span className={styles.hint}>
+              {syncStatus === "live"
+                ? "Live — changes from any device appear here instantly."
+                : "Can't reach the server — retrying. On reconnect this device takes the server's state."}
             </span>
-          </div>
-        )}
-
-        <div className={styles.actions}>
-          {!connected ? (
-            <button onClick={onConnect} className={styles.primaryBtn}>
-              Connect to Bridge
-            </button>
-          ) : (
-            <button onClick={onDisconnect} className={styles.dangerBtn}>
-              Disconnect
-            </button>
           )}
         </div>
       </section>
 
-      {/* Signal reference */}
+      {/* Rooms */}
       <section className={styles.section}>
-        <h2 className={styles.title}>Signal Reference</h2>
+        <h2 className={styles.title}>Rooms</h2>
         <p className={styles.desc}>
-          Current signal definitions. To customize, edit{" "}
-          <code className={styles.code}>src/config/signals.js</code>
+          Rename, hide and reorder the rooms on the Control Panel, group them
+          into wings, or define rooms from any bridge lights and grouped
+          lights. Rooms added in the Hue app still appear on their own.
+          {syncEnabled
+            ? " In shared mode the layout is stored on the local server and used by every device."
+            : " The layout is saved on this device only."}
         </p>
+        <RoomManager
+          layout={roomLayout}
+          bridgeRooms={bridgeRooms}
+          bridgeLights={bridgeLights}
+          bridges={bridges}
+          activeRoomIds={activeRoomIds}
+          onSave={onSaveRoomLayout}
+        />
+      </section>
 
-        <div className={styles.signalList}>
-          {SIGNALS.filter((s) => s.id !== "clear").map((signal) => (
-            <div key={signal.id} className={styles.signalItem}>
-              <span
-                className={styles.signalDot}
-                style={{ backgroundColor: signal.hex }}
-              />
-              <div>
-                <strong className={styles.signalName}>{signal.label}</strong>
-                <p className={styles.signalDesc}>{signal.description}</p>
-                <span className={styles.signalMeta}>
-                  Priority: {signal.priority} · Brightness: {signal.brightness}%
-                  · CIE: ({signal.color.x}, {signal.color.y})
-                </span>
-              </div>
-            </div>
-          ))}
-        </div>
+      {/* Signals */}
+      <section className={styles.section}>
+        <h2 className={styles.title}>Signals</h2>
+        <p className={styles.desc}>
+          The signals on every room card, in button order. Changes apply as
+          soon as you save — no rebuild needed.
+          {syncEnabled
+            ? " In shared mode they're stored on the local server and used by every device."
+            : " They're saved on this device only."}
+        </p>
+        <SignalEditor
+          signals={signals}
+          isCustom={signalsCustom}
+          activeSignalIds={activeSignalIds}
+          onSave={onSaveSignals}
+        />
+      </section>
+
+      {/* Schedule */}
+      <section className={styles.section}>
+        <h2 className={styles.title}>Schedule</h2>
+        <p className={styles.desc}>
+          Timed actions tied to the clinic&apos;s opening hours — for
+          example, every room to Room Ready at opening and all signals
+          cleared at closing. The local server runs the schedule, so it
+          works with no browser open, and logs every scheduled change.
+          Times are the server machine&apos;s local time.
+        </p>
+        <ScheduleEditor
+          schedule={schedule}
+          isCustom={scheduleCustom}
+          signals={signals}
+          rooms={rooms}
+          wings={roomLayout.wings}
+          available={syncEnabled && syncStatus === "live"}
+          onSave={onSaveSchedule}
+        />
+      </section>
+
+      {/* Keyboard shortcuts */}
+      <section className={styles.section}>
+        <h2 className={styles.title}>Keyboard Shortcuts</h2>
+        <p className={styles.desc}>
+          Send signals without the mouse: type a room number, then a signal
+          key, or open the command palette and type part of a room or
+          signal name. Shortcuts are saved on this device only.
+        </p>
+        <ShortcutEditor
+          shortcuts={shortcuts}
+          isCustom={shortcutsCustom}
+          rooms={controlRooms}
+          signals={signals}
+          onSave={onSaveShortcuts}
+        />
       </section>
 
       {/* Quick reference */}
@@ -171,22 +251,26 @@ export default function Settings({
         <div className={styles.notes}>
           <p>
             <strong>How it works:</strong> This app runs in your browser and
-            talks directly to the Hue Bridge on your local WiFi. The Vercel
-            hosting just delivers the app code — all bridge communication
-            happens locally.
+            talks to the Hue Bridge on your local WiFi — either directly, or
+            through the local server. The Vercel hosting just delivers the app
+            code — all bridge communication happens locally.
           </p>
           <p>
-            <strong>First time setup:</strong> You'll need to accept the
-            bridge's security certificate once. The app will guide you through
-            this automatically.
+            <strong>First time setup:</strong> When connecting directly,
+            you'll need to accept the bridge's security certificate once. The
+            app will guide you through this automatically. The local server
+            skips this step entirely.
           </p>
           <p>
             <strong>Rate limits:</strong> The Hue Bridge handles ~10
             commands/sec. Grouped lights (entire room) count as 1 command.
+            Commands are queued to stay under the limit, and failed ones are
+            retried a few times.
           </p>
           <p>
             <strong>Add rooms:</strong> Rooms are configured in the Hue app.
-            Once connected, this app auto-discovers them.
+            Once connected, this app auto-discovers them. Adjust them or add
+            your own under Rooms above.
           </p>
         </div>
       </section>
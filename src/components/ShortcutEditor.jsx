@@ -0,0 +1,161 @@
+import { useState, useEffect } from "react";
+import {
+  DEFAULT_SHORTCUTS,
+  shortcutMap,
+  validateShortcuts,
+} from "../services/shortcuts";
+import styles from "./ShortcutEditor.module.css";
+
+// ============================================================
+// SHORTCUT EDITOR
+// ============================================================
+//
+// Lists every keyboard shortcut and lets this device change the
+// signal keys and room numbers (shortcuts.js). An empty field
+// falls back to the default shown as its placeholder. Like the
+// other editors, changes apply on Save.
+// ============================================================
+
+const sameConfig = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Only what differs from the defaults is stored
+function withChange(map, id, value) {
+  const next = { ...map };
+  if (value) next[id] = value;
+  else delete next[id];
+  return next;
+}
+
+export default function ShortcutEditor({ shortcuts, isCustom, rooms, signals, onSave }) {
+  const [draft, setDraft] = useState(shortcuts);
+  const [saveError, setSaveError] = useState("");
+
+  useEffect(() => {
+    setDraft(shortcuts);
+  }, [shortcuts]);
+
+  const dirty = !sameConfig(draft, shortcuts);
+  const errors = validateShortcuts(draft, rooms, signals);
+  const defaults = shortcutMap(DEFAULT_SHORTCUTS, rooms, signals);
+  const effective = errors.length === 0 ? shortcutMap(draft, rooms, signals) : defaults;
+  const example = rooms[0] && signals.find((s) => s.id !== "clear");
+
+  const save = () => {
+    try {
+      onSave(sameConfig(draft, DEFAULT_SHORTCUTS) ? null : draft);
+      setSaveError("");
+    } catch (err) {
+      setSaveError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.editor}>
+      <label className={styles.check}>
+        <input
+          type="checkbox"
+          checked={draft.enabled}
+          onChange={(e) => setDraft((prev) => ({ ...prev, enabled: e.target.checked }))}
+        />
+        Room number + signal key shortcuts
+      </label>
+
+      <div className={styles.fixed}>
+        {example && (
+          <span>
+            <kbd className={styles.kbd}>{effective.roomNumbers[rooms[0].id]}</kbd> then{" "}
+            <kbd className={styles.kbd}>
+              {(effective.signalKeys[example.id] || "?").toUpperCase()}
+            </kbd>{" "}
+            {example.label} in {rooms[0].name}
+          </span>
+        )}
+        <span>
+          <kbd className={styles.kbd}>Ctrl</kbd> + <kbd className={styles.kbd}>K</kbd> (
+          <kbd className={styles.kbd}>⌘</kbd> + <kbd className={styles.kbd}>K</kbd> on a Mac)
+          command palette
+        </span>
+        <span>
+          <kbd className={styles.kbd}>Esc</kbd> cancel a room number or close the palette
+        </span>
+      </div>
+
+      <div className={styles.columns}>
+        <div className={styles.column}>
+          <h3 className={styles.heading}>Signal Keys</h3>
+          {signals.map((signal) => (
+            <label key={signal.id} className={styles.row}>
+              <span className={styles.dot} style={{ backgroundColor: signal.hex }} />
+              <span className={styles.name}>{signal.label}</span>
+              <input
+                value={(draft.signalKeys[signal.id] || "").toUpperCase()}
+                placeholder={(defaults.signalKeys[signal.id] || "—").toUpperCase()}
+                maxLength={1}
+                onChange={(e) =>
+                  setDraft((prev) => ({
+                    ...prev,
+                    signalKeys: withChange(prev.signalKeys, signal.id, e.target.value.toLowerCase()),
+                  }))
+                }
+                className={styles.input}
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className={styles.column}>
+          <h3 className={styles.heading}>Room Numbers</h3>
+          {rooms.length === 0 && <p className={styles.empty}>No rooms on the Control Panel.</p>}
+          {rooms.map((room) => (
+            <label key={room.id} className={styles.row}>
+              <span className={styles.name}>{room.name}</span>
+              <input
+                value={draft.roomNumbers[room.id] || ""}
+                placeholder={defaults.roomNumbers[room.id]}
+                inputMode="numeric"
+                maxLength={3}
+                onChange={(e) =>
+                  setDraft((prev) => ({
+                    ...prev,
+                    roomNumbers: withChange(prev.roomNumbers, room.id, e.target.value.trim()),
+                  }))
+                }
+                className={styles.input}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {(dirty || saveError) && errors.length > 0 && (
+        <ul className={styles.errors}>
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+      {saveError && errors.length === 0 && <p className={styles.errors}>{saveError}</p>}
+
+      <div className={styles.actions}>
+        {(isCustom || !sameConfig(draft, DEFAULT_SHORTCUTS)) && (
+          <button onClick={() => setDraft(DEFAULT_SHORTCUTS)} className={styles.secondaryBtn}>
+            Load Defaults
+          </button>
+        )}
+        <span className={styles.spacer} />
+        {dirty && (
+          <button onClick={() => setDraft(shortcuts)} className={styles.secondaryBtn}>
+            Discard
+          </button>
+        )}
+        <button
+          onClick={save}
+          disabled={!dirty || errors.length > 0}
+          className={styles.primaryBtn}
+        >
+          Save Shortcuts
+        </button>
+      </div>
+    </div>
+  );
+}
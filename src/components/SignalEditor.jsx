@@ -0,0 +1,487 @@
+import { useState, useEffect } from "react";
+import DEFAULT_SIGNALS from "../config/signals";
+import PATTERNS from "../config/patterns";
+import SOUNDS from "../config/sounds";
+import { hexToXy, bulbHex, GAMUTS, HEX_PATTERN } from "../services/color";
+import { validateSignals } from "../services/signalRegistry";
+import Alerts from "../services/alerts";
+import styles from "./SignalEditor.module.css";
+
+// ============================================================
+// SIGNAL EDITOR
+// ============================================================
+//
+// Create, edit, reorder and delete signals. Edits are made on a
+// draft and only take effect on Save, after validateSignals()
+// (signalRegistry.js) passes. The list order is the button order
+// on every RoomCard.
+//
+// Picking a display colour also sets the light colour, converted
+// to CIE xy (color.js). The built-in signals keep their
+// hand-tuned xy until their colour is changed. The swatches show
+// what that xy really looks like on gamut A/B/C bulbs.
+//
+// ▶ next to the sound plays it at the signal's priority, even
+// when this device is muted.
+// ============================================================
+
+const sameList = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function uniqueId(base, signals) {
+  let id = base;
+  for (let n = 2; signals.some((s) => s.id === id); n++) id = `${base}_${n}`;
+  return id;
+}
+
+// Whole numbers from number inputs; "" stays invalid (null)
+const toInt = (value) => (value === "" ? null : Number(value));
+// Optional minutes for a rule; "" = no rule
+const toMinutes = (value) => (value === "" ? undefined : Number(value));
+
+// "Alarm · notifies · until acknowledged"
+function describeAlerts(signal) {
+  const parts = [];
+  if (signal.sound && signal.sound !== "none") {
+    parts.push(SOUNDS[signal.sound]?.label || signal.sound);
+  }
+  if (signal.notify) parts.push("notifies");
+  if (signal.alertUntilAck) parts.push("until acknowledged");
+  return parts.map((p) => ` · ${p}`).join("");
+}
+
+// "escalates after 5 min · clears after 30 min"
+function describeRules(signal, draft) {
+  const parts = [];
+  if (signal.escalateTo) {
+    const to = draft.find((s) => s.id === signal.escalateTo);
+    parts.push(`→ ${to?.label || signal.escalateTo} after ${signal.escalateAfterMin} min`);
+  }
+  if (signal.expireAfterMin) parts.push(`clears after ${signal.expireAfterMin} min`);
+  if (signal.repeatEveryMin) parts.push(`repeats every ${signal.repeatEveryMin} min`);
+  return parts.map((p) => ` · ${p}`).join("");
+}
+
+export default function SignalEditor({ signals, isCustom, activeSignalIds, onSave }) {
+  const [draft, setDraft] = useState(signals);
+  const [editing, setEditing] = useState(null); // index into draft
+  const [saveError, setSaveError] = useState("");
+
+  // Signals changed elsewhere (another device, defaults restored)
+  useEffect(() => {
+    setDraft(signals);
+    setEditing(null);
+  }, [signals]);
+
+  const dirty = !sameList(draft, signals);
+  const removedActive = signals.filter(
+    (s) => activeSignalIds.includes(s.id) && !draft.some((d) => d.id === s.id)
+  );
+  const errors = [
+    ...validateSignals(draft),
+    ...removedActive.map(
+      (s) => `${s.label} is showing in a room — clear it before deleting or renaming it`
+    ),
+  ];
+
+  const update = (index, changes) => {
+    setDraft((prev) => prev.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+  };
+
+  const updateHex = (index, hex) => {
+    const signal = draft[index];
+    const xy = signal.id !== "clear" && HEX_PATTERN.test(hex) ? hexToXy(hex) : null;
+    update(index, xy ? { hex, color: xy } : { hex });
+  };
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= draft.length) return;
+    setDraft((prev) => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+    if (editing === index) setEditing(target);
+    else if (editing === target) setEditing(index);
+  };
+
+  const remove = (index) => {
+    setDraft((prev) => prev.filter((_, i) => i !== index));
+    setEditing(null);
+  };
+
+  const add = () => {
+    const hex = "#a855f7";
+    const priority = Math.max(0, ...draft.map((s) => s.priority || 0)) + 1;
+    const signal = {
+      id: uniqueId("new_signal", draft),
+      label: "New Signal",
+      icon: "●",
+      color: hexToXy(hex),
+      hex,
+      brightness: 100,
+      description: "",
+      priority,
+    };
+    // Keep Clear last, where it usually sits
+    const clearIndex = draft.findIndex((s) => s.id === "clear");
+    const at = clearIndex === -1 ? draft.length : clearIndex;
+    setDraft((prev) => [...prev.slice(0, at), signal, ...prev.slice(at)]);
+    setEditing(at);
+  };
+
+  const save = () => {
+    try {
+      onSave(sameList(draft, DEFAULT_SIGNALS) ? null : draft);
+      setSaveError("");
+    } catch (err) {
+      setSaveError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.editor}>
+      <div className={styles.list}>
+        {draft.map((signal, i) => {
+          const isClear = signal.id === "clear";
+          const isOpen = editing === i;
+          return (
+            <div key={i} className={`${styles.item} ${isOpen ? styles.itemOpen : ""}`}>
+              <div className={styles.row}>
+                <span className={styles.dot} style={{ backgroundColor: signal.hex }}>
+                  {signal.icon}
+                </span>
+                <div className={styles.summary}>
+                  <strong className={styles.name}>{signal.label || "Untitled"}</strong>
+                  <span className={styles.meta}>
+                    {isClear
+                      ? "Turns the lights off"
+                      : `Priority ${signal.priority} · ${signal.brightness}%${
+                          signal.color ? ` · CIE (${signal.color.x}, ${signal.color.y})` : ""
+                        }${signal.pattern ? ` · ${PATTERNS[signal.pattern]?.label || signal.pattern}` : ""}${
+                          signal.requiresAck ? " · call for help" : ""
+                        }${describeAlerts(signal)}${describeRules(signal, draft)}`}
+                  </span>
+                </div>
+                <div className={styles.rowActions}>
+                  <button
+                    onClick={() => move(i, -1)}
+                    disabled={i === 0}
+                    className={styles.iconBtn}
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => move(i, 1)}
+                    disabled={i === draft.length - 1}
+                    className={styles.iconBtn}
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    onClick={() => setEditing(isOpen ? null : i)}
+                    className={styles.iconBtn}
+                  >
+                    {isOpen ? "Done" : "Edit"}
+                  </button>
+                  {!isClear && (
+                    <button
+                      onClick={() => remove(i)}
+                      className={`${styles.iconBtn} ${styles.deleteBtn}`}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {isOpen && (
+                <div className={styles.form}>
+                  <label className={styles.field}>
+                    Label
+                    <input
+                      value={signal.label}
+                      onChange={(e) => update(i, { label: e.target.value })}
+                      className={styles.input}
+                    />
+                  </label>
+                  <label className={styles.field}>
+                    Id
+                    <input
+                      value={signal.id}
+                      onChange={(e) => update(i, { id: e.target.value.trim() })}
+                      disabled={isClear}
+                      className={styles.input}
+                    />
+                  </label>
+                  <label className={styles.field}>
+                    Icon
+                    <input
+                      value={signal.icon}
+                      onChange={(e) => update(i, { icon: e.target.value })}
+                      maxLength={2}
+                      className={styles.input}
+                    />
+                  </label>
+                  <label className={styles.field}>
+                    Colour
+                    <span className={styles.colorRow}>
+                      <input
+                        type="color"
+                        value={HEX_PATTERN.test(signal.hex) ? signal.hex : "#000000"}
+                        onChange={(e) => updateHex(i, e.target.value)}
+                        className={styles.colorInput}
+                      />
+                      <input
+                        value={signal.hex}
+                        onChange={(e) => updateHex(i, e.target.value.trim())}
+                        className={styles.input}
+                      />
+                    </span>
+                  </label>
+
+                  {!isClear && (
+                    <>
+                      <label className={styles.field}>
+                        Brightness (%)
+                        <input
+                          type="number"
+                          min={1}
+                          max={100}
+                          value={signal.brightness ?? ""}
+                          onChange={(e) => update(i, { brightness: toInt(e.target.value) })}
+                          className={styles.input}
+                        />
+                      </label>
+                      <label className={styles.field}>
+                        Priority
+                        <input
+                          type="number"
+                          min={1}
+                          value={signal.priority ?? ""}
+                          onChange={(e) => update(i, { priority: toInt(e.target.value) })}
+                          className={styles.input}
+                        />
+                      </label>
+                      <label className={styles.field}>
+                        Light Pattern
+                        <select
+                          value={signal.pattern || "steady"}
+                          onChange={(e) =>
+                            update(i, {
+                              pattern: e.target.value === "steady" ? undefined : e.target.value,
+                            })
+                          }
+                          className={styles.input}
+                        >
+                          {Object.values(PATTERNS).map((p) => (
+                            <option key={p.id} value={p.id}>
+                              {p.label} — {p.description}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className={`${styles.field} ${styles.checkField}`}>
+                        <input
+                          type="checkbox"
+                          checked={Boolean(signal.requiresAck)}
+                          onChange={(e) =>
+                            update(
+                              i,
+                              e.target.checked
+                                ? { requiresAck: true }
+                                : { requiresAck: undefined, alertUntilAck: undefined }
+                            )
+                          }
+                        />
+                        Call for help — staff acknowledge it
+                      </label>
+                      <label className={styles.field}>
+                        Sound
+                        <span className={styles.colorRow}>
+                          <select
+                            value={signal.sound || "none"}
+                            onChange={(e) =>
+                              update(i, {
+                                sound: e.target.value === "none" ? undefined : e.target.value,
+                              })
+                            }
+                            className={styles.input}
+                          >
+                            {Object.values(SOUNDS).map((sound) => (
+                              <option key={sound.id} value={sound.id}>
+                                {sound.description
+                                  ? `${sound.label} — ${sound.description}`
+                                  : sound.label}
+                              </option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => Alerts.play(signal)}
+                            disabled={!SOUNDS[signal.sound]?.notes}
+                            className={styles.iconBtn}
+                            title="Play"
+                          >
+                            ▶
+                          </button>
+                        </span>
+                      </label>
+                      <label className={`${styles.field} ${styles.checkField}`}>
+                        <input
+                          type="checkbox"
+                          checked={Boolean(signal.notify)}
+                          onChange={(e) => update(i, { notify: e.target.checked || undefined })}
+                        />
+                        Desktop notification
+                      </label>
+                      {signal.requiresAck && (
+                        <label className={`${styles.field} ${styles.checkField}`}>
+                          <input
+                            type="checkbox"
+                            checked={Boolean(signal.alertUntilAck)}
+                            onChange={(e) =>
+                              update(i, { alertUntilAck: e.target.checked || undefined })
+                            }
+                          />
+                          Keep alerting until acknowledged
+                        </label>
+                      )}
+                      <label className={styles.field}>
+                        Escalate To
+                        <select
+                          value={signal.escalateTo || ""}
+                          onChange={(e) =>
+                            update(
+                              i,
+                              e.target.value
+                                ? {
+                                    escalateTo: e.target.value,
+                                    escalateAfterMin: signal.escalateAfterMin ?? 5,
+                                  }
+                                : { escalateTo: undefined, escalateAfterMin: undefined }
+                            )
+                          }
+                          className={styles.input}
+                        >
+                          <option value="">Never</option>
+                          {draft
+                            .filter((s) => s.id !== "clear" && s.id !== signal.id)
+                            .map((s) => (
+                              <option key={s.id} value={s.id}>
+                                {s.label}
+                              </option>
+                            ))}
+                        </select>
+                      </label>
+                      {signal.escalateTo && (
+                        <label className={styles.field}>
+                          If Unanswered For (min)
+                          <input
+                            type="number"
+                            min={1}
+                            value={signal.escalateAfterMin ?? ""}
+                            onChange={(e) =>
+                              update(i, { escalateAfterMin: toInt(e.target.value) ?? undefined })
+                            }
+                            className={styles.input}
+                          />
+                        </label>
+                      )}
+                      <label className={styles.field}>
+                        Auto-Clear After (min)
+                        <input
+                          type="number"
+                          min={1}
+                          placeholder="Never"
+                          value={signal.expireAfterMin ?? ""}
+                          onChange={(e) => update(i, { expireAfterMin: toMinutes(e.target.value) })}
+                          className={styles.input}
+                        />
+                      </label>
+                      <label className={styles.field}>
+                        Repeat Every (min)
+                        <input
+                          type="number"
+                          min={1}
+                          placeholder="Never"
+                          value={signal.repeatEveryMin ?? ""}
+                          onChange={(e) => update(i, { repeatEveryMin: toMinutes(e.target.value) })}
+                          className={styles.input}
+                        />
+                      </label>
+                      <span className={styles.xy}>
+                        Light colour: CIE ({signal.color?.x ?? "—"}, {signal.color?.y ?? "—"})
+                        {signal.color && (
+                          <span className={styles.bulbs}>
+                            On bulbs:
+                            {Object.entries(GAMUTS).map(([type, gamut]) => (
+                              <span
+                                key={type}
+                                className={styles.bulbSwatch}
+                                style={{ backgroundColor: bulbHex(signal.color, gamut) }}
+                                title={`Gamut ${type} bulb`}
+                              >
+                                {type}
+                              </span>
+                            ))}
+                          </span>
+                        )}
+                      </span>
+                    </>
+                  )}
+
+                  <label className={`${styles.field} ${styles.wide}`}>
+                    Description
+                    <input
+                      value={signal.description}
+                      onChange={(e) => update(i, { description: e.target.value })}
+                      className={styles.input}
+                    />
+                  </label>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {(dirty || saveError) && errors.length > 0 && (
+        <ul className={styles.errors}>
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+      {saveError && errors.length === 0 && <p className={styles.errors}>{saveError}</p>}
+
+      <div className={styles.actions}>
+        <button onClick={add} className={styles.secondaryBtn}>
+          + Add Signal
+        </button>
+        {(isCustom || !sameList(draft, DEFAULT_SIGNALS)) && (
+          <button
+            onClick={() => setDraft(DEFAULT_SIGNALS)}
+            className={styles.secondaryBtn}
+          >
+            Load Defaults
+          </button>
+        )}
+        <span className={styles.spacer} />
+        {dirty && (
+          <button onClick={() => setDraft(signals)} className={styles.secondaryBtn}>
+            Discard
+          </button>
+        )}
+        <button
+          onClick={save}
+          disabled={!dirty || errors.length > 0}
+          className={styles.primaryBtn}
+        >
+          Save Signals
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -6,6 +6,10 @@
 // When you connect a bridge, real rooms are fetched automatically.
 //
 // You can customize these to match your clinic layout for demos.
+//
+// `zone: true` marks a Hue zone rather than a room: lights
+// grouped across rooms (here the nurse station's share of two
+// rooms), signalled like any room.
 // ============================================================
 
 const DEMO_ROOMS = [
@@ -33,6 +37,13 @@ const DEMO_ROOMS = [
     lights: ["light-4a", "light-4b"],
     groupedLightId: "group-4",
   },
+  {
+    id: "zone-1",
+    name: "Nurse Station",
+    zone: true,
+    lights: ["light-2a", "light-3a"],
+    groupedLightId: "group-z1",
+  },
 ];
 
 export default DEMO_ROOMS;
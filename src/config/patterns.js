@@ -0,0 +1,64 @@
+// ============================================================
+// SIGNAL PATTERNS
+// ============================================================
+//
+// How a signal's lights move. A signal in signals.js picks one
+// with `pattern: "flash"`; no pattern means steady.
+//
+// steps:  a timed command sequence, looped. Each step shows the
+//         signal at `level` (share of its brightness) or turns
+//         the lights off (`on: false`) for `ms`. The first step
+//         is the signal as sent — full colour, full brightness.
+// native: use the bridge's own alert instead, re-sent every
+//         `repeatMs` (a Hue alert runs about 15 s). The steps
+//         are the fallback when the bridge refuses it.
+//
+// Only breathe has a native version: Hue's alert is a breathe,
+// and its effects (candle, fire, sparkle …) are scenes, not
+// signals. Flash and pulse always run as command sequences.
+//
+// A room card's simulation plays the same steps, so demo mode
+// shows what the lights will do. See services/patternEngine.js.
+//
+// Keep steps at 1 s or longer: a grouped light takes about one
+// command per second (see Settings → Quick Reference).
+// ============================================================
+
+const PATTERNS = {
+  steady: {
+    id: "steady",
+    label: "Steady",
+    description: "Solid colour",
+    steps: null,
+  },
+  flash: {
+    id: "flash",
+    label: "Flash",
+    description: "Colour and off, once a second each",
+    steps: [
+      { level: 1, ms: 1000 },
+      { on: false, ms: 1000 },
+    ],
+  },
+  breathe: {
+    id: "breathe",
+    label: "Breathe",
+    description: "Slowly brightens and dims",
+    native: { repeatMs: 15000 },
+    steps: [
+      { level: 1, ms: 2000 },
+      { level: 0.25, ms: 2000 },
+    ],
+  },
+  pulse: {
+    id: "pulse",
+    label: "Pulse",
+    description: "Short bright beat, then dimmer",
+    steps: [
+      { level: 1, ms: 1000 },
+      { level: 0.4, ms: 2000 },
+    ],
+  },
+};
+
+export default PATTERNS;
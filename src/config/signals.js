@@ -2,19 +2,44 @@
 // SIGNAL DEFINITIONS
 // ============================================================
 //
-// This is the single source of truth for all clinic signals.
-// Each signal maps a MESSAGE → COLOR → PRIORITY.
+// The built-in clinic signals. Each signal maps a
+// MESSAGE → COLOR → PRIORITY.
 //
 // To add a new signal:
-//   1. Add a new object below
-//   2. That's it — the UI picks it up automatically
+//   - In the app: Settings → Signals (no rebuild needed), or
+//   - Add a new object below to change the defaults
+// Either way the UI picks it up automatically. The app reads the
+// signals in use from src/services/signalRegistry.js, which also
+// lists the rules a signal list must follow.
 //
 // Color format: CIE xy coordinates (what the Hue API expects).
-//   You can convert hex/RGB to CIE xy using:
-//   https://developers.meethue.com/develop/application-design-guidance/color-conversion-formulas-rgb-to-xy-and-back/
+//   src/services/color.js converts hex/RGB to CIE xy.
 //
-// Priority: Higher number = more urgent. Used for future conflict
-//   resolution (e.g., Emergency always overrides Room Ready).
+// Priority: Higher number = more urgent. A lower-priority signal
+//   can't replace a higher one without a confirming second tap
+//   (e.g., Room Ready never silently hides an Emergency).
+//   See src/services/signalStack.js.
+//
+// requiresAck: The signal is a call for help. It moves through
+//   sent → acknowledged (by whom) → resolved, and RoomCard shows
+//   who is responding. See src/services/callWorkflow.js.
+//
+// pattern: How the lights move — "flash", "breathe" or "pulse"
+//   (src/config/patterns.js). Leave it out for a steady colour.
+//
+// Alerts (all optional — see src/services/alerts.js):
+//   sound: played when the signal arrives, from
+//     src/config/sounds.js. Leave it out for silence.
+//   notify: also raise a desktop notification
+//   alertUntilAck: keep sounding until someone acknowledges the
+//     call (needs requiresAck)
+//
+// Automatic rules (all optional, in minutes — see
+// src/services/signalRules.js):
+//   escalateTo + escalateAfterMin: unanswered for that long →
+//     replaced by a more urgent signal
+//   expireAfterMin: cleared automatically after that long
+//   repeatEveryMin: sent to the lights again while it's showing
 // ============================================================
 
 const SIGNALS = [
@@ -27,6 +52,8 @@ const SIGNALS = [
     brightness: 80,
     description: "Room is clean and ready for the next patient",
     priority: 1,
+    sound: "chime",
+    expireAfterMin: 30,
   },
   {
     id: "need_assistance",
@@ -37,6 +64,11 @@ const SIGNALS = [
     brightness: 100,
     description: "Staff assistance needed — not urgent",
     priority: 2,
+    requiresAck: true,
+    pattern: "pulse",
+    sound: "ding",
+    escalateTo: "doctor_needed",
+    escalateAfterMin: 5,
   },
   {
     id: "doctor_needed",
@@ -47,6 +79,10 @@ const SIGNALS = [
     brightness: 100,
     description: "Doctor is requested in this room",
     priority: 3,
+    requiresAck: true,
+    pattern: "breathe",
+    sound: "double",
+    notify: true,
   },
   {
     id: "emergency",
@@ -57,6 +93,12 @@ const SIGNALS = [
     brightness: 100,
     description: "Urgent — immediate attention required",
     priority: 4,
+    requiresAck: true,
+    pattern: "flash",
+    sound: "alarm",
+    notify: true,
+    alertUntilAck: true,
+    repeatEveryMin: 1,
   },
   {
     id: "clear",
@@ -0,0 +1,64 @@
+// ============================================================
+// ALERT SOUNDS
+// ============================================================
+//
+// What a signal sounds like when it arrives. A signal in
+// signals.js picks one with `sound: "chime"`; no sound means
+// silent. Sounds are generated with Web Audio — no audio files.
+//
+// wave:  oscillator type (sine, triangle, square, sawtooth)
+// notes: played in order — `hz` for `ms`, then `gapMs` of silence
+//
+// services/alerts.js scales every sound by the signal's priority:
+// more urgent signals play louder and repeat the notes more
+// often (priority 1 → once, 4 and up → three times).
+// ============================================================
+
+const SOUNDS = {
+  none: {
+    id: "none",
+    label: "Silent",
+    notes: null,
+  },
+  chime: {
+    id: "chime",
+    label: "Chime",
+    description: "Two soft falling notes",
+    wave: "sine",
+    notes: [
+      { hz: 880, ms: 220, gapMs: 40 },
+      { hz: 660, ms: 380, gapMs: 200 },
+    ],
+  },
+  ding: {
+    id: "ding",
+    label: "Ding",
+    description: "One bright note",
+    wave: "triangle",
+    notes: [{ hz: 988, ms: 320, gapMs: 220 }],
+  },
+  double: {
+    id: "double",
+    label: "Double Beep",
+    description: "Two firm beeps",
+    wave: "square",
+    notes: [
+      { hz: 740, ms: 140, gapMs: 90 },
+      { hz: 740, ms: 140, gapMs: 300 },
+    ],
+  },
+  alarm: {
+    id: "alarm",
+    label: "Alarm",
+    description: "Fast high–low siren",
+    wave: "sawtooth",
+    notes: [
+      { hz: 960, ms: 160, gapMs: 20 },
+      { hz: 720, ms: 160, gapMs: 20 },
+      { hz: 960, ms: 160, gapMs: 20 },
+      { hz: 720, ms: 160, gapMs: 160 },
+    ],
+  },
+};
+
+export default SOUNDS;
@@ -0,0 +1,45 @@
+// ============================================================
+// ACTIVITY API — reads the durable log from the local server
+// ============================================================
+//
+// Used by ActivityLog when signals are shared through the local
+// server. Writes don't go through here — they travel over the
+// sync channel (see syncChannel.js) so every device sees them.
+// ============================================================
+
+import { filtersToQuery } from "./activityQuery";
+
+function apiBase(serverUrl) {
+  return `${(serverUrl || "").trim().replace(/\/+$/, "")}/api`;
+}
+
+/**
+ * One page of entries, newest first: { entries, total }.
+ */
+export async function fetchActivity(serverUrl, filters, { offset = 0, limit = 25 } = {}) {
+  const query = filtersToQuery({ ...filters, offset, limit });
+  const res = await fetch(`${apiBase(serverUrl)}/activity?${query}`);
+  if (!res.ok) throw new Error("Failed to load activity log");
+  const data = await res.json();
+  return {
+    entries: data.entries.map((e) => ({ ...e, timestamp: new Date(e.timestamp) })),
+    total: data.total,
+  };
+}
+
+/**
+ * Download URL for every entry matching `filters`.
+ */
+export function activityExportUrl(serverUrl, filters, format) {
+  const query = filtersToQuery({ ...filters, format });
+  return `${apiBase(serverUrl)}/activity/export?${query}`;
+}
+
+/**
+ * Every entry matching `filters`, oldest first — for reports.
+ */
+export async function fetchAllActivity(serverUrl, filters) {
+  const res = await fetch(activityExportUrl(serverUrl, filters, "json"));
+  if (!res.ok) throw new Error("Failed to load activity log");
+  return res.json();
+}
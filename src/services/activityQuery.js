@@ -0,0 +1,112 @@
+// ============================================================
+// ACTIVITY QUERY — filtering + export for activity log entries
+// ============================================================
+//
+// Shared by the browser (local-only log) and the local server
+// (server/activityStore.js), so both filter and export the same
+// way. No imports — it must run in Node and in the browser.
+//
+// Entry shape:
+//   { id, timestamp, roomId, roomName, signalId, signalLabel,
+//     success, note?, event?, by?, sentAt?, automatic? }
+//
+//   event  — "sent" | "acknowledged" | "resolved" for calls (see
+//            callWorkflow.js); absent for plain signal changes
+//   by     — who did it (the device's staff name)
+//   sentAt — for acknowledged/resolved: when the call was sent
+//   automatic — true when a rule did it, not a person (see
+//            signalRules.js)
+//
+// Filters (all optional):
+//   { roomId, signalId, success: true|false, from, to }
+//   from / to are ISO timestamps (inclusive).
+// ============================================================
+
+export const EXPORT_FIELDS = [
+  "id",
+  "timestamp",
+  "roomId",
+  "roomName",
+  "signalId",
+  "signalLabel",
+  "success",
+  "note",
+  "event",
+  "by",
+  "sentAt",
+  "automatic",
+];
+
+export function filterEntries(entries, filters = {}) {
+  const from = filters.from ? Date.parse(filters.from) : null;
+  const to = filters.to ? Date.parse(filters.to) : null;
+
+  return entries.filter((entry) => {
+    if (filters.roomId && entry.roomId !== filters.roomId) return false;
+    if (filters.signalId && entry.signalId !== filters.signalId) return false;
+    if (typeof filters.success === "boolean" && entry.success !== filters.success) {
+      return false;
+    }
+    if (from !== null || to !== null) {
+      const at = new Date(entry.timestamp).getTime();
+      if (from !== null && at < from) return false;
+      if (to !== null && at > to) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Read filters from a URLSearchParams-like object (query string).
+ */
+export function parseFilters(params) {
+  const get = (key) => params.get(key) || undefined;
+  const success = get("success");
+  return {
+    roomId: get("roomId"),
+    signalId: get("signalId"),
+    success: success === "true" ? true : success === "false" ? false : undefined,
+    from: get("from"),
+    to: get("to"),
+  };
+}
+
+/**
+ * The reverse of parseFilters — drops empty values.
+ */
+export function filtersToQuery(filters) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== "" && value !== null) {
+      params.set(key, String(value));
+    }
+  }
+  return params.toString();
+}
+
+export function toCsv(entries) {
+  const escape = (value) => {
+    if (value === undefined || value === null) return "";
+    let text =
+      value instanceof Date ? value.toISOString() : String(value);
+    // Spreadsheets run a cell starting with = + - @ (or a tab or
+    // carriage return before one) as a formula — a room or staff
+    // name like "=HYPERLINK(…)" must stay text
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = entries.map((entry) =>
+    EXPORT_FIELDS.map((field) => escape(entry[field])).join(",")
+  );
+  return [EXPORT_FIELDS.join(","), ...lines].join("\r\n");
+}
+
+export function toJson(entries) {
+  return JSON.stringify(
+    entries.map((entry) =>
+      Object.fromEntries(EXPORT_FIELDS.map((field) => [field, entry[field] ?? null]))
+    ),
+    null,
+    2
+  );
+}
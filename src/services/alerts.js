@@ -0,0 +1,208 @@
+// ============================================================
+// ALERTS — sounds and desktop notifications for new signals
+// ============================================================
+//
+// App calls signalsArrived() whenever signals land in rooms —
+// sent here, on another synced device, by a rule or by the
+// schedule. That plays a sound (config/sounds.js) and, for
+// signals with `notify: true`, raises a browser notification.
+//
+// Signals with `alertUntilAck: true` don't stop there: while their
+// call is unacknowledged, App calls remind() every
+// REPEAT_ALERT_MS and the sound plays again.
+//
+// Each device can mute its alerts, or snooze them for a while
+// (kept in localStorage). Quiet means no sounds and no
+// notifications — the Control Panel still shows everything.
+//
+// Browsers only play sound once the page has been clicked or
+// typed in (App calls unlock() then), and only show notifications
+// the user has allowed (the bell in the header — AlertControl).
+// ============================================================
+
+import SOUNDS from "../config/sounds";
+
+const STORAGE_KEY = "clinic-signal-alerts";
+export const REPEAT_ALERT_MS = 10000;
+
+const MAX_GAIN = 0.5;
+// Square and sawtooth waves sound much louder at the same gain
+const WAVE_GAIN = { sine: 1, triangle: 1, square: 0.4, sawtooth: 0.4 };
+const FADE_S = 0.01;
+
+const QUIET_DEFAULTS = { muted: false, snoozedUntil: 0 };
+
+function loadSaved() {
+  try {
+    return { ...QUIET_DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return QUIET_DEFAULTS;
+  }
+}
+
+const Alerts = {
+  _settings: loadSaved(),
+  _listeners: new Set(),
+  _context: null,
+  _snoozeTimer: null,
+  _notifications: new Map(), // "roomId/signalId" → Notification
+
+  /** { muted, snoozedUntil (ms) } */
+  get settings() {
+    return this._settings;
+  },
+
+  /** True while muted or snoozed. */
+  get isQuiet() {
+    return this._settings.muted || this._settings.snoozedUntil > Date.now();
+  },
+
+  /** "granted" | "denied" | "default" | "unsupported" */
+  get notificationPermission() {
+    return typeof Notification === "undefined" ? "unsupported" : Notification.permission;
+  },
+
+  mute() {
+    this._save({ muted: true, snoozedUntil: 0 });
+  },
+
+  unmute() {
+    this._save({ muted: false, snoozedUntil: 0 });
+  },
+
+  snooze(minutes) {
+    this._save({ muted: false, snoozedUntil: Date.now() + minutes * 60000 });
+  },
+
+  async requestNotifications() {
+    if (this.notificationPermission === "unsupported") return "unsupported";
+    const result = await Notification.requestPermission();
+    this._emit();
+    return result;
+  },
+
+  /**
+   * Let the page make sound. Call from a click or key press.
+   */
+  unlock() {
+    const context = this._audio();
+    if (context?.state === "suspended") context.resume().catch(() => {});
+  },
+
+  /**
+   * Signals have just arrived: [{ room, signal, local }], `local`
+   * when sent from this device (no notification needed). Plays
+   * the most urgent one's sound — once, not once per room.
+   */
+  signalsArrived(arrivals) {
+    if (this.isQuiet || arrivals.length === 0) return;
+    const loudest = arrivals.reduce((a, b) => (b.signal.priority > a.signal.priority ? b : a));
+    this.play(loudest.signal);
+    for (const { room, signal, local } of arrivals) {
+      if (!local) this._notify(room, signal);
+    }
+  },
+
+  /**
+   * Sound an unacknowledged alertUntilAck signal again.
+   */
+  remind(signal) {
+    if (!this.isQuiet) this.play(signal);
+  },
+
+  /**
+   * Play a signal's sound, louder and longer the higher its
+   * priority. Ignores mute — for previews.
+   */
+  play(signal) {
+    const sound = SOUNDS[signal?.sound];
+    const context = sound?.notes && this._audio();
+    if (!context) return;
+
+    const level = Math.min(Math.max(signal.priority || 1, 1), 4);
+    const gain = MAX_GAIN * (0.4 + 0.15 * level) * (WAVE_GAIN[sound.wave] ?? 1);
+    const rounds = level >= 4 ? 3 : level >= 2 ? 2 : 1;
+
+    let at = context.currentTime + 0.02;
+    for (let round = 0; round < rounds; round++) {
+      for (const note of sound.notes) {
+        const end = at + note.ms / 1000;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        oscillator.type = sound.wave;
+        oscillator.frequency.value = note.hz;
+        envelope.gain.setValueAtTime(0, at);
+        envelope.gain.linearRampToValueAtTime(gain, at + FADE_S);
+        envelope.gain.setValueAtTime(gain, end - FADE_S);
+        envelope.gain.linearRampToValueAtTime(0, end);
+        oscillator.connect(envelope).connect(context.destination);
+        oscillator.start(at);
+        oscillator.stop(end);
+        at = end + (note.gapMs || 0) / 1000;
+      }
+    }
+  },
+
+  /**
+   * Close the notifications `keep(roomId, signalId)` rejects —
+   * answered calls, cleared signals.
+   */
+  closeNotifications(keep) {
+    for (const [tag, notification] of this._notifications) {
+      const [roomId, signalId] = tag.split("/");
+      if (!keep(roomId, signalId)) notification.close();
+    }
+  },
+
+  /**
+   * Listen for changes. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+
+  _notify(room, signal) {
+    if (!signal.notify || this.notificationPermission !== "granted") return;
+    const tag = `${room.id}/${signal.id}`;
+    this._notifications.get(tag)?.close();
+    const notification = new Notification(`${signal.label} — ${room.name}`, {
+      body: signal.description,
+      tag,
+      requireInteraction: Boolean(signal.alertUntilAck),
+    });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+    notification.onclose = () => {
+      if (this._notifications.get(tag) === notification) this._notifications.delete(tag);
+    };
+    this._notifications.set(tag, notification);
+  },
+
+  _audio() {
+    if (!this._context) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return null;
+      this._context = new AudioContext();
+    }
+    return this._context;
+  },
+
+  _save(settings) {
+    this._settings = settings;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    // Tell listeners when a snooze runs out, too
+    clearTimeout(this._snoozeTimer);
+    const left = settings.snoozedUntil - Date.now();
+    if (left > 0) this._snoozeTimer = setTimeout(() => this._emit(), left + 100);
+    this._emit();
+  },
+
+  _emit() {
+    this._listeners.forEach((fn) => fn(this._settings));
+  },
+};
+
+export default Alerts;
@@ -0,0 +1,152 @@
+// ============================================================
+// BRIDGE REGISTRY — every Hue bridge the clinic uses
+// ============================================================
+//
+// A clinic with a bridge per floor connects to all of them at
+// once. Each bridge has a saved entry
+//
+//   { id, name, bridgeIp, apiKey, clientKey?, commandsPerSecond? }
+//
+// and its own service instance (hueBridge.js) with its own
+// heartbeat, event stream and command queue, created on first
+// use. commandsPerSecond, if set, replaces the queue's default
+// rate limit.
+//
+// The first bridge is "main". Rooms on it keep the ids the
+// bridge gives them, so layouts, logs and shared state from
+// before there were several bridges still match. Rooms on any
+// other bridge are "<bridgeId>/<roomId>" (see roomKey()) — two
+// bridges can hand out the same ids (v1 numbers groups from 1).
+// ============================================================
+
+import { createHueBridge } from "./hueBridge";
+
+const STORAGE_KEY = "clinic-signal-bridges";
+
+export const MAIN_BRIDGE_ID = "main";
+
+/**
+ * App-wide room id for a room on a given bridge.
+ */
+export function roomKey(bridgeId, roomId) {
+  return bridgeId === MAIN_BRIDGE_ID ? roomId : `${bridgeId}/${roomId}`;
+}
+
+function loadSaved() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved) && saved.length > 0) return saved;
+  } catch {
+    // Fall through to the single-bridge settings
+  }
+  // First run, or saved before there could be several bridges
+  return [
+    {
+      id: MAIN_BRIDGE_ID,
+      name: "Main Bridge",
+      bridgeIp: localStorage.getItem("clinic-signal-ip") || "",
+      apiKey: localStorage.getItem("clinic-signal-key") || "",
+      clientKey: localStorage.getItem("clinic-signal-clientkey") || undefined,
+    },
+  ];
+}
+
+const BridgeRegistry = {
+  _bridges: loadSaved(),
+  _services: new Map(),
+  _listeners: new Set(),
+  _healthListeners: new Set(),
+
+  get all() {
+    return this._bridges;
+  },
+
+  find(id) {
+    return this._bridges.find((b) => b.id === id);
+  },
+
+  /**
+   * "Bridge" while there's only one, otherwise the bridge's name —
+   * for messages like "Bridge connection lost".
+   */
+  label(id) {
+    return this._bridges.length > 1 ? this.find(id)?.name || id : "Bridge";
+  },
+
+  /**
+   * The service instance for a bridge.
+   */
+  service(id) {
+    let service = this._services.get(id);
+    if (!service) {
+      service = createHueBridge(id);
+      service.setRateLimit(this.find(id)?.commandsPerSecond);
+      service.onHealthChange((health) => {
+        for (const listener of this._healthListeners) listener(id, health);
+      });
+      this._services.set(id, service);
+    }
+    return service;
+  },
+
+  /**
+   * Add a bridge with blank credentials. Returns its entry.
+   */
+  add() {
+    const taken = new Set(this._bridges.map((b) => b.id));
+    let n = 2;
+    let id = MAIN_BRIDGE_ID;
+    while (taken.has(id)) id = `bridge-${n++}`;
+    const entry = {
+      id,
+      name: id === MAIN_BRIDGE_ID ? "Main Bridge" : `Bridge ${n - 1}`,
+      bridgeIp: "",
+      apiKey: "",
+    };
+    this._save([...this._bridges, entry]);
+    return entry;
+  },
+
+  update(id, changes) {
+    this._save(this._bridges.map((b) => (b.id === id ? { ...b, ...changes } : b)));
+    if ("commandsPerSecond" in changes) {
+      this._services.get(id)?.setRateLimit(changes.commandsPerSecond);
+    }
+  },
+
+  /**
+   * Forget a bridge. The last one can't be removed.
+   */
+  remove(id) {
+    if (this._bridges.length <= 1) throw new Error("At least one bridge is needed");
+    this._services.get(id)?.stopHeartbeat();
+    this._services.delete(id);
+    this._save(this._bridges.filter((b) => b.id !== id));
+  },
+
+  /**
+   * Listen for bridges added, edited or removed. Returns an
+   * unsubscribe function.
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+
+  /**
+   * Heartbeat changes of every bridge: listener(bridgeId, health)
+   * — see hueBridge.js. Returns an unsubscribe function.
+   */
+  onHealthChange(listener) {
+    this._healthListeners.add(listener);
+    return () => this._healthListeners.delete(listener);
+  },
+
+  _save(bridges) {
+    this._bridges = bridges;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bridges));
+    this._listeners.forEach((fn) => fn(bridges));
+  },
+};
+
+export default BridgeRegistry;
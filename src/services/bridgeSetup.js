@@ -0,0 +1,166 @@
+// ============================================================
+// BRIDGE SETUP — discovery + link-button pairing
+// ============================================================
+//
+// Replaces the manual setup (find the IP in the phone app, curl
+// the bridge for a key):
+//
+//   1. discoverBridges() asks the local server, which searches
+//      the network (server/bridgeDiscovery.js). Browsers can't
+//      send mDNS queries themselves.
+//   2. pairBridge() runs the Hue pairing flow: POST
+//      { devicetype } to /api until someone presses the round
+//      link button on the bridge, which answers with a username
+//      (the API key) and a clientkey.
+//
+// With transport "proxy" the pairing request goes through the
+// local server, which keeps the new key itself — it never reaches
+// the browser. "direct" pairs from the browser and returns it.
+//
+// No imports: the local server reuses pairingResult() and cleanIp().
+// ============================================================
+
+// Hue error type for "link button not pressed"
+export const LINK_BUTTON_NOT_PRESSED = 101;
+
+const PAIR_POLL_MS = 2000;
+// Long enough to walk to the bridge — a press opens pairing for 30 s
+const PAIR_WINDOW_MS = 60000;
+
+// "<app>#<instance>" — the Hue app lists paired apps by this name
+const BROWSER_DEVICE_TYPE = "clinic-signal#browser";
+
+function apiBase(serverUrl) {
+  return `${(serverUrl || "").trim().replace(/\/+$/, "")}/api`;
+}
+
+function bridgeOrigin(bridgeIp) {
+  // Use HTTP for localhost (fake bridge), HTTPS for real bridges
+  return `${bridgeIp.startsWith("localhost") ? "http" : "https"}://${bridgeIp}`;
+}
+
+export function cleanIp(ip) {
+  return (ip || "")
+    .trim()
+    .replace(/^https?:\/\//, "")
+    .replace(/\/+$/, "");
+}
+
+/**
+ * Read the bridge's answer to POST /api:
+ *   { paired: true, username, clientkey }  — done
+ *   { paired: false }                      — button not pressed yet
+ * Throws on any other error.
+ */
+export function pairingResult(data) {
+  const reply = Array.isArray(data) ? data[0] : null;
+  if (reply?.success?.username) {
+    return {
+      paired: true,
+      username: reply.success.username,
+      clientkey: reply.success.clientkey,
+    };
+  }
+  if (reply?.error?.type === LINK_BUTTON_NOT_PRESSED) return { paired: false };
+  throw new Error(
+    reply?.error?.description
+      ? `Bridge refused pairing: ${reply.error.description}`
+      : "Unexpected answer from the bridge."
+  );
+}
+
+/**
+ * Bridges the local server found:
+ *   { bridges: [{ id, ip, name, modelId, via, reachable }], failed }
+ * `failed` lists the methods that didn't work ("cloud", "mdns").
+ */
+export async function discoverBridges(serverUrl) {
+  let res;
+  try {
+    res = await fetch(`${apiBase(serverUrl)}/bridge/discover`);
+  } catch {
+    throw new Error(
+      "Bridge discovery runs on the local server — start it with npm run server and check its URL below."
+    );
+  }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Server error ${res.status}`);
+  return data;
+}
+
+/**
+ * One pairing attempt. Same answer shape as pairingResult(); in
+ * proxy mode `username` and `clientkey` stay on the server.
+ */
+async function pairOnce({ bridgeId, bridgeIp, transport, serverUrl, signal }) {
+  if (transport === "proxy") {
+    let res;
+    try {
+      res = await fetch(`${apiBase(serverUrl)}/bridges/${encodeURIComponent(bridgeId)}/bridge/pair`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ bridgeIp }),
+        signal,
+      });
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      throw new Error("Cannot reach the local server. Is it running (npm run server)?");
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Server error ${res.status}`);
+    return { paired: data.paired };
+  }
+
+  let res;
+  try {
+    res = await fetch(`${bridgeOrigin(bridgeIp)}/api`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ devicetype: BROWSER_DEVICE_TYPE, generateclientkey: true }),
+      signal,
+    });
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    if (bridgeIp.startsWith("localhost")) throw new Error(`Cannot reach the bridge at ${bridgeIp}.`);
+    const error = new Error(
+      "Cannot reach the bridge — if this is the first time, accept its certificate first."
+    );
+    error.certUrl = `https://${bridgeIp}/api`;
+    throw error;
+  }
+  return pairingResult(await res.json().catch(() => null));
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("Pairing cancelled", "AbortError"));
+    });
+  });
+}
+
+/**
+ * Ask the bridge for a key every 2 s until its link button is
+ * pressed (or a minute passes). `onWaiting(secondsLeft)` is called
+ * after each "not pressed yet". Abort with `signal` to cancel.
+ * `bridgeId` (bridgeRegistry.js) is where the local server keeps
+ * the key. Resolves with { paired: true, username?, clientkey? }.
+ */
+export async function pairBridge({ bridgeId, bridgeIp, transport, serverUrl, signal, onWaiting }) {
+  const ip = cleanIp(bridgeIp);
+  if (!ip) throw new Error("Enter or find the bridge's IP address first.");
+
+  const deadline = Date.now() + PAIR_WINDOW_MS;
+  for (;;) {
+    const result = await pairOnce({ bridgeId, bridgeIp: ip, transport, serverUrl, signal });
+    if (result.paired) return result;
+    const left = deadline - Date.now();
+    if (left <= 0) {
+      throw new Error("The link button wasn't pressed in time — press Pair to try again.");
+    }
+    onWaiting?.(Math.ceil(left / 1000));
+    await wait(PAIR_POLL_MS, signal);
+  }
+}
@@ -0,0 +1,57 @@
+// ============================================================
+// CALL WORKFLOW — sent → acknowledged → resolved
+// ============================================================
+//
+// Signals marked `requiresAck` in signals.js (Need Assistance,
+// Doctor Needed, Emergency) are calls for help. Each room keeps
+// a record per active call:
+//
+//   { [signalId]: { sentAt, ackBy?, ackAt? } }   (ISO timestamps)
+//
+// A call is "sent" when its signal enters the room's stack,
+// "acknowledged" once someone answers it, and "resolved" when it
+// leaves the stack (cleared, by hand or otherwise).
+//
+// Like signalStack.js, everything here is pure. Shared with the
+// server, which keeps the calls along with the stacks, so this
+// file must not import anything.
+// ============================================================
+
+/**
+ * Bring a room's calls in line with its signal stack.
+ * New ack-requiring signals (looked up in `signals`) get a fresh
+ * call; calls whose signal left the stack come back in `resolved`.
+ *
+ * @returns {{ calls, resolved: [{ signalId, sentAt, ackBy?, ackAt? }] }}
+ */
+export function reconcileCalls(calls = {}, stack = [], signals = [], now = new Date()) {
+  const next = {};
+  for (const signalId of stack) {
+    if (!signals.find((s) => s.id === signalId)?.requiresAck) continue;
+    next[signalId] = calls[signalId] || { sentAt: now.toISOString() };
+  }
+
+  const resolved = Object.entries(calls)
+    .filter(([signalId]) => !next[signalId])
+    .map(([signalId, call]) => ({ signalId, ...call }));
+
+  return { calls: next, resolved };
+}
+
+/**
+ * Mark a call as answered. No-op if there's no such call or it's
+ * already been acknowledged.
+ */
+export function acknowledgeCall(calls = {}, signalId, by, now = new Date()) {
+  const call = calls[signalId];
+  if (!call || call.ackBy) return calls;
+  return { ...calls, [signalId]: { ...call, ackBy: by, ackAt: now.toISOString() } };
+}
+
+/**
+ * "sent" | "acknowledged" | null (no open call)
+ */
+export function callStatus(call) {
+  if (!call) return null;
+  return call.ackBy ? "acknowledged" : "sent";
+}
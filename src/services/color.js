@@ -0,0 +1,198 @@
+// ============================================================
+// COLOR — hex / RGB ↔ CIE xy for Hue lights, gamut-aware
+// ============================================================
+//
+// Hue lights take colour as CIE 1931 xy coordinates. This follows
+// Philips' published conversion (sRGB gamma ↔ wide-gamut D65
+// XYZ ↔ xy):
+// https://developers.meethue.com/develop/application-design-guidance/color-conversion-formulas-rgb-to-xy-and-back/
+//
+// Each bulb can only show colours inside its gamut — a triangle
+// in xy space (Hue gamut A, B or C, reported per light by the
+// bridge). Ask for a colour outside it and the bulb shows the
+// nearest colour on the triangle's edge instead. clampToGamut()
+// does the same, so the UI can show what the bulb really shows.
+// No imports — safe to use from the local server too.
+// ============================================================
+
+export const HEX_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * "#22c55e" → { r: 34, g: 197, b: 94 }, or null if not a hex colour.
+ */
+export function hexToRgb(hex) {
+  if (!HEX_PATTERN.test(hex || "")) return null;
+  const n = parseInt(hex.slice(1), 16);
+  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+}
+
+const gammaExpand = (c) =>
+  c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+
+/**
+ * { r, g, b } (0–255) → { x, y }, rounded to 4 places.
+ * Black has no chromaticity, so it maps to the D65 white point.
+ */
+export function rgbToXy({ r, g, b }) {
+  const red = gammaExpand(r / 255);
+  const green = gammaExpand(g / 255);
+  const blue = gammaExpand(b / 255);
+
+  const X = red * 0.664511 + green * 0.154324 + blue * 0.162028;
+  const Y = red * 0.283881 + green * 0.668433 + blue * 0.047685;
+  const Z = red * 0.000088 + green * 0.07231 + blue * 0.986039;
+  const sum = X + Y + Z;
+  if (sum === 0) return { x: 0.3127, y: 0.329 };
+
+  const round = (v) => Math.round(v * 10000) / 10000;
+  return { x: round(X / sum), y: round(Y / sum) };
+}
+
+export function hexToXy(hex) {
+  const rgb = hexToRgb(hex);
+  return rgb ? rgbToXy(rgb) : null;
+}
+
+// ── Gamuts ──
+
+export const GAMUTS = {
+  // Early LivingColors, Bloom, Iris, LightStrips
+  A: {
+    red: { x: 0.704, y: 0.296 },
+    green: { x: 0.2151, y: 0.7106 },
+    blue: { x: 0.138, y: 0.08 },
+  },
+  // First-generation Hue bulbs
+  B: {
+    red: { x: 0.675, y: 0.322 },
+    green: { x: 0.409, y: 0.518 },
+    blue: { x: 0.167, y: 0.04 },
+  },
+  // Current Hue colour bulbs and fixtures
+  C: {
+    red: { x: 0.6915, y: 0.3083 },
+    green: { x: 0.17, y: 0.7 },
+    blue: { x: 0.1532, y: 0.0475 },
+  },
+};
+
+// For lights that don't report one (demo rooms, v1 bridges)
+export const DEFAULT_GAMUT = GAMUTS.C;
+
+/**
+ * A light's gamut from its CLIP v2 resource: the exact triangle
+ * (color.gamut) if reported, else the named type (color.gamut_type),
+ * else null. v1 lights are mapped to the same shape by v1Color().
+ */
+export function lightGamut(light) {
+  const color = light?.color;
+  if (!color) return null;
+  if (color.gamut?.red && color.gamut?.green && color.gamut?.blue) return color.gamut;
+  return GAMUTS[color.gamut_type] || null;
+}
+
+/**
+ * v1 light → CLIP v2-shaped color, including its gamut. Used by
+ * hueBridge.js and server/hueClient.js for v1 bridges.
+ */
+export function v1Color(light) {
+  const control = light.capabilities?.control || {};
+  const [red, green, blue] = (control.colorgamut || []).map(([x, y]) => ({ x, y }));
+  return {
+    xy: { x: light.state.xy[0], y: light.state.xy[1] },
+    gamut_type: control.colorgamuttype,
+    gamut: blue ? { red, green, blue } : undefined,
+  };
+}
+
+/**
+ * v1 light → CLIP v2-shaped color_temperature; mirek_valid when
+ * the light is in colour-temperature mode.
+ */
+export function v1ColorTemperature(light) {
+  if (light.state?.ct === undefined) return undefined;
+  return { mirek: light.state.ct, mirek_valid: light.state.colormode === "ct" };
+}
+
+const cross = (a, b) => a.x * b.y - a.y * b.x;
+
+export function isInGamut(xy, gamut) {
+  const { red, green, blue } = gamut;
+  const v1 = { x: green.x - red.x, y: green.y - red.y };
+  const v2 = { x: blue.x - red.x, y: blue.y - red.y };
+  const q = { x: xy.x - red.x, y: xy.y - red.y };
+  const s = cross(q, v2) / cross(v1, v2);
+  const t = cross(v1, q) / cross(v1, v2);
+  return s >= 0 && t >= 0 && s + t <= 1;
+}
+
+function closestOnLine(a, b, p) {
+  const ab = { x: b.x - a.x, y: b.y - a.y };
+  const t = Math.min(
+    1,
+    Math.max(0, ((p.x - a.x) * ab.x + (p.y - a.y) * ab.y) / (ab.x * ab.x + ab.y * ab.y))
+  );
+  return { x: a.x + ab.x * t, y: a.y + ab.y * t };
+}
+
+/**
+ * The colour a bulb with this gamut actually shows for `xy`:
+ * xy itself if reachable, otherwise the nearest point on the
+ * gamut's edge. A null gamut means "unknown" — xy is returned as is.
+ */
+export function clampToGamut(xy, gamut) {
+  if (!gamut || isInGamut(xy, gamut)) return xy;
+  const { red, green, blue } = gamut;
+  const candidates = [
+    closestOnLine(red, green, xy),
+    closestOnLine(green, blue, xy),
+    closestOnLine(blue, red, xy),
+  ];
+  const dist = (p) => Math.hypot(p.x - xy.x, p.y - xy.y);
+  return candidates.reduce((best, p) => (dist(p) < dist(best) ? p : best));
+}
+
+// ── xy → RGB ──
+
+const gammaCompress = (c) =>
+  c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+
+/**
+ * { x, y } → { r, g, b } (0–255) at full brightness. Colours
+ * outside sRGB come out as the nearest displayable one.
+ */
+export function xyToRgb({ x, y }) {
+  const Y = 1;
+  const X = (Y / y) * x;
+  const Z = (Y / y) * (1 - x - y);
+
+  // Negative = outside sRGB; the screen can't go further
+  let r = Math.max(0, X * 1.656492 - Y * 0.354851 - Z * 0.255038);
+  let g = Math.max(0, -X * 0.707196 + Y * 1.655397 + Z * 0.036152);
+  let b = Math.max(0, X * 0.051713 - Y * 0.121364 + Z * 1.01153);
+
+  const max = Math.max(r, g, b);
+  if (max > 0) {
+    r /= max;
+    g /= max;
+    b /= max;
+  }
+
+  const to255 = (c) => Math.round(Math.min(1, Math.max(0, gammaCompress(c))) * 255);
+  return { r: to255(r), g: to255(g), b: to255(b) };
+}
+
+export function rgbToHex({ r, g, b }) {
+  return `#${[r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+}
+
+export function xyToHex(xy) {
+  return rgbToHex(xyToRgb(xy));
+}
+
+/**
+ * Hex for what a bulb with `gamut` shows when sent `xy`.
+ */
+export function bulbHex(xy, gamut = DEFAULT_GAMUT) {
+  return xyToHex(clampToGamut(xy, gamut));
+}
@@ -0,0 +1,193 @@
+// ============================================================
+// CONFIG VALIDATION — the rules for the shared settings
+// ============================================================
+//
+// The signal list (Settings → Signals) and the room layout
+// (Settings → Rooms) are checked here: by the editors before
+// saving, by each device before using what it loaded or was
+// sent, and by the local server before it stores and shares an
+// edit (server/signalHub.js). The schedule's rules are in
+// schedule.js.
+//
+// Shared with the server. It only imports files that import
+// nothing themselves, by their full name, so Node can load it.
+// ============================================================
+
+import PATTERNS from "../config/patterns.js";
+import SOUNDS from "../config/sounds.js";
+import { HEX_PATTERN } from "./color.js";
+
+// ── Signals — see signalRegistry.js for what each rule is for ──
+
+const ID_PATTERN = /^[a-z0-9_]+$/;
+// Optional automatic rules — see signalRules.js
+const RULE_FIELDS = ["escalateTo", "escalateAfterMin", "expireAfterMin", "repeatEveryMin"];
+// Optional alerts — see alerts.js
+const ALERT_FIELDS = ["sound", "notify", "alertUntilAck"];
+
+/**
+ * @returns a list of problems — empty when the list is valid
+ */
+export function validateSignals(signals) {
+  const errors = [];
+  if (!Array.isArray(signals)) return ["Signals must be a list"];
+
+  const clears = signals.filter((s) => s.id === "clear");
+  if (clears.length !== 1) {
+    errors.push('There must be exactly one "clear" signal');
+  }
+  if (signals.length - clears.length === 0) {
+    errors.push("Add at least one signal besides Clear");
+  }
+
+  const seen = new Set();
+  signals.forEach((signal, i) => {
+    const name = signal.label?.trim() || `Signal ${i + 1}`;
+    if (!ID_PATTERN.test(signal.id || "")) {
+      errors.push(`${name}: id may only use lowercase letters, digits and _`);
+    } else if (seen.has(signal.id)) {
+      errors.push(`${name}: id "${signal.id}" is used more than once`);
+    }
+    seen.add(signal.id);
+
+    if (!signal.label?.trim()) errors.push(`${name}: label is required`);
+    if (!signal.icon?.trim()) errors.push(`${name}: icon is required`);
+    if (!HEX_PATTERN.test(signal.hex || "")) {
+      errors.push(`${name}: display colour must be a hex colour like #22c55e`);
+    }
+
+    if (signal.id === "clear") {
+      if (signal.color !== null) errors.push(`${name}: Clear can't have a light colour`);
+      if (signal.priority !== 0) errors.push(`${name}: Clear must have priority 0`);
+      if (RULE_FIELDS.some((field) => signal[field] !== undefined)) {
+        errors.push(`${name}: Clear can't have automatic rules`);
+      }
+      if (ALERT_FIELDS.some((field) => signal[field] !== undefined)) {
+        errors.push(`${name}: Clear can't have alerts`);
+      }
+      return;
+    }
+
+    const { color } = signal;
+    const validXy = (v) => typeof v === "number" && v >= 0 && v <= 1;
+    if (!color || !validXy(color.x) || !validXy(color.y)) {
+      errors.push(`${name}: light colour must be CIE xy values between 0 and 1`);
+    }
+    if (!Number.isInteger(signal.brightness) || signal.brightness < 1 || signal.brightness > 100) {
+      errors.push(`${name}: brightness must be a whole number from 1 to 100`);
+    }
+    if (!Number.isInteger(signal.priority) || signal.priority < 1) {
+      errors.push(`${name}: priority must be a whole number of 1 or more`);
+    }
+    if (signal.pattern !== undefined && !Object.hasOwn(PATTERNS, signal.pattern)) {
+      errors.push(`${name}: unknown light pattern "${signal.pattern}"`);
+    }
+    if (signal.sound !== undefined && !Object.hasOwn(SOUNDS, signal.sound)) {
+      errors.push(`${name}: unknown sound "${signal.sound}"`);
+    }
+    for (const field of ["notify", "alertUntilAck"]) {
+      if (signal[field] !== undefined && typeof signal[field] !== "boolean") {
+        errors.push(`${name}: ${field} must be true or false`);
+      }
+    }
+    if (signal.alertUntilAck && !signal.requiresAck) {
+      errors.push(`${name}: only signals that need acknowledging can alert until acknowledged`);
+    }
+
+    for (const [field, label] of [
+      ["escalateAfterMin", "escalate after"],
+      ["expireAfterMin", "auto-clear after"],
+      ["repeatEveryMin", "repeat every"],
+    ]) {
+      const minutes = signal[field];
+      if (minutes !== undefined && (!Number.isInteger(minutes) || minutes < 1)) {
+        errors.push(`${name}: ${label} must be a whole number of minutes, 1 or more`);
+      }
+    }
+    if ((signal.escalateTo === undefined) !== (signal.escalateAfterMin === undefined)) {
+      errors.push(`${name}: escalation needs both a signal and a number of minutes`);
+    } else if (signal.escalateTo !== undefined) {
+      const target = signals.find((s) => s.id === signal.escalateTo);
+      if (!target || target.id === "clear") {
+        errors.push(`${name}: escalates to unknown signal "${signal.escalateTo}"`);
+      } else if (!(target.priority > signal.priority)) {
+        errors.push(`${name}: can only escalate to a signal with a higher priority`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+// ── Room layout — see roomLayout.js ──
+
+export const CLEAR_MODES = ["restore", "off"];
+
+/**
+ * @returns a list of problems — empty when the layout is valid
+ */
+export function validateLayout(layout) {
+  const errors = [];
+  if (!layout || !Array.isArray(layout.wings) || !Array.isArray(layout.rooms)) {
+    return ["Room layout must have wings and rooms lists"];
+  }
+  // Ids are non-empty strings; mergeRooms() relies on the lists
+  // being lists
+  const isId = (id) => typeof id === "string" && id !== "";
+  const isIdList = (ids) => Array.isArray(ids) && ids.every(isId);
+  const isObject = (value) => value !== null && typeof value === "object";
+
+  const wingIds = new Set();
+  for (const wing of layout.wings) {
+    if (!isObject(wing) || !isId(wing.id)) {
+      errors.push("Every wing needs an id");
+      continue;
+    }
+    if (typeof wing.name !== "string" || !wing.name.trim()) errors.push("Every wing needs a name");
+    if (wingIds.has(wing.id)) errors.push(`Wing id "${wing.id}" is used more than once`);
+    wingIds.add(wing.id);
+  }
+
+  const roomIds = new Set();
+  for (const room of layout.rooms) {
+    if (!isObject(room) || !isId(room.id)) {
+      errors.push("Every room needs an id");
+      continue;
+    }
+    if (room.name !== undefined && typeof room.name !== "string") {
+      errors.push(`${room.id}: name must be text`);
+      continue;
+    }
+    const name = room.name?.trim() || room.id;
+    if (roomIds.has(room.id)) errors.push(`${name}: listed more than once`);
+    roomIds.add(room.id);
+    for (const field of ["wingId", "bridgeId"]) {
+      if (room[field] != null && typeof room[field] !== "string") {
+        errors.push(`${name}: ${field} must be an id`);
+      }
+    }
+    if (typeof room.wingId === "string" && room.wingId && !wingIds.has(room.wingId)) {
+      errors.push(`${name}: wing no longer exists`);
+    }
+    if (room.onClear !== undefined && !CLEAR_MODES.includes(room.onClear)) {
+      errors.push(`${name}: unknown clear setting "${room.onClear}"`);
+    }
+    const badList = ["lights", "groupedLightIds"].find(
+      (field) => room[field] !== undefined && !isIdList(room[field])
+    );
+    if (badList) {
+      errors.push(`${name}: ${badList} must be a list of ids`);
+      continue;
+    }
+    if (room.custom) {
+      if (!room.name?.trim()) errors.push("Every custom room needs a name");
+      if (!room.lights?.length && !room.groupedLightIds?.length) {
+        errors.push(`${name}: pick at least one light or grouped light`);
+      }
+    } else if (room.lights && !room.lights.length && !room.groupedLightIds?.length) {
+      errors.push(`${name}: pick at least one light or grouped light`);
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,52 @@
+// ============================================================
+// HUE AREAS — rooms and zones, shaped like CLIP v2
+// ============================================================
+//
+// Both APIs describe rooms and zones differently: a v2 room lists
+// devices (a zone lists lights), a v1 group lists light ids. These
+// turn either into the same shape — { id, type, metadata,
+// children: [{ rtype: "light", rid }], services } — so the rest of
+// the app never needs to know which API the bridge speaks.
+//
+// Shared by the browser service (hueBridge.js) and the local
+// server's client (server/hueClient.js), so this file must not
+// import anything.
+// ============================================================
+
+/**
+ * A v2 room's children are devices, a zone's are lights. Turn
+ * both into the lights they stand for — a device's light
+ * services, found in `devices` (GET /resource/device).
+ */
+export function resolveAreaLights(areas, devices) {
+  const lightsOf = new Map(
+    devices.map((d) => [d.id, (d.services || []).filter((s) => s.rtype === "light")])
+  );
+  return areas.map((area) => ({
+    ...area,
+    children: (area.children || []).flatMap((child) => {
+      if (child.rtype === "light") return [{ rtype: "light", rid: child.rid }];
+      if (child.rtype === "device") {
+        return (lightsOf.get(child.rid) || []).map((s) => ({ rtype: "light", rid: s.rid }));
+      }
+      return [];
+    }),
+  }));
+}
+
+/**
+ * v1 groups (GET /api/<key>/groups) of `type` — "Room" or "Zone" —
+ * as v2-shaped areas. The group's own id stands in for its
+ * grouped_light service.
+ */
+export function v1Areas(groups, type) {
+  return Object.entries(groups)
+    .filter(([, group]) => group.type === type)
+    .map(([id, group]) => ({
+      id,
+      type: type.toLowerCase(),
+      metadata: { name: group.name },
+      children: (group.lights || []).map((lid) => ({ rtype: "light", rid: lid })),
+      services: [{ rtype: "grouped_light", rid: id }],
+    }));
+}
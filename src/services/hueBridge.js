@@ -30,269 +30,832 @@
 //
 // Our improved Settings page detects this exact problem and
 // guides the user through accepting the certificate.
+//
+// ONE INSTANCE PER BRIDGE:
+// ────────────────────────
+// createHueBridge() makes the service for one bridge. A clinic
+// with a bridge per floor has one instance for each, kept by
+// bridgeRegistry.js.
+//
+// PROXY TRANSPORT:
+// ────────────────
+// The better fix is to not call the bridge from the browser at
+// all. With transport "proxy", every call goes to the local
+// server (server/index.js), which holds the credentials and
+// trusts the bridge certificate itself. No cert step needed.
+//
+// COMMAND QUEUE:
+// ──────────────
+// A bridge handles about 10 commands a second and drops the rest.
+// Every light command (set colour, turn off, alert) goes through
+// a queue that sends at most commandsPerSecond of them, merges a
+// waiting command with a newer one for the same light, gives up
+// on a try after COMMAND_LIMITS.timeoutMs and retries 5xx, network
+// errors and timeouts with exponential backoff. The caller's
+// promise settles once, with the final outcome.
+//
+// LIGHT SNAPSHOTS:
+// ────────────────
+// Before the first signal in a room, saveSnapshot() records how
+// its lights were (on, brightness, colour or colour temperature);
+// restoreSnapshot() puts them back when the room is cleared.
+// Snapshots live in memory, on the device that sent the signal.
 // ============================================================
 
-const HueBridgeService = {
-  _bridgeIp: null,
-  _apiKey: null,
-  _connected: false,
-  _apiVersion: null, // "v2" or "v1"
-
-  get isConnected() {
-    return this._connected;
-  },
-
-  get apiVersion() {
-    return this._apiVersion;
-  },
-
-  /**
-   * Configure bridge credentials.
-   */
-  configure(ip, apiKey) {
-    let cleanIp = ip.trim();
-    cleanIp = cleanIp.replace(/^https?:\/\//, "");
-    cleanIp = cleanIp.replace(/\/+$/, "");
-    this._bridgeIp = cleanIp;
-    this._apiKey = apiKey.trim();
-    this._connected = false;
-    this._apiVersion = null;
-  },
-
-  _bridgeOrigin() {
-    // Use HTTP for localhost (fake bridge), HTTPS for real bridges
-    const protocol = this._bridgeIp?.startsWith("localhost") ? "http" : "https";
-    return `${protocol}://${this._bridgeIp}`;
-  },
-
-  _baseUrlV2() {
-    return `${this._bridgeOrigin()}/clip/v2`;
-  },
-
-  _baseUrlV1() {
-    return `${this._bridgeOrigin()}/api/${this._apiKey}`;
-  },
-
-  _headersV2() {
-    return {
-      "hue-application-key": this._apiKey,
-      "Content-Type": "application/json",
-    };
-  },
-
-  _headersV1() {
-    return { "Content-Type": "application/json" };
-  },
-
-  /**
-   * URL the user needs to visit to accept the bridge's self-signed cert.
-   */
-  getCertAcceptUrl() {
-    return `https://${this._bridgeIp}/api`;
-  },
-
-  /**
-   * Check if the browser can reach the bridge at all.
-   * Returns: { reachable: true } or { reachable: false, reason: "cert"|"network" }
-   */
-  async checkReachability() {
-    // Skip check for localhost (fake bridge)
-    if (this._bridgeIp?.startsWith("localhost")) {
+import { cleanIp } from "./bridgeSetup";
+import { v1Color, v1ColorTemperature } from "./color";
+import { resolveAreaLights, v1Areas } from "./hueAreas";
+import { stateBodyV1, stateBodyV2, v1Brightness } from "./lightState";
+
+export const COMMAND_LIMITS = {
+  commandsPerSecond: 10, // default — each bridge can set its own
+  timeoutMs: 5000, // per try
+  retries: 3,
+  backoffMs: 500, // 0.5s, 1s, 2s …
+};
+
+/**
+ * A failed bridge or server response. `status` lets the command
+ * queue tell a bridge hiccup (5xx, 429) from a bad request (4xx).
+ */
+function responseError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Worth another try: server errors, "too many requests" (429),
+// timeouts, no connection (fetch rejects with a TypeError when it
+// can't connect)
+function isRetryable(err, timedOut) {
+  return timedOut || err.status >= 500 || err.status === 429 || err.name === "TypeError";
+}
+
+/**
+ * The part of a getLights() entry worth restoring:
+ * { on, brightness?, xy? | mirek? } — colour temperature when the
+ * light is in that mode, otherwise its xy colour.
+ */
+function restorableState(light) {
+  const state = { on: Boolean(light.on?.on) };
+  if (light.dimming?.brightness !== undefined) state.brightness = light.dimming.brightness;
+  if (light.color_temperature?.mirek_valid) state.mirek = light.color_temperature.mirek;
+  else if (light.color?.xy) state.xy = light.color.xy;
+  return state;
+}
+
+/**
+ * Split a server-sent-events buffer into complete messages.
+ * Returns { messages: [dataString, ...], rest } — `rest` is the
+ * unfinished tail to prepend to the next chunk.
+ */
+function parseSseChunk(buffer) {
+  const parts = buffer.split(/\r?\n\r?\n/);
+  const rest = parts.pop();
+  const messages = parts
+    .map((block) =>
+      block
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n")
+    )
+    .filter(Boolean);
+  return { messages, rest };
+}
+
+/**
+ * Create the service for one bridge. Every bridge the clinic uses
+ * gets its own instance, with its own credentials, heartbeat and
+ * event stream — see bridgeRegistry.js.
+ */
+export function createHueBridge(id) {
+  return {
+    id,
+    _bridgeIp: null,
+    _apiKey: null,
+    _connected: false,
+    _apiVersion: null, // "v2" or "v1"
+    _transport: "direct", // "direct" or "proxy"
+    _serverUrl: "", // local server origin; "" = same origin
+    _heartbeat: null, // { timer, attempt, intervalMs } while running
+    _health: { status: "idle" }, // see startHeartbeat()
+    _healthListeners: new Set(),
+    _commandsPerSecond: COMMAND_LIMITS.commandsPerSecond,
+    _queue: [], // commands waiting to be sent, oldest first
+    _queueTimer: null,
+    _inFlight: new Set(), // targets with a command on its way
+    _lastSentAt: 0,
+    _snapshots: new Map(), // key → { [lightId]: restorableState() }
+
+    get isConnected() {
+      return this._connected;
+    },
+
+    get apiVersion() {
+      return this._apiVersion;
+    },
+
+    get isProxy() {
+      return this._transport === "proxy";
+    },
+
+    get health() {
+      return this._health;
+    },
+
+    /**
+     * Configure bridge credentials.
+     * With { transport: "proxy" }, ip and apiKey may be blank — the
+     * local server then uses the credentials it already has.
+     */
+    configure(ip, apiKey, { transport = "direct", serverUrl = "" } = {}) {
+      this._bridgeIp = cleanIp(ip);
+      this._apiKey = (apiKey || "").trim();
+      this._transport = transport;
+      this._serverUrl = serverUrl.trim().replace(/\/+$/, "");
+      this._connected = false;
+      this._apiVersion = null;
+      this._clearQueue("Bridge settings changed");
+      this._snapshots.clear();
+    },
+
+    /**
+     * How many light commands a second this bridge is sent. Out of
+     * range or missing → the default.
+     */
+    setRateLimit(commandsPerSecond) {
+      const valid = Number.isFinite(commandsPerSecond) && commandsPerSecond >= 1;
+      this._commandsPerSecond = valid
+        ? Math.min(commandsPerSecond, 25)
+        : COMMAND_LIMITS.commandsPerSecond;
+    },
+
+    // This bridge's routes on the local server (server/bridgeProxy.js)
+    _proxyBase() {
+      return `${this._serverUrl}/api/bridges/${encodeURIComponent(this.id)}`;
+    },
+
+    /**
+     * Call the local server. Throws with the server's error message.
+     */
+    async _proxy(method, path, body, { signal } = {}) {
+      const res = await fetch(`${this._proxyBase()}${path}`, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal,
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw responseError(data.error || `Server error ${res.status}`, res.status);
+      return data;
+    },
+
+    _bridgeOrigin() {
+      // Use HTTP for localhost (fake bridge), HTTPS for real bridges
+      const protocol = this._bridgeIp?.startsWith("localhost") ? "http" : "https";
+      return `${protocol}://${this._bridgeIp}`;
+    },
+
+    _baseUrlV2() {
+      return `${this._bridgeOrigin()}/clip/v2`;
+    },
+
+    _baseUrlV1() {
+      return `${this._bridgeOrigin()}/api/${this._apiKey}`;
+    },
+
+    _headersV2() {
+      return {
+        "hue-application-key": this._apiKey,
+        "Content-Type": "application/json",
+      };
+    },
+
+    _headersV1() {
+      return { "Content-Type": "application/json" };
+    },
+
+    /**
+     * URL the user needs to visit to accept the bridge's self-signed cert.
+     */
+    getCertAcceptUrl() {
+      return `https://${this._bridgeIp}/api`;
+    },
+
+    /**
+     * Check if the browser can reach the bridge at all.
+     * Returns: { reachable: true } or { reachable: false, reason: "cert"|"network" }
+     */
+    async checkReachability() {
+      // Skip check for localhost (fake bridge)
+      if (this._bridgeIp?.startsWith("localhost")) {
+        try {
+          const res = await fetch(`${this._bridgeOrigin()}/api`);
+          return { reachable: true };
+        } catch {
+          return { reachable: false, reason: "network" };
+        }
+      }
+
       try {
-        const res = await fetch(`${this._bridgeOrigin()}/api`);
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 5000);
+        const res = await fetch(`https://${this._bridgeIp}/api`, {
+          method: "GET",
+          signal: controller.signal,
+        });
+        clearTimeout(timeout);
+        // Any response means cert is accepted and bridge is reachable
         return { reachable: true };
+      } catch (err) {
+        if (err.name === "AbortError") {
+          return { reachable: false, reason: "network" };
+        }
+        return { reachable: false, reason: "cert" };
+      }
+    },
+
+    /**
+     * Test connection. Checks cert first, then tries v2, then v1.
+     */
+    async testConnection() {
+      if (this.isProxy) return this._testProxyConnection();
+
+      // Step 1: Reachability check
+      const reach = await this.checkReachability();
+      if (!reach.reachable) {
+        this._connected = false;
+        if (reach.reason === "cert") {
+          return {
+            success: false,
+            needsCert: true,
+            certUrl: this.getCertAcceptUrl(),
+            error: "Cannot reach the bridge — you need to accept its security certificate first.",
+          };
+        }
+        return {
+          success: false,
+          error: "Cannot reach the bridge. Check the IP address and make sure you're on the same network.",
+        };
+      }
+
+      // Step 2: Try CLIP v2
+      try {
+        const res = await fetch(`${this._baseUrlV2()}/resource/light`, {
+          headers: this._headersV2(),
+        });
+        if (res.ok) {
+          this._connected = true;
+          this._apiVersion = "v2";
+          return { success: true, apiVersion: "v2" };
+        }
+        if (res.status === 403 || res.status === 401) {
+          this._connected = false;
+          return { success: false, error: "Invalid API key." };
+        }
       } catch {
-        return { reachable: false, reason: "network" };
+        // v2 failed, try v1
       }
-    }
 
-    try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 5000);
-      const res = await fetch(`https://${this._bridgeIp}/api`, {
-        method: "GET",
-        signal: controller.signal,
-      });
-      clearTimeout(timeout);
-      // Any response means cert is accepted and bridge is reachable
-      return { reachable: true };
-    } catch (err) {
-      if (err.name === "AbortError") {
-        return { reachable: false, reason: "network" };
+      // Step 3: Fallback to v1
+      try {
+        const res = await fetch(`${this._baseUrlV1()}/lights`, {
+          headers: this._headersV1(),
+        });
+        if (res.ok) {
+          const data = await res.json();
+          if (Array.isArray(data) && data[0]?.error) {
+            this._connected = false;
+            return { success: false, error: `API key rejected: ${data[0].error.description}` };
+          }
+          this._connected = true;
+          this._apiVersion = "v1";
+          return { success: true, apiVersion: "v1" };
+        }
+      } catch {
+        // Both failed
       }
-      return { reachable: false, reason: "cert" };
-    }
-  },
-
-  /**
-   * Test connection. Checks cert first, then tries v2, then v1.
-   */
-  async testConnection() {
-    // Step 1: Reachability check
-    const reach = await this.checkReachability();
-    if (!reach.reachable) {
+
       this._connected = false;
-      if (reach.reason === "cert") {
+      return { success: false, error: "Connected to bridge but API calls failed. Check your API key." };
+    },
+
+    /**
+     * Proxy flavour of testConnection — hands any credentials to the
+     * server, then lets the server talk to the bridge.
+     */
+    async _testProxyConnection() {
+      try {
+        if (this._bridgeIp || this._apiKey) {
+          await this._proxy("PUT", "/bridge", {
+            bridgeIp: this._bridgeIp || undefined,
+            apiKey: this._apiKey || undefined,
+          });
+        }
+      } catch {
+        this._connected = false;
         return {
           success: false,
-          needsCert: true,
-          certUrl: this.getCertAcceptUrl(),
-          error: "Cannot reach the bridge — you need to accept its security certificate first.",
+          error: `Cannot reach the local server${this._serverUrl ? ` at ${this._serverUrl}` : ""}. Is it running (npm run server)?`,
         };
       }
-      return {
-        success: false,
-        error: "Cannot reach the bridge. Check the IP address and make sure you're on the same network.",
+
+      try {
+        const result = await this._proxy("POST", "/bridge/connect");
+        this._connected = result.success;
+        this._apiVersion = result.success ? result.apiVersion : null;
+        return result.success
+          ? { success: true, apiVersion: result.apiVersion }
+          : { success: false, error: result.error };
+      } catch (err) {
+        this._connected = false;
+        return { success: false, error: err.message };
+      }
+    },
+
+    // ════════════════════════════════════════════════════════════
+    // LIGHT CONTROL — uses the right API version automatically
+    // ════════════════════════════════════════════════════════════
+
+    async getLights() {
+      if (this.isProxy) return (await this._proxy("GET", "/lights")).data || [];
+      if (this._apiVersion === "v2") {
+        const res = await fetch(`${this._baseUrlV2()}/resource/light`, { headers: this._headersV2() });
+        if (!res.ok) throw new Error("Failed to fetch lights");
+        const data = await res.json();
+        return data.data || [];
+      } else {
+        const res = await fetch(`${this._baseUrlV1()}/lights`, { headers: this._headersV1() });
+        if (!res.ok) throw new Error("Failed to fetch lights");
+        const data = await res.json();
+        return Object.entries(data).map(([id, light]) => ({
+          id,
+          metadata: { name: light.name },
+          on: { on: light.state?.on },
+          dimming: { brightness: v1Brightness(light.state?.bri) },
+          color: light.state?.xy ? v1Color(light) : undefined,
+          color_temperature: v1ColorTemperature(light),
+        }));
+      }
+    },
+
+    /**
+     * Rooms, CLIP v2-shaped: { id, type: "room", metadata,
+     * children: [{ rtype: "light", rid }], services }. A v2 room
+     * lists devices — each is resolved to the lights it has.
+     */
+    async getRooms() {
+      if (this.isProxy) return (await this._proxy("GET", "/rooms")).data || [];
+      if (this._apiVersion === "v2") return this._areasV2("room");
+      return this._areasV1("Room");
+    },
+
+    /**
+     * Zones — lights grouped across rooms (a nurse station, a
+     * corridor). Same shape as getRooms(), type "zone".
+     */
+    async getZones() {
+      if (this.isProxy) return (await this._proxy("GET", "/zones")).data || [];
+      if (this._apiVersion === "v2") return this._areasV2("zone");
+      return this._areasV1("Zone");
+    },
+
+    async _areasV2(type) {
+      const get = async (path) => {
+        const res = await fetch(`${this._baseUrlV2()}${path}`, { headers: this._headersV2() });
+        if (!res.ok) throw new Error(`Failed to fetch ${type}s`);
+        return (await res.json()).data || [];
       };
-    }
+      const [areas, devices] = await Promise.all([get(`/resource/${type}`), get("/resource/device")]);
+      return resolveAreaLights(areas, devices);
+    },
 
-    // Step 2: Try CLIP v2
-    try {
-      const res = await fetch(`${this._baseUrlV2()}/resource/light`, {
-        headers: this._headersV2(),
+    async _areasV1(type) {
+      const res = await fetch(`${this._baseUrlV1()}/groups`, { headers: this._headersV1() });
+      if (!res.ok) throw new Error(`Failed to fetch ${type.toLowerCase()}s`);
+      return v1Areas(await res.json(), type);
+    },
+
+    setLightColor(lightId, color, brightness = 100) {
+      const state = { on: true, brightness, xy: color };
+      return this._command(`light/${lightId}`, "state", {
+        proxy: ["PUT", `/lights/${lightId}`, { on: true, color, brightness }],
+        v2: [`/resource/light/${lightId}`, stateBodyV2(state)],
+        v1: [`/lights/${lightId}/state`, stateBodyV1(state)],
+        error: `Failed to set light ${lightId}`,
       });
-      if (res.ok) {
-        this._connected = true;
-        this._apiVersion = "v2";
-        return { success: true, apiVersion: "v2" };
-      }
-      if (res.status === 403 || res.status === 401) {
-        this._connected = false;
-        return { success: false, error: "Invalid API key." };
+    },
+
+    setGroupedLightColor(groupId, color, brightness = 100) {
+      const state = { on: true, brightness, xy: color };
+      return this._command(`group/${groupId}`, "state", {
+        proxy: ["PUT", `/groups/${groupId}`, { on: true, color, brightness }],
+        v2: [`/resource/grouped_light/${groupId}`, stateBodyV2(state)],
+        v1: [`/groups/${groupId}/action`, stateBodyV1(state)],
+        error: `Failed to set group ${groupId}`,
+      });
+    },
+
+    turnOff(lightId) {
+      return this._command(`light/${lightId}`, "state", {
+        proxy: ["PUT", `/lights/${lightId}`, { on: false }],
+        v2: [`/resource/light/${lightId}`, { on: { on: false } }],
+        v1: [`/lights/${lightId}/state`, { on: false }],
+        error: `Failed to turn off ${lightId}`,
+      });
+    },
+
+    turnOffGroup(groupId) {
+      return this._command(`group/${groupId}`, "state", {
+        proxy: ["PUT", `/groups/${groupId}`, { on: false }],
+        v2: [`/resource/grouped_light/${groupId}`, { on: { on: false } }],
+        v1: [`/groups/${groupId}/action`, { on: false }],
+        error: `Failed to turn off group ${groupId}`,
+      });
+    },
+
+    /**
+     * Put a light into a state from restorableState():
+     * { on, brightness?, xy?, mirek? }.
+     */
+    setLightState(lightId, state) {
+      const { on, brightness, xy, mirek } = state;
+      return this._command(`light/${lightId}`, "state", {
+        proxy: ["PUT", `/lights/${lightId}`, { on, brightness, color: xy, mirek }],
+        v2: [`/resource/light/${lightId}`, stateBodyV2(state)],
+        v1: [`/lights/${lightId}/state`, stateBodyV1(state)],
+        error: `Failed to restore light ${lightId}`,
+      });
+    },
+
+    // Native breathe alert — runs about 15 s (patternEngine.js)
+    signalLight(lightId) {
+      return this._command(`light/${lightId}`, "alert", {
+        proxy: ["POST", `/lights/${lightId}/alert`],
+        v2: [`/resource/light/${lightId}`, { alert: { action: "breathe" } }],
+        v1: [`/lights/${lightId}/state`, { alert: "lselect" }],
+        error: `Failed to alert ${lightId}`,
+      });
+    },
+
+    signalGroup(groupId) {
+      return this._command(`group/${groupId}`, "alert", {
+        proxy: ["POST", `/groups/${groupId}/alert`],
+        v2: [`/resource/grouped_light/${groupId}`, { alert: { action: "breathe" } }],
+        v1: [`/groups/${groupId}/action`, { alert: "lselect" }],
+        error: `Failed to alert group ${groupId}`,
+      });
+    },
+
+    // ════════════════════════════════════════════════════════════
+    // LIGHT SNAPSHOTS — a room's lighting from before its signals
+    // ════════════════════════════════════════════════════════════
+
+    /**
+     * Record how `lightIds` are right now, under `key` (a room id).
+     * Keeps an existing snapshot — it's the lighting from before
+     * the first signal that matters.
+     */
+    async saveSnapshot(key, lightIds) {
+      if (this._snapshots.has(key)) return;
+      const lights = await this.getLights();
+      const states = {};
+      for (const light of lights) {
+        if (lightIds.includes(light.id)) states[light.id] = restorableState(light);
       }
-    } catch {
-      // v2 failed, try v1
-    }
-
-    // Step 3: Fallback to v1
-    try {
-      const res = await fetch(`${this._baseUrlV1()}/lights`, {
-        headers: this._headersV1(),
+      if (!this._snapshots.has(key)) this._snapshots.set(key, states);
+    },
+
+    hasSnapshot(key) {
+      return this._snapshots.has(key);
+    },
+
+    /**
+     * Put the lights back the way saveSnapshot() found them, then
+     * forget the snapshot. Returns false when there is none.
+     */
+    async restoreSnapshot(key) {
+      const states = this._snapshots.get(key);
+      if (!states) return false;
+      await Promise.all(
+        Object.entries(states).map(([lightId, state]) => this.setLightState(lightId, state))
+      );
+      this._snapshots.delete(key);
+      return true;
+    },
+
+    dropSnapshot(key) {
+      this._snapshots.delete(key);
+    },
+
+    // ════════════════════════════════════════════════════════════
+    // COMMAND QUEUE — rate limit, merge, timeout, retry
+    // ════════════════════════════════════════════════════════════
+    //
+    // Each command targets one light or grouped light
+    // ("light/<id>", "group/<id>") and is a "state" change or an
+    // "alert". One command per target is on its way at a time, so
+    // a light never ends up in an older state than the last one
+    // asked for.
+    //
+    // A "state" command still waiting in the queue is replaced by a
+    // newer one for the same target — the old caller's promise
+    // settles with the newer command's outcome. Same for "alert".
+
+    /**
+     * Queue a light command. Resolves with the bridge's response,
+     * or rejects once the retries are used up.
+     */
+    _command(target, kind, request) {
+      return new Promise((resolve, reject) => {
+        const caller = { resolve, reject };
+        const latest = [...this._queue].reverse().find((c) => c.target === target);
+        if (latest?.kind === kind) {
+          latest.request = request;
+          latest.callers.push(caller);
+          return;
+        }
+        this._queue.push({ target, kind, request, callers: [caller], attempt: 0, retryAt: 0 });
+        this._pump();
       });
-      if (res.ok) {
-        const data = await res.json();
-        if (Array.isArray(data) && data[0]?.error) {
-          this._connected = false;
-          return { success: false, error: `API key rejected: ${data[0].error.description}` };
+    },
+
+    // Send the next command if its slot has come, otherwise wake
+    // up when it does. Called whenever the queue changes.
+    _pump() {
+      clearTimeout(this._queueTimer);
+      this._queueTimer = null;
+
+      const slotAt = this._lastSentAt + 1000 / this._commandsPerSecond;
+      let next = null;
+      let nextAt = Infinity;
+      for (const command of this._queue) {
+        if (this._inFlight.has(command.target)) continue;
+        const at = Math.max(command.retryAt, slotAt);
+        if (at < nextAt) {
+          next = command;
+          nextAt = at;
         }
-        this._connected = true;
-        this._apiVersion = "v1";
-        return { success: true, apiVersion: "v1" };
       }
-    } catch {
-      // Both failed
-    }
-
-    this._connected = false;
-    return { success: false, error: "Connected to bridge but API calls failed. Check your API key." };
-  },
-
-  // ════════════════════════════════════════════════════════════
-  // LIGHT CONTROL — uses the right API version automatically
-  // ════════════════════════════════════════════════════════════
-
-  async getLights() {
-    if (this._apiVersion === "v2") {
-      const res = await fetch(`${this._baseUrlV2()}/resource/light`, { headers: this._headersV2() });
-      if (!res.ok) throw new Error("Failed to fetch lights");
-      const data = await res.json();
-      return data.data || [];
-    } else {
-      const res = await fetch(`${this._baseUrlV1()}/lights`, { headers: this._headersV1() });
-      if (!res.ok) throw new Error("Failed to fetch lights");
-      const data = await res.json();
-      return Object.entries(data).map(([id, light]) => ({
-        id,
-        metadata: { name: light.name },
-        on: { on: light.state?.on },
-        dimming: { brightness: light.state?.bri },
-        color: light.state?.xy ? { xy: { x: light.state.xy[0], y: light.state.xy[1] } } : undefined,
-      }));
-    }
-  },
-
-  async getRooms() {
-    if (this._apiVersion === "v2") {
-      const res = await fetch(`${this._baseUrlV2()}/resource/room`, { headers: this._headersV2() });
-      if (!res.ok) throw new Error("Failed to fetch rooms");
-      const data = await res.json();
-      return data.data || [];
-    } else {
-      const res = await fetch(`${this._baseUrlV1()}/groups`, { headers: this._headersV1() });
-      if (!res.ok) throw new Error("Failed to fetch rooms");
+      if (!next) return;
+
+      const wait = nextAt - Date.now();
+      if (wait > 0) {
+        this._queueTimer = setTimeout(() => this._pump(), wait);
+        return;
+      }
+      this._queue.splice(this._queue.indexOf(next), 1);
+      this._lastSentAt = Date.now();
+      this._dispatch(next);
+      this._pump();
+    },
+
+    async _dispatch(command) {
+      this._inFlight.add(command.target);
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), COMMAND_LIMITS.timeoutMs);
+      try {
+        const result = await this._send(command.request, controller.signal);
+        command.callers.forEach((c) => c.resolve(result));
+      } catch (err) {
+        const timedOut = controller.signal.aborted;
+        if (isRetryable(err, timedOut) && command.attempt < COMMAND_LIMITS.retries) {
+          command.attempt += 1;
+          command.retryAt = Date.now() + COMMAND_LIMITS.backoffMs * 2 ** (command.attempt - 1);
+          this._requeue(command);
+        } else {
+          const error = timedOut
+            ? new Error(`${command.request.error} — the bridge didn't answer`)
+            : err;
+          command.callers.forEach((c) => c.reject(error));
+        }
+      } finally {
+        clearTimeout(timeout);
+        this._inFlight.delete(command.target);
+        this._pump();
+      }
+    },
+
+    // Back in line for another try — unless a newer command of the
+    // same kind is already waiting, which then answers for both
+    _requeue(command) {
+      const newer = this._queue.find((c) => c.target === command.target);
+      if (newer?.kind === command.kind) {
+        newer.callers.unshift(...command.callers);
+        return;
+      }
+      this._queue.splice(newer ? this._queue.indexOf(newer) : 0, 0, command);
+    },
+
+    _clearQueue(reason) {
+      clearTimeout(this._queueTimer);
+      this._queueTimer = null;
+      const error = new Error(reason);
+      for (const command of this._queue.splice(0)) {
+        command.callers.forEach((c) => c.reject(error));
+      }
+    },
+
+    // One try of a command, in whichever API this bridge speaks
+    async _send({ proxy, v2, v1, error }, signal) {
+      if (this.isProxy) {
+        const [method, path, body] = proxy;
+        return this._proxy(method, path, body, { signal });
+      }
+      const [path, body] = this._apiVersion === "v2" ? v2 : v1;
+      const url =
+        this._apiVersion === "v2" ? `${this._baseUrlV2()}${path}` : `${this._baseUrlV1()}${path}`;
+      const headers = this._apiVersion === "v2" ? this._headersV2() : this._headersV1();
+      const res = await fetch(url, { method: "PUT", headers, body: JSON.stringify(body), signal });
+      if (!res.ok) throw responseError(error, res.status);
       const data = await res.json();
-      return Object.entries(data)
-        .filter(([, group]) => group.type === "Room")
-        .map(([id, group]) => ({
-          id,
-          metadata: { name: group.name },
-          children: (group.lights || []).map((lid) => ({ rtype: "device", rid: lid })),
-          services: [{ rtype: "grouped_light", rid: id }],
-        }));
-    }
-  },
-
-  async setLightColor(lightId, color, brightness = 100) {
-    if (this._apiVersion === "v2") {
-      const body = { on: { on: true }, dimming: { brightness }, color: { xy: { x: color.x, y: color.y } } };
-      const res = await fetch(`${this._baseUrlV2()}/resource/light/${lightId}`, { method: "PUT", headers: this._headersV2(), body: JSON.stringify(body) });
-      if (!res.ok) throw new Error(`Failed to set light ${lightId}`);
-      return res.json();
-    } else {
-      const body = { on: true, bri: Math.round((brightness / 100) * 254), xy: [color.x, color.y] };
-      const res = await fetch(`${this._baseUrlV1()}/lights/${lightId}/state`, { method: "PUT", headers: this._headersV1(), body: JSON.stringify(body) });
-      if (!res.ok) throw new Error(`Failed to set light ${lightId}`);
-      return res.json();
-    }
-  },
-
-  async setGroupedLightColor(groupId, color, brightness = 100) {
-    if (this._apiVersion === "v2") {
-      const body = { on: { on: true }, dimming: { brightness }, color: { xy: { x: color.x, y: color.y } } };
-      const res = await fetch(`${this._baseUrlV2()}/resource/grouped_light/${groupId}`, { method: "PUT", headers: this._headersV2(), body: JSON.stringify(body) });
-      if (!res.ok) throw new Error(`Failed to set group ${groupId}`);
-      return res.json();
-    } else {
-      const body = { on: true, bri: Math.round((brightness / 100) * 254), xy: [color.x, color.y] };
-      const res = await fetch(`${this._baseUrlV1()}/groups/${groupId}/action`, { method: "PUT", headers: this._headersV1(), body: JSON.stringify(body) });
-      if (!res.ok) throw new Error(`Failed to set group ${groupId}`);
-      return res.json();
-    }
-  },
-
-  async turnOff(lightId) {
-    if (this._apiVersion === "v2") {
-      const res = await fetch(`${this._baseUrlV2()}/resource/light/${lightId}`, { method: "PUT", headers: this._headersV2(), body: JSON.stringify({ on: { on: false } }) });
-      if (!res.ok) throw new Error(`Failed to turn off ${lightId}`);
-      return res.json();
-    } else {
-      const res = await fetch(`${this._baseUrlV1()}/lights/${lightId}/state`, { method: "PUT", headers: this._headersV1(), body: JSON.stringify({ on: false }) });
-      if (!res.ok) throw new Error(`Failed to turn off ${lightId}`);
-      return res.json();
-    }
-  },
-
-  async turnOffGroup(groupId) {
-    if (this._apiVersion === "v2") {
-      const res = await fetch(`${this._baseUrlV2()}/resource/grouped_light/${groupId}`, { method: "PUT", headers: this._headersV2(), body: JSON.stringify({ on: { on: false } }) });
-      if (!res.ok) throw new Error(`Failed to turn off group ${groupId}`);
-      return res.json();
-    } else {
-      const res = await fetch(`${this._baseUrlV1()}/groups/${groupId}/action`, { method: "PUT", headers: this._headersV1(), body: JSON.stringify({ on: false }) });
-      if (!res.ok) throw new Error(`Failed to turn off group ${groupId}`);
-      return res.json();
-    }
-  },
-
-  async signalLight(lightId) {
-    if (this._apiVersion === "v2") {
-      const res = await fetch(`${this._baseUrlV2()}/resource/light/${lightId}`, { method: "PUT", headers: this._headersV2(), body: JSON.stringify({ alert: { action: "breathe" } }) });
-      return res.json();
-    } else {
-      const res = await fetch(`${this._baseUrlV1()}/lights/${lightId}/state`, { method: "PUT", headers: this._headersV1(), body: JSON.stringify({ alert: "lselect" }) });
-      return res.json();
-    }
-  },
-};
+      // v1 reports failures as HTTP 200 with an error array
+      const v1Error = Array.isArray(data) && data.find((r) => r.error)?.error;
+      if (v1Error) {
+        throw responseError(`${error}: ${v1Error.description}`, v1Error.type === 1 ? 403 : 400);
+      }
+      return data;
+    },
+
+    // ════════════════════════════════════════════════════════════
+    // HEARTBEAT — notices a lost bridge and reconnects by itself
+    // ════════════════════════════════════════════════════════════
+    //
+    // health.status moves through:
+    //   "connected"    → pinging every intervalMs
+    //   "lost"         → ping failed, waiting retryAt for next attempt
+    //   "reconnecting" → re-running testConnection()
+    //   "idle"         → heartbeat stopped
+    //
+    // Retries back off 2s, 4s, 8s … up to 60s. Listeners get
+    // { status, attempt, retryAt, reconnected } on every change;
+    // `reconnected` is true on the first "connected" after a loss.
+
+    /**
+     * Lightweight "are you there?" call. Never throws.
+     */
+    async ping() {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), 5000);
+      try {
+        let res;
+        if (this.isProxy) {
+          res = await fetch(`${this._proxyBase()}/bridge/ping`, { signal: controller.signal });
+        } else if (this._apiVersion === "v2") {
+          res = await fetch(`${this._baseUrlV2()}/resource/bridge`, { headers: this._headersV2(), signal: controller.signal });
+        } else {
+          res = await fetch(`${this._baseUrlV1()}/config`, { headers: this._headersV1(), signal: controller.signal });
+        }
+        return res.ok;
+      } catch {
+        return false;
+      } finally {
+        clearTimeout(timeout);
+      }
+    },
+
+    /**
+     * Subscribe to health changes. Returns an unsubscribe function.
+     */
+    onHealthChange(listener) {
+      this._healthListeners.add(listener);
+      return () => this._healthListeners.delete(listener);
+    },
+
+    _setHealth(health) {
+      this._health = health;
+      for (const listener of this._healthListeners) listener(health);
+    },
+
+    /**
+     * Start pinging. Call after a successful testConnection().
+     */
+    startHeartbeat({ intervalMs = 10000 } = {}) {
+      this.stopHeartbeat();
+      this._heartbeat = { timer: null, attempt: 0, intervalMs };
+      this._setHealth({ status: "connected", attempt: 0, retryAt: null });
+      this._scheduleBeat(intervalMs);
+    },
+
+    stopHeartbeat() {
+      if (this._heartbeat) clearTimeout(this._heartbeat.timer);
+      this._heartbeat = null;
+      this._setHealth({ status: "idle" });
+    },
+
+    /**
+     * Skip the backoff wait and try to reconnect right away.
+     */
+    reconnectNow() {
+      if (!this._heartbeat || this._health.status !== "lost") return;
+      this._scheduleBeat(0);
+    },
+
+    _scheduleBeat(delayMs) {
+      const hb = this._heartbeat;
+      clearTimeout(hb.timer);
+      hb.timer = setTimeout(() => this._beat(hb), delayMs);
+    },
 
-export default HueBridgeService;
\ No newline at end of file
+    async _beat(hb) {
+      if (this._heartbeat !== hb) return; // stopped or restarted meanwhile
+
+      if (this._health.status === "connected") {
+        const alive = await this.ping();
+        if (this._heartbeat !== hb) return;
+        if (alive) {
+          this._scheduleBeat(hb.intervalMs);
+          return;
+        }
+        this._connected = false;
+        hb.attempt = 0;
+      } else {
+        this._setHealth({ ...this._health, status: "reconnecting" });
+        const result = await this.testConnection();
+        if (this._heartbeat !== hb) return;
+        if (result.success) {
+          hb.attempt = 0;
+          this._setHealth({ status: "connected", attempt: 0, retryAt: null, reconnected: true });
+          this._scheduleBeat(hb.intervalMs);
+          return;
+        }
+        hb.attempt += 1;
+      }
+
+      const delay = Math.min(2000 * 2 ** hb.attempt, 60000);
+      this._setHealth({ status: "lost", attempt: hb.attempt, retryAt: Date.now() + delay });
+      this._scheduleBeat(delay);
+    },
+
+    // ════════════════════════════════════════════════════════════
+    // EVENT STREAM — live updates from /eventstream/clip/v2
+    // ════════════════════════════════════════════════════════════
+    //
+    // EventSource can't send the hue-application-key header, so we
+    // read the stream with fetch() instead. In proxy mode the local
+    // server holds the upstream connection and re-streams it.
+    //
+    // The listener receives flat arrays of partial resource updates:
+    //   [{ id, type: "light", on?, dimming?, color? }, ...]
+    // Only CLIP v2 bridges have an event stream; on v1 this is a no-op.
+
+    /**
+     * Subscribe to bridge events. Reconnects by itself if the stream
+     * drops. Returns an unsubscribe function.
+     */
+    subscribeEvents(listener) {
+      if (!this.isProxy && this._apiVersion !== "v2") return () => {};
+
+      const controller = new AbortController();
+      const url = this.isProxy
+        ? `${this._proxyBase()}/events`
+        : `${this._bridgeOrigin()}/eventstream/clip/v2`;
+      const headers = this.isProxy
+        ? { Accept: "text/event-stream" }
+        : { ...this._headersV2(), Accept: "text/event-stream" };
+
+      const run = async () => {
+        while (!controller.signal.aborted) {
+          try {
+            const res = await fetch(url, { headers, signal: controller.signal });
+            if (!res.ok || !res.body) throw new Error(`Event stream ${res.status}`);
+
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = "";
+            for (;;) {
+              const { value, done } = await reader.read();
+              if (done) break;
+              buffer += decoder.decode(value, { stream: true });
+              const { messages, rest } = parseSseChunk(buffer);
+              buffer = rest;
+              for (const message of messages) {
+                const updates = this._flattenEvents(message);
+                if (updates.length > 0) listener(updates);
+              }
+            }
+          } catch {
+            // Dropped or refused — retry below unless we were stopped
+          }
+          if (controller.signal.aborted) break;
+          await new Promise((resolve) => setTimeout(resolve, 5000));
+        }
+      };
+
+      run();
+      return () => controller.abort();
+    },
+
+    _flattenEvents(message) {
+      try {
+        const containers = JSON.parse(message);
+        return containers
+          .filter((c) => c.type === "update")
+          .flatMap((c) => c.data || []);
+      } catch {
+        return [];
+      }
+    },
+  };
+}
@@ -0,0 +1,44 @@
+// ============================================================
+// LIGHT STATE — request bodies for both Hue APIs
+// ============================================================
+//
+// A light state is { on, brightness?, xy?, mirek? } — brightness in
+// percent, xy a CIE colour, mirek a colour temperature. CLIP v2 and
+// v1 spell it differently (v1 counts brightness as bri 1–254), and
+// only a light being switched on gets brightness or colour.
+//
+// Shared by the browser service (hueBridge.js) and the local
+// server's client (server/hueClient.js), so this file must not
+// import anything.
+// ============================================================
+
+/**
+ * Light state → CLIP v2 body for PUT /resource/light (or
+ * grouped_light).
+ */
+export function stateBodyV2({ on, brightness, xy, mirek }) {
+  const body = { on: { on } };
+  if (on && brightness !== undefined) body.dimming = { brightness };
+  if (on && xy) body.color = { xy: { x: xy.x, y: xy.y } };
+  if (on && mirek) body.color_temperature = { mirek };
+  return body;
+}
+
+/**
+ * Light state → v1 body for PUT /lights/<id>/state (or
+ * /groups/<id>/action).
+ */
+export function stateBodyV1({ on, brightness, xy, mirek }) {
+  const body = { on };
+  if (on && brightness !== undefined) body.bri = Math.round((brightness / 100) * 254);
+  if (on && xy) body.xy = [xy.x, xy.y];
+  if (on && mirek) body.ct = mirek;
+  return body;
+}
+
+/**
+ * v1 bri (0–254) → percent, as everything else uses.
+ */
+export function v1Brightness(bri) {
+  return bri === undefined ? undefined : Math.round((bri / 254) * 100);
+}
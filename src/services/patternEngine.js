@@ -0,0 +1,134 @@
+// ============================================================
+// PATTERN ENGINE — flash, breathe and pulse on real lights
+// ============================================================
+//
+// Runs a signal's pattern (config/patterns.js) on one room's
+// lights until the room shows something else. The engine doesn't
+// talk to the bridge itself — App passes it two functions:
+//
+//   apply(step) → send one step ({ level } or { on: false })
+//   alert()     → trigger the bridge's native alert
+//
+// Commands that fail are skipped (the heartbeat notices a lost
+// bridge, and resync restarts the pattern). If the very first
+// native alert fails, the room falls back to the steps.
+//
+// Only the device that sent a signal runs its pattern — other
+// synced devices just show it.
+// ============================================================
+
+import PATTERNS from "../config/patterns";
+
+// A Hue bulb's default transition between two states
+const FADE_MS = 400;
+
+/**
+ * The pattern a signal uses. No pattern (or an unknown one) is
+ * steady.
+ */
+export function patternOf(signal) {
+  return PATTERNS[signal?.pattern] || PATTERNS.steady;
+}
+
+/**
+ * True when the pattern needs the engine — anything but steady.
+ */
+export function isAnimated(pattern) {
+  return Boolean(pattern.steps || pattern.native);
+}
+
+/**
+ * The pattern's steps as Web Animations keyframes on opacity, for
+ * the simulated bulbs. Each step fades in over FADE_MS like a real
+ * bulb, then holds.
+ * @returns { keyframes, duration } — duration is one loop in ms
+ */
+export function patternKeyframes(pattern) {
+  const { steps } = pattern;
+  const duration = steps.reduce((total, step) => total + step.ms, 0);
+  const levelOf = (step) => (step.on === false ? 0 : step.level ?? 1);
+  const keyframes = [];
+  let at = 0;
+  steps.forEach((step, i) => {
+    const previous = steps[(i + steps.length - 1) % steps.length];
+    keyframes.push({ offset: at / duration, opacity: levelOf(previous) });
+    keyframes.push({
+      offset: (at + Math.min(FADE_MS, step.ms)) / duration,
+      opacity: levelOf(step),
+    });
+    at += step.ms;
+  });
+  keyframes.push({ offset: 1, opacity: levelOf(steps[steps.length - 1]) });
+  return { keyframes, duration };
+}
+
+const PatternEngine = {
+  _running: new Map(), // roomId → { signalId, timer }
+
+  /**
+   * Signal whose pattern is running in a room, or null.
+   */
+  signalOf(roomId) {
+    return this._running.get(roomId)?.signalId ?? null;
+  },
+
+  /**
+   * Rooms with a running pattern: [[roomId, signalId], ...]
+   */
+  get running() {
+    return [...this._running].map(([roomId, run]) => [roomId, run.signalId]);
+  },
+
+  /**
+   * Start a signal's pattern in a room, replacing whatever ran
+   * there. The signal itself must already be showing (step one).
+   */
+  start(roomId, signal, { apply, alert }) {
+    this.stop(roomId);
+    const pattern = patternOf(signal);
+    if (!isAnimated(pattern)) return;
+
+    const run = { signalId: signal.id, timer: null };
+    this._running.set(roomId, run);
+    const live = () => this._running.get(roomId) === run;
+
+    const playStep = (i) => {
+      if (!live()) return;
+      const step = pattern.steps[i % pattern.steps.length];
+      apply(step).catch(() => {});
+      run.timer = setTimeout(() => playStep(i + 1), step.ms);
+    };
+    const startSteps = () => {
+      if (!live()) return;
+      run.timer = setTimeout(() => playStep(1), pattern.steps[0].ms);
+    };
+
+    const playNative = async (first) => {
+      try {
+        await alert();
+      } catch {
+        if (first) {
+          startSteps();
+          return;
+        }
+      }
+      if (live()) run.timer = setTimeout(() => playNative(false), pattern.native.repeatMs);
+    };
+
+    if (pattern.native && alert) playNative(true);
+    else startSteps();
+  },
+
+  stop(roomId) {
+    const run = this._running.get(roomId);
+    if (!run) return;
+    clearTimeout(run.timer);
+    this._running.delete(roomId);
+  },
+
+  stopAll() {
+    for (const roomId of [...this._running.keys()]) this.stop(roomId);
+  },
+};
+
+export default PatternEngine;
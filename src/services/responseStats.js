@@ -0,0 +1,175 @@
+// ============================================================
+// RESPONSE STATS — response times from the activity log
+// ============================================================
+//
+// Turns "acknowledged" and "resolved" log entries (see
+// callWorkflow.js) back into one record per call:
+//
+//   { key, signalId, signalLabel, roomId, roomName, sentAt,
+//     ackMs?, clearMs?, ackBy? }
+//
+//   ackMs   — sent → acknowledged (time to acknowledge)
+//   clearMs — sent → resolved     (time to clear)
+//
+// A call is identified by room + signal + sentAt, so entries can
+// arrive in any order. Everything here is pure.
+// ============================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Need at least this many calls of a type before flagging outliers
+const MIN_OUTLIER_SAMPLE = 4;
+
+export function collectResponses(entries) {
+  const calls = new Map();
+
+  for (const entry of entries) {
+    if (entry.event !== "acknowledged" && entry.event !== "resolved") continue;
+    if (!entry.sentAt) continue;
+
+    const sentAt = new Date(entry.sentAt);
+    const at = new Date(entry.timestamp);
+    const key = `${entry.roomId}|${entry.signalId}|${entry.sentAt}`;
+    const call = calls.get(key) || {
+      key,
+      signalId: entry.signalId,
+      signalLabel: entry.signalLabel,
+      roomId: entry.roomId,
+      roomName: entry.roomName,
+      sentAt,
+    };
+
+    if (entry.event === "acknowledged") {
+      call.ackMs = at - sentAt;
+      call.ackBy = entry.by;
+    } else {
+      call.clearMs = at - sentAt;
+    }
+    calls.set(key, call);
+  }
+
+  return [...calls.values()].sort((a, b) => a.sentAt - b.sentAt);
+}
+
+export function quantile(values, q) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+export const median = (values) => quantile(values, 0.5);
+
+const present = (values) => values.filter((v) => typeof v === "number");
+
+/**
+ * Summary row for a set of calls.
+ */
+export function summarize(calls) {
+  const ack = present(calls.map((c) => c.ackMs));
+  const clear = present(calls.map((c) => c.clearMs));
+  return {
+    count: calls.length,
+    medianAckMs: median(ack),
+    medianClearMs: median(clear),
+    p90ClearMs: quantile(clear, 0.9),
+    // Resolved without anyone acknowledging it
+    unanswered: calls.filter((c) => c.clearMs !== undefined && c.ackMs === undefined).length,
+  };
+}
+
+/**
+ * Group calls and summarize each group.
+ * @returns [{ key, label, ...summarize() }] sorted by count, busiest first
+ */
+export function summarizeBy(calls, keyFn, labelFn) {
+  const groups = new Map();
+  for (const call of calls) {
+    const key = keyFn(call);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(call);
+  }
+  return [...groups.entries()]
+    .map(([key, group]) => ({ key, label: labelFn(group[0]), ...summarize(group) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Median time to acknowledge / clear for each hour of the day the
+ * call was sent (local time). Always 24 rows.
+ */
+export function byHourOfDay(calls) {
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, calls: [] }));
+  for (const call of calls) hours[call.sentAt.getHours()].calls.push(call);
+  return hours.map(({ hour, calls: group }) => ({ hour, ...summarize(group) }));
+}
+
+/**
+ * Last 7 days against the 7 days before, for one signal type.
+ * `change` is the relative change in median (negative = faster).
+ */
+export function weekOverWeek(calls, signalId, now = new Date()) {
+  const end = now.getTime();
+  const thisWeek = calls.filter(
+    (c) => c.signalId === signalId && c.sentAt > end - 7 * DAY_MS && c.sentAt <= end
+  );
+  const lastWeek = calls.filter(
+    (c) => c.signalId === signalId && c.sentAt > end - 14 * DAY_MS && c.sentAt <= end - 7 * DAY_MS
+  );
+  const current = summarize(thisWeek);
+  const previous = summarize(lastWeek);
+  const change = (a, b) => (a === null || b === null || b === 0 ? null : (a - b) / b);
+
+  return {
+    current,
+    previous,
+    ackChange: change(current.medianAckMs, previous.medianAckMs),
+    clearChange: change(current.medianClearMs, previous.medianClearMs),
+  };
+}
+
+/**
+ * Calls that took unusually long for their signal type — beyond
+ * Q3 + 1.5 × IQR (Tukey's fence) on either acknowledge or clear time.
+ * @returns [{ ...call, reason: "ack" | "clear", limitMs }] slowest first
+ */
+export function findOutliers(calls) {
+  const flagged = [];
+  const bySignal = new Map();
+  for (const call of calls) {
+    if (!bySignal.has(call.signalId)) bySignal.set(call.signalId, []);
+    bySignal.get(call.signalId).push(call);
+  }
+
+  for (const group of bySignal.values()) {
+    for (const field of ["ackMs", "clearMs"]) {
+      const values = present(group.map((c) => c[field]));
+      if (values.length < MIN_OUTLIER_SAMPLE) continue;
+      const q1 = quantile(values, 0.25);
+      const q3 = quantile(values, 0.75);
+      const limitMs = q3 + 1.5 * (q3 - q1);
+      for (const call of group) {
+        if (call[field] > limitMs && !flagged.some((f) => f.key === call.key)) {
+          flagged.push({ ...call, reason: field === "ackMs" ? "ack" : "clear", limitMs });
+        }
+      }
+    }
+  }
+
+  return flagged.sort(
+    (a, b) => (b.clearMs ?? b.ackMs) - (a.clearMs ?? a.ackMs)
+  );
+}
+
+/**
+ * "45s", "3.5 min", "1.2 h" — or "—" for no data.
+ */
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return "—";
+  const seconds = ms / 1000;
+  if (seconds < 90) return `${Math.round(seconds)}s`;
+  const minutes = seconds / 60;
+  if (minutes < 90) return `${minutes.toFixed(1)} min`;
+  return `${(minutes / 60).toFixed(1)} h`;
+}
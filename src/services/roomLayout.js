@@ -0,0 +1,214 @@
+// ============================================================
+// ROOM LAYOUT — clinic rooms on top of what the bridge reports
+// ============================================================
+//
+// Rooms normally come straight from the bridge (or DEMO_ROOMS).
+// The layout, edited in Settings → Rooms, adjusts them without
+// touching the Hue app:
+//
+//   {
+//     wings: [{ id, name }],
+//     rooms: [                       ← display order
+//       { id, name?, wingId?, hidden?,          bridge room, with
+//         onClear?, lights?,                    overrides
+//         groupedLightIds? },
+//       { id, custom: true, name, wingId?,      room defined here
+//         hidden?, onClear?, bridgeId?,
+//         lights, groupedLightIds },
+//     ],
+//   }
+//
+// onClear: what the lights do when the room's last signal is
+// cleared — "restore" (default) puts back the lighting from
+// before the first signal (hueBridge.js), "off" turns them off.
+//
+// `lights` / `groupedLightIds` on a bridge room replace the
+// bridge's own light mapping. Bridge rooms missing from the
+// layout are added at the end, so new rooms show up on their own.
+//
+// Hue zones (`zone: true`) come from the bridge too and are
+// treated as rooms; their lights also belong to the rooms the
+// zone spans.
+//
+// With several bridges (bridgeRegistry.js), bridge rooms and
+// lights carry a `bridgeId`; a room's lights all come from its
+// own bridge. Custom rooms name theirs (default: the main one).
+//
+// Kept in localStorage and, in shared mode, on the local server
+// (like signalRegistry.js) so every device shows the same rooms.
+// ============================================================
+
+import { MAIN_BRIDGE_ID } from "./bridgeRegistry";
+import { CLEAR_MODES, validateLayout } from "./configValidation";
+
+export { CLEAR_MODES, validateLayout };
+
+const STORAGE_KEY = "clinic-signal-rooms";
+
+export const EMPTY_LAYOUT = { wings: [], rooms: [] };
+
+const unique = (ids) => [...new Set(ids)];
+
+// Demo rooms (and rooms saved before multiple bridges) have no
+// bridgeId — they belong to the main bridge
+export const bridgeOf = (item) => item.bridgeId || MAIN_BRIDGE_ID;
+
+/**
+ * Lights and grouped lights on one bridge that rooms can be
+ * mapped to. `bridgeLights` ([{ id, name, bridgeId }]) may be
+ * null when unknown — the lights named by the rooms are used
+ * instead.
+ * @returns { lights: [{ id, name }], groups: [{ id, name, lights }] }
+ */
+export function lightCatalog(bridgeRooms, bridgeLights, bridgeId = MAIN_BRIDGE_ID) {
+  const rooms = bridgeRooms.filter((r) => bridgeOf(r) === bridgeId);
+  const lights = bridgeLights
+    ? bridgeLights.filter((l) => bridgeOf(l) === bridgeId)
+    : unique(rooms.flatMap((r) => r.lights)).map((id) => ({ id, name: id }));
+  const groups = rooms
+    .filter((r) => r.groupedLightId)
+    .map((r) => ({ id: r.groupedLightId, name: r.name, lights: r.lights }));
+  return { lights, groups };
+}
+
+/**
+ * The rooms the app shows: bridge rooms with the layout applied,
+ * plus custom rooms. Each room is
+ *
+ *   { id, name, bridgeName?, bridgeId, custom, zone, hidden, wingId,
+ *     onClear,         "restore" or "off"
+ *     lights,          every light in the room (simulation, live sync)
+ *     groupedLightIds, grouped lights to command
+ *     looseLights,     lights to command one by one
+ *     groupedLightId,  set when a single grouped light covers it all
+ *     missingLights, missingGroups }   mapped but not on the bridge
+ *
+ * `bridgeLights` — see lightCatalog().
+ */
+export function mergeRooms(bridgeRooms, layout, bridgeLights = null) {
+  const catalogs = new Map(); // bridgeId → { knownLights, groupLights }
+  const catalogFor = (bridgeId) => {
+    if (!catalogs.has(bridgeId)) {
+      const catalog = lightCatalog(bridgeRooms, bridgeLights, bridgeId);
+      catalogs.set(bridgeId, {
+        knownLights: new Set(catalog.lights.map((l) => l.id)),
+        groupLights: new Map(catalog.groups.map((g) => [g.id, g.lights])),
+      });
+    }
+    return catalogs.get(bridgeId);
+  };
+  const wingIds = new Set(layout.wings.map((w) => w.id));
+  const bridgeById = new Map(bridgeRooms.map((r) => [r.id, r]));
+
+  const build = (entry, bridgeRoom) => {
+    const bridgeId = bridgeOf(bridgeRoom || entry);
+    const { knownLights, groupLights } = catalogFor(bridgeId);
+    const remapped = entry.custom || entry.lights || entry.groupedLightIds;
+    let groups;
+    let chosen;
+    if (remapped) {
+      groups = entry.groupedLightIds || [];
+      chosen = entry.lights || [];
+    } else {
+      groups = bridgeRoom.groupedLightId ? [bridgeRoom.groupedLightId] : [];
+      chosen = groups.length > 0 ? [] : bridgeRoom.lights;
+    }
+
+    // Only what the layout names can go stale — bridge rooms are
+    // current by definition
+    const missingLights = remapped ? chosen.filter((id) => !knownLights.has(id)) : [];
+    const missingGroups = groups.filter((id) => !groupLights.has(id));
+    const liveGroups = groups.filter((id) => groupLights.has(id));
+    // A bridge room without a grouped light has none, so its
+    // lights stay loose
+    const groupMembers = liveGroups.flatMap((id) => groupLights.get(id));
+    const looseLights = chosen.filter(
+      (id) => !missingLights.includes(id) && !groupMembers.includes(id)
+    );
+
+    return {
+      id: entry.id,
+      name: entry.name?.trim() || bridgeRoom?.name || "Untitled room",
+      bridgeName: bridgeRoom?.name,
+      bridgeId,
+      custom: Boolean(entry.custom),
+      zone: Boolean(bridgeRoom?.zone),
+      hidden: Boolean(entry.hidden),
+      wingId: wingIds.has(entry.wingId) ? entry.wingId : null,
+      onClear: entry.onClear === "off" ? "off" : "restore",
+      lights: unique([...groupMembers, ...looseLights]),
+      groupedLightIds: liveGroups,
+      looseLights,
+      groupedLightId:
+        liveGroups.length === 1 && looseLights.length === 0 ? liveGroups[0] : undefined,
+      missingLights,
+      missingGroups,
+    };
+  };
+
+  const rooms = [];
+  for (const entry of layout.rooms) {
+    const bridgeRoom = bridgeById.get(entry.id);
+    // Overrides for rooms the bridge no longer reports — see staleRooms()
+    if (!entry.custom && !bridgeRoom) continue;
+    rooms.push(build(entry, bridgeRoom));
+  }
+  const listed = new Set(layout.rooms.map((e) => e.id));
+  for (const bridgeRoom of bridgeRooms) {
+    if (!listed.has(bridgeRoom.id)) rooms.push(build({ id: bridgeRoom.id }, bridgeRoom));
+  }
+  return rooms;
+}
+
+/**
+ * Layout entries for bridge rooms the bridge no longer reports.
+ */
+export function staleRooms(bridgeRooms, layout) {
+  const ids = new Set(bridgeRooms.map((r) => r.id));
+  return layout.rooms.filter((e) => !e.custom && !ids.has(e.id));
+}
+
+function loadSaved() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && validateLayout(saved).length === 0 ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+const RoomLayout = {
+  _layout: loadSaved(),
+  _listeners: new Set(),
+
+  get layout() {
+    return this._layout || EMPTY_LAYOUT;
+  },
+
+  /**
+   * Replace the layout. null = no adjustments (bridge rooms as is).
+   * Throws (and changes nothing) if the layout is invalid.
+   */
+  save(layout) {
+    if (layout !== null) {
+      const errors = validateLayout(layout);
+      if (errors.length > 0) throw new Error(errors[0]);
+    }
+    // Unchanged (e.g. the same layout in every reconnect snapshot)
+    if (JSON.stringify(layout) === JSON.stringify(this._layout)) return;
+    this._layout = layout;
+    if (layout === null) localStorage.removeItem(STORAGE_KEY);
+    else localStorage.setItem(STORAGE_KEY, JSON.stringify(layout));
+    this._listeners.forEach((fn) => fn(this.layout));
+  },
+
+  /**
+   * Listen for changes. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+};
+
+export default RoomLayout;
@@ -0,0 +1,139 @@
+// ============================================================
+// SCHEDULE — timed actions tied to the clinic's opening hours
+// ============================================================
+//
+// Edited in Settings → Schedule and run by the local server
+// (server/scheduler.js), so it works with no browser open:
+//
+//   {
+//     enabled,
+//     hours: { mon: { open: "08:00", close: "18:00" },   null =
+//              …, sun: null },                          closed
+//     actions: [
+//       { id, at: "open" | "close" | "HH:MM",
+//         days: ["mon", …],
+//         type: "signal", signalId,        show a signal, or
+//         type: "clear-all",               clear every room
+//         wingId?, roomId? },              default: every room
+//     ],
+//   }
+//
+// "open" / "close" follow each day's opening hours and don't run
+// on closed days; a set time runs on every listed day. Times are
+// the server machine's local time.
+//
+// Shared with the server, so this file must not import anything.
+// ============================================================
+
+export const DAYS = [
+  { id: "mon", label: "Mon" },
+  { id: "tue", label: "Tue" },
+  { id: "wed", label: "Wed" },
+  { id: "thu", label: "Thu" },
+  { id: "fri", label: "Fri" },
+  { id: "sat", label: "Sat" },
+  { id: "sun", label: "Sun" },
+];
+const ALL_DAYS = DAYS.map((d) => d.id);
+const WEEKDAYS = ALL_DAYS.slice(0, 5);
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const DEFAULT_SCHEDULE = {
+  enabled: false,
+  hours: Object.fromEntries(
+    ALL_DAYS.map((day) => [
+      day,
+      WEEKDAYS.includes(day) ? { open: "08:00", close: "18:00" } : null,
+    ])
+  ),
+  actions: [
+    { id: "opening", at: "open", days: ALL_DAYS, type: "signal", signalId: "room_ready" },
+    { id: "closing", at: "close", days: ALL_DAYS, type: "clear-all" },
+  ],
+};
+
+/**
+ * "mon" … "sun" for a date, in local time.
+ */
+export function dayOf(date) {
+  return ALL_DAYS[(date.getDay() + 6) % 7];
+}
+
+/**
+ * When an action runs on `day` ("HH:MM"), or null if it doesn't.
+ */
+export function actionTime(schedule, action, day) {
+  if (!action.days.includes(day)) return null;
+  if (action.at !== "open" && action.at !== "close") return action.at;
+  return schedule.hours[day]?.[action.at] ?? null;
+}
+
+/**
+ * The actions due in the minute that `date` falls in.
+ */
+export function actionsAt(schedule, date) {
+  if (!schedule.enabled) return [];
+  const day = dayOf(date);
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  return schedule.actions.filter((action) => actionTime(schedule, action, day) === time);
+}
+
+/**
+ * "at opening", "at closing" or "at 12:30" — for the log and the
+ * editor.
+ */
+export function whenLabel(action) {
+  if (action.at === "open") return "at opening";
+  if (action.at === "close") return "at closing";
+  return `at ${action.at}`;
+}
+
+/**
+ * @param signals the signals in use (signalRegistry.js)
+ * @returns a list of problems — empty when the schedule is valid
+ */
+export function validateSchedule(schedule, signals) {
+  const errors = [];
+  if (!schedule || typeof schedule.hours !== "object" || !Array.isArray(schedule.actions)) {
+    return ["Schedule must have opening hours and an actions list"];
+  }
+
+  for (const { id, label } of DAYS) {
+    const hours = schedule.hours[id];
+    if (!hours) continue;
+    if (!TIME_PATTERN.test(hours.open || "") || !TIME_PATTERN.test(hours.close || "")) {
+      errors.push(`${label}: opening and closing times must look like 08:00`);
+    } else if (hours.open >= hours.close) {
+      errors.push(`${label}: closing time must be after opening time`);
+    }
+  }
+
+  const seen = new Set();
+  schedule.actions.forEach((action, i) => {
+    const name = `Action ${i + 1}`;
+    if (seen.has(action.id)) errors.push(`${name}: id "${action.id}" is used more than once`);
+    seen.add(action.id);
+
+    if (action.at !== "open" && action.at !== "close" && !TIME_PATTERN.test(action.at || "")) {
+      errors.push(`${name}: time must look like 12:30`);
+    }
+    if (!Array.isArray(action.days) || action.days.length === 0) {
+      errors.push(`${name}: pick at least one day`);
+    } else if (action.days.some((day) => !ALL_DAYS.includes(day))) {
+      errors.push(`${name}: unknown day`);
+    }
+    if (action.type === "signal") {
+      const signal = signals.find((s) => s.id === action.signalId);
+      if (!signal) errors.push(`${name}: signal "${action.signalId}" no longer exists`);
+      else if (signal.id === "clear") errors.push(`${name}: use "Clear all rooms" to clear`);
+    } else if (action.type !== "clear-all") {
+      errors.push(`${name}: unknown action "${action.type}"`);
+    }
+  });
+
+  return errors;
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
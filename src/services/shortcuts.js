@@ -0,0 +1,194 @@
+// ============================================================
+// SHORTCUTS — keyboard signalling for the front desk
+// ============================================================
+//
+// Two ways to send a signal without touching a room card:
+//
+//   room number, then signal key   3 then E → Emergency, Room 3
+//   Ctrl+K (⌘K on a Mac)           command palette — type part
+//                                  of a room name and/or signal
+//
+// Room numbers default to the rooms' order on the Control Panel
+// (1, 2, 3 …) and signal keys to the first free letter of each
+// label (Room Ready → R, Emergency → E). Both can be changed in
+// Settings → Keyboard Shortcuts:
+//
+//   { enabled, signalKeys: { [signalId]: "e" },
+//     roomNumbers: { [roomId]: "12" } }          ← changes only
+//
+// Each device keeps its own (localStorage) — every desk has its
+// own keyboard and its own habits.
+// ============================================================
+
+const STORAGE_KEY = "clinic-signal-shortcuts";
+const KEY_PATTERN = /^[a-z]$/;
+const NUMBER_PATTERN = /^[1-9]\d{0,2}$/;
+
+// How long a typed room number waits for its signal key
+export const SEQUENCE_TIMEOUT_MS = 2000;
+
+export const DEFAULT_SHORTCUTS = { enabled: true, signalKeys: {}, roomNumbers: {} };
+
+/**
+ * Every signal's key and every room's number, defaults filled in.
+ * `rooms` in Control Panel order.
+ * @returns {{ signalKeys: { [signalId]: key }, roomNumbers: { [roomId]: number } }}
+ */
+export function shortcutMap(config, rooms, signals) {
+  const signalKeys = {};
+  const usedKeys = new Set(signals.map((s) => config.signalKeys[s.id]).filter(Boolean));
+  for (const signal of signals) {
+    const key =
+      config.signalKeys[signal.id] ||
+      [...signal.label.toLowerCase()].find((c) => KEY_PATTERN.test(c) && !usedKeys.has(c));
+    if (!key) continue;
+    signalKeys[signal.id] = key;
+    usedKeys.add(key);
+  }
+
+  const roomNumbers = {};
+  const usedNumbers = new Set(rooms.map((r) => config.roomNumbers[r.id]).filter(Boolean));
+  let next = 1;
+  for (const room of rooms) {
+    let number = config.roomNumbers[room.id];
+    if (!number) {
+      while (usedNumbers.has(String(next))) next++;
+      number = String(next);
+    }
+    roomNumbers[room.id] = number;
+    usedNumbers.add(number);
+  }
+
+  return { signalKeys, roomNumbers };
+}
+
+/**
+ * The id whose shortcut is `value` in one half of a shortcutMap().
+ */
+export function idFor(map, value) {
+  return Object.keys(map).find((id) => map[id] === value) ?? null;
+}
+
+/**
+ * @param rooms, signals optional — without them only the format
+ *   of each shortcut is checked, not clashes
+ * @returns a list of problems — empty when the shortcuts are valid
+ */
+export function validateShortcuts(config, rooms = [], signals = []) {
+  if (!config || typeof config.signalKeys !== "object" || typeof config.roomNumbers !== "object") {
+    return ["Shortcuts must have signal keys and room numbers"];
+  }
+  const errors = [];
+  const nameOf = (list, id) => {
+    const item = list.find((i) => i.id === id);
+    return item?.label || item?.name || id;
+  };
+
+  for (const [id, key] of Object.entries(config.signalKeys)) {
+    if (!KEY_PATTERN.test(key)) errors.push(`${nameOf(signals, id)}: key must be one letter, A–Z`);
+  }
+  for (const [id, number] of Object.entries(config.roomNumbers)) {
+    if (!NUMBER_PATTERN.test(number)) {
+      errors.push(`${nameOf(rooms, id)}: room number must be 1–999`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const map = shortcutMap(config, rooms, signals);
+  const clashes = (values, list, what) => {
+    const seen = {};
+    for (const [id, value] of Object.entries(values)) {
+      if (seen[value]) {
+        const names = `${nameOf(list, seen[value])} and ${nameOf(list, id)}`;
+        errors.push(`${names} share ${what} ${value.toUpperCase()}`);
+      }
+      seen[value] = id;
+    }
+  };
+  clashes(map.signalKeys, signals, "key");
+  clashes(map.roomNumbers, rooms, "number");
+  return errors;
+}
+
+/**
+ * How well `query` matches `text`, or null for no match. Every
+ * word of the query must appear in the text, in full or as
+ * letters in order ("emrg" finds "Emergency"); whole words at a
+ * word start score highest.
+ */
+export function fuzzyScore(query, text) {
+  const haystack = text.toLowerCase();
+  let score = 0;
+  for (const word of query.toLowerCase().split(/\s+/).filter(Boolean)) {
+    const wordScore = matchWord(word, haystack);
+    if (wordScore === null) return null;
+    score += wordScore;
+  }
+  return score;
+}
+
+function matchWord(word, text) {
+  const at = text.indexOf(word);
+  if (at !== -1) {
+    const atWordStart = at === 0 || /[^a-z0-9]/.test(text[at - 1]);
+    return word.length * (atWordStart ? 3 : 2);
+  }
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const c of word) {
+    const found = text.indexOf(c, from);
+    if (found === -1) return null;
+    score += found === previous + 1 ? 1 : 0.5;
+    previous = found;
+    from = found + 1;
+  }
+  return score;
+}
+
+function loadSaved() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && validateShortcuts(saved).length === 0 ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+const Shortcuts = {
+  _config: loadSaved(),
+  _listeners: new Set(),
+
+  get config() {
+    return this._config || DEFAULT_SHORTCUTS;
+  },
+
+  get isCustom() {
+    return this._config !== null;
+  },
+
+  /**
+   * Replace this device's shortcuts. null = defaults. Throws (and
+   * changes nothing) if a key or number is malformed.
+   */
+  save(config) {
+    if (config !== null) {
+      const errors = validateShortcuts(config);
+      if (errors.length > 0) throw new Error(errors[0]);
+    }
+    this._config = config;
+    if (config === null) localStorage.removeItem(STORAGE_KEY);
+    else localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+    this._listeners.forEach((fn) => fn(this.config));
+  },
+
+  /**
+   * Listen for changes. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+};
+
+export default Shortcuts;
@@ -0,0 +1,57 @@
+// ============================================================
+// SIGNAL MATCHING — light state → nearest signal
+// ============================================================
+//
+// When a light changes outside the app (Hue app, wall switch),
+// the bridge only tells us its on/brightness/xy. This works out
+// which clinic signal, if any, that state corresponds to.
+//
+// Distance is measured in CIE xy space, with brightness as a
+// small tie-breaker (signals like Need Assistance and Doctor
+// Needed share a brightness, so colour must dominate).
+//
+// Anything too far from every signal colour — e.g. normal warm
+// white room lighting — counts as "no signal".
+//
+// Bridges report the colour the bulb actually shows, so with the
+// light's gamut known, each signal is compared as clamped to it
+// (an older gamut B bulb never reports the requested green).
+// ============================================================
+
+import SignalRegistry from "./signalRegistry";
+import { clampToGamut } from "./color";
+
+// Max xy distance to still count as a signal colour
+const MATCH_TOLERANCE = 0.12;
+// How much a 100-point brightness gap weighs against xy distance
+const BRIGHTNESS_WEIGHT = 0.05;
+
+/**
+ * @param {{ on: boolean, xy?: { x, y }, brightness?: number, gamut? }} state
+ * @returns the matching signal, or null for "off / not a signal"
+ */
+export function matchSignal({ on, xy, brightness, gamut }) {
+  if (!on || !xy) return null;
+
+  let best = null;
+  let bestScore = Infinity;
+
+  for (const signal of SignalRegistry.all) {
+    if (!signal.color) continue;
+    const target = clampToGamut(signal.color, gamut);
+    const distance = Math.hypot(xy.x - target.x, xy.y - target.y);
+    if (distance > MATCH_TOLERANCE) continue;
+
+    const briGap =
+      brightness === undefined
+        ? 0
+        : Math.abs(brightness - signal.brightness) / 100;
+    const score = distance + briGap * BRIGHTNESS_WEIGHT;
+    if (score < bestScore) {
+      best = signal;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
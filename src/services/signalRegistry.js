@@ -0,0 +1,86 @@
+// ============================================================
+// SIGNAL REGISTRY — the signals this clinic actually uses
+// ============================================================
+//
+// src/config/signals.js holds the built-in defaults. Admins can
+// replace them from Settings → Signals without a rebuild; the
+// edited list is kept in localStorage and, in shared mode, on the
+// local server so every device uses the same signals.
+//
+// Everything that needs signal definitions (signalStack.js,
+// signalMatch.js, RoomCard …) reads them from here.
+//
+// Rules every list must follow — see validateSignals()
+// (configValidation.js):
+//   - ids are unique, lowercase letters/digits/underscores
+//   - exactly one "clear" signal: no colour, priority 0
+//   - every other signal has a colour, brightness 1–100 and a
+//     priority of 1 or more
+//   - a pattern, if set, is one from config/patterns.js
+//   - a sound, if set, is one from config/sounds.js; only calls
+//     (requiresAck) can alert until acknowledged
+//   - rule minutes are whole numbers of 1 or more; a signal only
+//     escalates to another one with a higher priority
+// ============================================================
+
+import DEFAULT_SIGNALS from "../config/signals";
+import { validateSignals } from "./configValidation";
+
+export { validateSignals };
+
+const STORAGE_KEY = "clinic-signal-signals";
+
+function loadSaved() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && validateSignals(saved).length === 0 ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+const SignalRegistry = {
+  _custom: loadSaved(),
+  _listeners: new Set(),
+
+  /** Every signal, in display order. */
+  get all() {
+    return this._custom || DEFAULT_SIGNALS;
+  },
+
+  /** True when the built-in defaults have been replaced. */
+  get isCustom() {
+    return this._custom !== null;
+  },
+
+  find(signalId) {
+    return this.all.find((s) => s.id === signalId) || null;
+  },
+
+  /**
+   * Replace the signal list. null goes back to the defaults.
+   * Throws (and changes nothing) if the list is invalid.
+   */
+  save(signals) {
+    if (signals !== null) {
+      const errors = validateSignals(signals);
+      if (errors.length > 0) throw new Error(errors[0]);
+    }
+    // Unchanged (e.g. the same list in every reconnect snapshot)
+    if (JSON.stringify(signals) === JSON.stringify(this._custom)) return;
+    this._custom = signals;
+    if (signals === null) localStorage.removeItem(STORAGE_KEY);
+    else localStorage.setItem(STORAGE_KEY, JSON.stringify(signals));
+    this._listeners.forEach((fn) => fn(this.all));
+  },
+
+  /**
+   * Listen for changes. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+};
+
+export default SignalRegistry;
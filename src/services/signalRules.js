@@ -0,0 +1,82 @@
+// ============================================================
+// SIGNAL RULES — automatic escalation, expiry and repeats
+// ============================================================
+//
+// Optional fields on a signal (signals.js, Settings → Signals):
+//
+//   escalateTo, escalateAfterMin — still unanswered after N min:
+//       replace it with a more urgent signal
+//   expireAfterMin — take it off the room after N min
+//   repeatEveryMin — while it's showing, send it to the lights
+//       again every N min (re-flashes an Emergency)
+//
+// "Unanswered" means a call nobody has acknowledged yet (see
+// callWorkflow.js); a signal that isn't a call counts as
+// unanswered until it's cleared. Minutes run from the call's
+// sentAt, or — for signals that aren't calls — from when this
+// device first saw the signal in the room.
+//
+// App checks every room every RULES_TICK_MS and carries out what
+// dueRule() returns, logging it as automatic. In shared mode only
+// one device runs the rules (server/signalHub.js picks it), so
+// each rule fires once. Like signalStack.js, everything here is
+// pure.
+// ============================================================
+
+import { findSignal } from "./signalStack";
+
+export const RULES_TICK_MS = 15000;
+const MINUTE_MS = 60000;
+
+export const EMPTY_TIMERS = { since: {}, repeatedAt: {} };
+
+/**
+ * Keep a room's rule timers in step with its stack: start the
+ * clock for signals seen for the first time, forget the rest.
+ * Timers: { since: { [signalId]: ms }, repeatedAt: { [signalId]: ms } }
+ */
+export function trackTimers(timers = EMPTY_TIMERS, stack = [], now = Date.now()) {
+  const pick = (map, fallback) =>
+    Object.fromEntries(
+      stack
+        .map((id) => [id, map[id] ?? fallback])
+        .filter(([, at]) => at !== undefined)
+    );
+  return { since: pick(timers.since, now), repeatedAt: pick(timers.repeatedAt) };
+}
+
+/**
+ * The rule due in one room right now, or null. Looks at the stack
+ * from the top down and returns the first of:
+ *
+ *   { type: "escalate", signal, to, minutes }
+ *   { type: "expire", signal, minutes }
+ *   { type: "repeat", signal, minutes }   (top signal only)
+ */
+export function dueRule(stack = [], calls = {}, timers = EMPTY_TIMERS, now = Date.now()) {
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const signal = findSignal(stack[i]);
+    if (!signal) continue;
+    const call = calls[signal.id];
+    const since = call?.sentAt ? Date.parse(call.sentAt) : timers.since[signal.id];
+    if (since === undefined) continue;
+    const elapsed = now - since;
+
+    const to = findSignal(signal.escalateTo);
+    if (to && signal.escalateAfterMin && !call?.ackBy) {
+      if (elapsed >= signal.escalateAfterMin * MINUTE_MS) {
+        return { type: "escalate", signal, to, minutes: signal.escalateAfterMin };
+      }
+    }
+    if (signal.expireAfterMin && elapsed >= signal.expireAfterMin * MINUTE_MS) {
+      return { type: "expire", signal, minutes: signal.expireAfterMin };
+    }
+    if (i === stack.length - 1 && signal.repeatEveryMin) {
+      const last = Math.max(since, timers.repeatedAt[signal.id] ?? since);
+      if (now - last >= signal.repeatEveryMin * MINUTE_MS) {
+        return { type: "repeat", signal, minutes: signal.repeatEveryMin };
+      }
+    }
+  }
+  return null;
+}
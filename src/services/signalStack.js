@@ -0,0 +1,41 @@
+// ============================================================
+// SIGNAL STACK — per-room priority handling
+// ============================================================
+//
+// Each room keeps a stack of active signal ids, oldest first.
+// The last entry is what the room is currently showing.
+//
+//   ["doctor_needed", "emergency"]
+//     → lights show Emergency
+//     → clearing it brings "Doctor Needed" back
+//
+// A signal with a LOWER priority than the one on top is
+// blocked unless the caller explicitly forces it. This stops a
+// stray "Room Ready" tap from hiding an active Emergency.
+//
+// All functions are pure and never touch the stack they were
+// given. The changes themselves (push, pop …) are in stackOps.js,
+// shared with the local server.
+// ============================================================
+
+import SignalRegistry from "./signalRegistry";
+import { isBlocked as isBlockedBy } from "./stackOps";
+
+export function findSignal(signalId) {
+  return SignalRegistry.find(signalId);
+}
+
+/**
+ * The signal currently shown for a room, or null when idle.
+ */
+export function topSignal(stack) {
+  if (!stack || stack.length === 0) return null;
+  return findSignal(stack[stack.length - 1]);
+}
+
+/**
+ * True if sending `signalId` would hide a higher-priority signal.
+ */
+export function isBlocked(stack, signalId) {
+  return isBlockedBy(stack, signalId, SignalRegistry.all);
+}
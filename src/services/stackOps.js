@@ -0,0 +1,91 @@
+// ============================================================
+// STACK OPERATIONS — the ways a room's signal stack can change
+// ============================================================
+//
+// A device never hands the signal hub a finished stack. It sends
+// the operation, and the hub (server/signalHub.js) applies it to
+// its own copy and tells every device the result. Two devices
+// acting at once then both count, and the priority rule holds on
+// the server too: a stale "Room Ready" can't replace an Emergency
+// its device never saw.
+//
+//   { op: "push", signalId, force? }   show a signal — refused when
+//                                      it would hide a more urgent
+//                                      one, unless forced
+//   { op: "remove", signalId }         take one signal off
+//   { op: "escalate", signalId, to }   replace a signal (rules)
+//   { op: "clear" }                    take everything off
+//
+// The app applies the same operation locally, so its screen
+// doesn't wait for the round trip.
+//
+// Shared with the server, so this file must not import anything:
+// what needs signal definitions takes the signal list.
+// signalStack.js binds these to the app's SignalRegistry.
+// ============================================================
+
+/**
+ * Put a signal on top. If it was already somewhere in the stack
+ * it moves to the top instead of appearing twice.
+ */
+export function pushSignal(stack, signalId) {
+  const rest = (stack || []).filter((id) => id !== signalId);
+  return [...rest, signalId];
+}
+
+/**
+ * Remove the top signal, revealing the next one down.
+ */
+export function popSignal(stack) {
+  if (!stack || stack.length === 0) return [];
+  return stack.slice(0, -1);
+}
+
+/**
+ * The stack once `signal` has escalated to `to`. The new signal
+ * takes the old one's place, so it never hides something more
+ * urgent that's already on top.
+ */
+export function escalateStack(stack, signalId, toId) {
+  if (stack.includes(toId)) return stack.filter((id) => id !== signalId);
+  return stack.map((id) => (id === signalId ? toId : id));
+}
+
+/**
+ * True if sending `signalId` would hide a higher-priority signal.
+ */
+export function isBlocked(stack, signalId, signals) {
+  const find = (id) => signals.find((s) => s.id === id);
+  const incoming = find(signalId);
+  const active = stack && stack.length > 0 ? find(stack[stack.length - 1]) : null;
+  if (!incoming || !active || incoming.id === "clear") return false;
+  return incoming.priority < active.priority;
+}
+
+/**
+ * True if two stacks hold the same signals in the same order.
+ */
+export function sameStack(a, b) {
+  return a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
+/**
+ * The stack after `op`, or null when a push is refused.
+ */
+export function applyStackOp(stack = [], op, signals) {
+  switch (op.op) {
+    case "push":
+      if (!op.force && isBlocked(stack, op.signalId, signals)) return null;
+      return pushSignal(stack, op.signalId);
+    case "remove":
+      return stack[stack.length - 1] === op.signalId
+        ? popSignal(stack)
+        : stack.filter((id) => id !== op.signalId);
+    case "escalate":
+      return escalateStack(stack, op.signalId, op.to);
+    case "clear":
+      return [];
+    default:
+      return stack;
+  }
+}
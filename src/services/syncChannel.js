@@ -0,0 +1,133 @@
+// ============================================================
+// SYNC CHANNEL — live shared state with the local server
+// ============================================================
+//
+// A WebSocket to the signal hub (server/signalHub.js). While it's
+// live, room signal changes and activity log entries go through
+// the server, which pushes them to every connected device —
+// including this one. On every (re)connect the server sends a
+// full snapshot, so a device that was offline catches up at once.
+//
+// Reconnects on its own with backoff (1s, 2s, 4s … up to 30s).
+// ============================================================
+
+function socketUrl(serverUrl) {
+  if (!serverUrl) {
+    const protocol = window.location.protocol === "https:" ? "wss" : "ws";
+    return `${protocol}://${window.location.host}/ws`;
+  }
+  return `${serverUrl.trim().replace(/\/+$/, "").replace(/^http/, "ws")}/ws`;
+}
+
+const SyncChannel = {
+  _socket: null,
+  _url: null,
+  _status: "off", // "off" | "connecting" | "live"
+  _attempt: 0,
+  _retryTimer: null,
+  _listeners: new Set(),
+  _statusListeners: new Set(),
+
+  get status() {
+    return this._status;
+  },
+
+  get isLive() {
+    return this._status === "live";
+  },
+
+  /**
+   * Open (or re-point) the channel. serverUrl "" = same origin.
+   */
+  connect(serverUrl = "") {
+    this.disconnect();
+    this._url = socketUrl(serverUrl);
+    this._attempt = 0;
+    this._open();
+  },
+
+  disconnect() {
+    clearTimeout(this._retryTimer);
+    this._url = null;
+    if (this._socket) {
+      this._socket.onclose = null;
+      this._socket.close();
+      this._socket = null;
+    }
+    this._setStatus("off");
+  },
+
+  /**
+   * Send a message. Returns false (and sends nothing) when the
+   * channel isn't live, so callers can fall back to local-only.
+   */
+  send(message) {
+    if (!this.isLive) return false;
+    this._socket.send(JSON.stringify(message));
+    return true;
+  },
+
+  /**
+   * Listen for server messages. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+
+  onStatusChange(listener) {
+    this._statusListeners.add(listener);
+    return () => this._statusListeners.delete(listener);
+  },
+
+  _setStatus(status) {
+    if (this._status === status) return;
+    this._status = status;
+    for (const listener of this._statusListeners) listener(status);
+  },
+
+  _open() {
+    const url = this._url;
+    this._setStatus("connecting");
+
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch {
+      this._scheduleRetry();
+      return;
+    }
+    this._socket = socket;
+
+    socket.onopen = () => {
+      this._attempt = 0;
+      this._setStatus("live");
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      for (const listener of this._listeners) listener(message);
+    };
+
+    socket.onclose = () => {
+      if (this._socket !== socket) return;
+      this._socket = null;
+      this._scheduleRetry();
+    };
+  },
+
+  _scheduleRetry() {
+    if (!this._url) return;
+    this._setStatus("connecting");
+    const delay = Math.min(1000 * 2 ** this._attempt, 30000);
+    this._attempt += 1;
+    this._retryTimer = setTimeout(() => this._open(), delay);
+  },
+};
+
+export default SyncChannel;
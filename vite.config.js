@@ -5,6 +5,11 @@ export default defineConfig({
   plugins: [react()],
   server: {
     port: 5173,
-    host: true // allows access from other devices on the network
+    host: true, // allows access from other devices on the network
+    proxy: {
+      // Local server (npm run server) — see server/index.js
+      '/api': 'http://localhost:3200',
+      '/ws': { target: 'ws://localhost:3200', ws: true }
+    }
   }
 })